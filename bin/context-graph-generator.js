@@ -4,6 +4,9 @@ import { Command } from "commander";
 import { init } from "../src/commands/init.js";
 import { scan } from "../src/commands/scan.js";
 import { verify } from "../src/commands/verify.js";
+import { graph } from "../src/commands/graph.js";
+import { query } from "../src/commands/query.js";
+import { serve } from "../src/commands/serve.js";
 
 const program = new Command();
 
@@ -39,8 +42,7 @@ program
   )
   .option(
     "--src <path>",
-    "Source directory relative to project root",
-    "src"
+    "Source directory relative to project root (overrides sourceRoots in the config; defaults to src)"
   )
   .option(
     "--supabase <path>",
@@ -60,4 +62,63 @@ program
   )
   .action(verify);
 
+program
+  .command("graph")
+  .description(
+    "Export the scanned context graph as Mermaid, Graphviz DOT, GraphML or Cytoscape.js JSON"
+  )
+  .option(
+    "-d, --dir <path>",
+    "Project root directory (defaults to current directory)",
+    "."
+  )
+  .option(
+    "-f, --format <format>",
+    "Output format: mermaid, dot, graphml or cytoscape",
+    "mermaid"
+  )
+  .option("--domain <name>", "Only this domain and its neighbors")
+  .option(
+    "--depth <n>",
+    "How many edges to follow out from --domain",
+    "1"
+  )
+  .option(
+    "--node-types <types>",
+    "Comma-separated node types to include (domain, file, component, hook, store, route, table, endpoint, doc)"
+  )
+  .option("--package <slug>", "Workspace package to export, in a monorepo")
+  .option("-o, --output <file>", "Write to a file instead of stdout")
+  .action(graph);
+
+program
+  .command("query")
+  .description(
+    "Show which context applies to a file, symbol, route URL or table"
+  )
+  .argument("<target>", "Source path, symbol name, route URL or table name")
+  .option(
+    "-d, --dir <path>",
+    "Project root directory (defaults to current directory)",
+    "."
+  )
+  .option("--json", "Print the result as JSON", false)
+  .option("--limit <n>", "Maximum number of context files to list", "10")
+  .option("--package <slug>", "Workspace package to query, in a monorepo")
+  .action(query);
+
+program
+  .command("serve")
+  .description(
+    "Serve the context graph to AI agents over the Model Context Protocol"
+  )
+  .option(
+    "-d, --dir <path>",
+    "Project root directory (defaults to current directory)",
+    "."
+  )
+  .option("--mcp", "Run a stdio MCP server", false)
+  .option("--package <slug>", "Workspace package to serve, in a monorepo")
+  .action(serve);
+
 program.parse();
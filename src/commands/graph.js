@@ -0,0 +1,55 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { loadConfig } from "../lib/config.js";
+import { loadGraph, filterGraph } from "../lib/graph.js";
+import { formatGraph, GRAPH_FORMATS } from "../generators/graph-formats.js";
+
+/**
+ * Export the graph written by `scan` as Graphviz DOT, GraphML, a Mermaid
+ * flowchart or Cytoscape.js JSON, optionally narrowed to one domain and its
+ * neighbors or to some node types.
+ *
+ * @param {Object} options - Command options
+ * @param {string} options.dir - Project root directory
+ * @param {string} options.format - One of mermaid, dot, graphml, cytoscape
+ * @param {string} [options.domain] - Only this domain and its neighbors
+ * @param {string} [options.depth] - Edges to follow out from the domain
+ * @param {string} [options.nodeTypes] - Comma-separated node types to keep
+ * @param {string} [options.package] - Workspace package slug in a monorepo
+ * @param {string} [options.output] - Write to this file instead of stdout
+ */
+export async function graph(options) {
+  const { dir = ".", format = "mermaid", domain = null, depth = "1", nodeTypes = null, output = null } = options;
+  const projectRoot = path.resolve(dir);
+
+  try {
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected one of ${GRAPH_FORMATS.join(", ")})`);
+    }
+    const levels = Number(depth);
+    if (!Number.isInteger(levels) || levels < 0) {
+      throw new Error(`--depth must be a whole number, got "${depth}"`);
+    }
+
+    const { config } = await loadConfig(projectRoot);
+    const filtered = filterGraph(loadGraph(projectRoot, { output: config.output, package: options.package }), {
+      domain,
+      depth: levels,
+      nodeTypes: nodeTypes ? nodeTypes.split(",").map((t) => t.trim()).filter(Boolean) : null,
+    });
+    const content = formatGraph(filtered, format);
+
+    if (output) {
+      fs.writeFileSync(path.resolve(output), content, "utf-8");
+      console.error(
+        chalk.green(`✓ Wrote ${filtered.nodes.length} nodes and ${filtered.edges.length} edges to ${output}`)
+      );
+    } else {
+      process.stdout.write(content);
+    }
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+}
@@ -3,6 +3,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import chalk from "chalk";
 import ora from "ora";
+import { loadConfig } from "../lib/config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,7 +18,9 @@ export async function init(options = {}) {
 
   try {
     // 1. Create context directory with subdirectories
-    const contextDir = path.join(targetDir, "context");
+    const { config } = await loadConfig(targetDir);
+    const output = config.output;
+    const contextDir = path.join(targetDir, output);
 
     if (fs.existsSync(contextDir) && !force) {
       spinner.warn(
@@ -51,7 +54,7 @@ export async function init(options = {}) {
     }
 
     spinner.succeed(chalk.green("Context directory structure created"));
-    createdFiles.push("context/");
+    createdFiles.push(`${output}/`);
 
     // 2. Copy template files from package templates to context/templates/
     spinner.start("Copying template files...");
@@ -65,7 +68,7 @@ export async function init(options = {}) {
         if (fs.statSync(src).isFile()) {
           const content = fs.readFileSync(src, "utf-8");
           fs.writeFileSync(dest, content);
-          createdFiles.push(`context/templates/${file}`);
+          createdFiles.push(`${output}/templates/${file}`);
         }
       }
     }
@@ -232,7 +235,7 @@ Use this checklist for weekly maintenance of the context graph.
 
 \`\`\`bash
 npx context-graph-generator verify
-git log --oneline -10 -- context/
+git log --oneline -10 -- ${output}/
 \`\`\`
 
 ---
@@ -242,7 +245,7 @@ git log --oneline -10 -- context/
       );
     }
 
-    createdFiles.push("context/WEEKLY_REVIEW.md");
+    createdFiles.push(`${output}/WEEKLY_REVIEW.md`);
     spinner.succeed(chalk.green("Weekly review checklist created"));
 
     // 7. Create starter changelog entry
@@ -278,7 +281,7 @@ Context graph initialized for this project.
 | \`AGENTS.md\` | Initial creation |
 | \`CLAUDE.md\` | Initial creation |
 | \`.cursorrules\` | Initial creation |
-| \`context/\` | Directory structure created |
+| \`${output}/\` | Directory structure created |
 
 ---
 
@@ -287,7 +290,7 @@ Context graph initialized for this project.
 `
     );
 
-    createdFiles.push(`context/changelog/${yearMonth}.md`);
+    createdFiles.push(`${output}/changelog/${yearMonth}.md`);
     spinner.succeed(chalk.green("Changelog entry created"));
 
     // Print summary
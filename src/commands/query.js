@@ -0,0 +1,77 @@
+import path from "path";
+import chalk from "chalk";
+import { loadConfig } from "../lib/config.js";
+import { loadGraph, graphDirectory, packageRoot, packageForPath } from "../lib/graph.js";
+import { queryContext } from "../lib/context-query.js";
+
+/**
+ * Look up the context that applies to a source path, symbol, route URL or
+ * table: the owning domain and the context files, patterns and workflows
+ * to read, most relevant first. Reads the graph written by `scan`.
+ *
+ * @param {string} target - File path, symbol name, URL or table name
+ * @param {Object} options - Command options
+ * @param {string} options.dir - Project root directory
+ * @param {boolean} options.json - Print JSON instead of text
+ * @param {string} [options.limit] - Maximum context files listed
+ * @param {string} [options.package] - Workspace package slug in a monorepo
+ */
+export async function query(target, options) {
+  const { dir = ".", json = false, limit = "10" } = options;
+  const projectRoot = path.resolve(dir);
+
+  let result;
+  try {
+    const max = Number(limit);
+    if (!Number.isInteger(max) || max < 1) {
+      throw new Error(`--limit must be a positive whole number, got "${limit}"`);
+    }
+    const { config } = await loadConfig(projectRoot);
+    // In a monorepo a file path names its own package; symbols, URLs and tables need --package
+    const slug = options.package || packageForPath(projectRoot, target);
+    const location = { output: config.output, package: slug };
+    result = queryContext(loadGraph(projectRoot, location), target, {
+      projectRoot,
+      contextPath: graphDirectory(projectRoot, location),
+      sourceRoot: slug ? packageRoot(projectRoot, slug) : projectRoot,
+    });
+    result.context = result.context.slice(0, max);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  printResult(result);
+}
+
+function printResult(result) {
+  if (result.matches.length === 0) {
+    console.log(chalk.yellow(`No file, symbol, route or table matches "${result.target}"`));
+  } else {
+    console.log(chalk.bold("Matches:"));
+    for (const match of result.matches) {
+      const where = match.type === "file" || match.type === "domain" || !match.file ? "" : chalk.dim(` (${match.file})`);
+      console.log(`  ${chalk.cyan(match.type)} ${match.type === "file" ? match.file : match.name}${where}`);
+    }
+  }
+
+  if (result.domains.length > 0) {
+    console.log("\n" + chalk.bold("Domain:"));
+    for (const domain of result.domains) {
+      const owners = domain.owners.length > 0 ? chalk.dim(` (owners: ${domain.owners.join(", ")})`) : "";
+      console.log(`  ${chalk.cyan(domain.name)} → ${domain.context || chalk.yellow("no CONTEXT.md")}${owners}`);
+    }
+  }
+
+  for (const [title, entries] of [["Context files", result.context], ["Patterns", result.patterns], ["Workflows", result.workflows]]) {
+    if (entries.length === 0) continue;
+    console.log("\n" + chalk.bold(`${title}:`));
+    entries.forEach((entry, i) => {
+      console.log(`  ${i + 1}. ${entry.path} ${chalk.dim(`— ${entry.reasons.join("; ")}`)}`);
+    });
+  }
+}
@@ -4,6 +4,39 @@ import { fileURLToPath } from "url";
 import { glob } from "glob";
 import chalk from "chalk";
 import ora from "ora";
+import { region, mergeRegions } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+import { createSourceIndex, createDomainMatcher, toPosixPath } from "../lib/source-files.js";
+import { analyzeImports } from "../scanners/imports.js";
+import { scanNextRoutes } from "../scanners/routes.js";
+import { scanNavigation } from "../scanners/navigation.js";
+import { scanTests } from "../scanners/tests.js";
+import { scanGitHistory } from "../scanners/git-history.js";
+import { detectWorkspaces } from "../scanners/workspaces.js";
+import { loadConfig } from "../lib/config.js";
+import { createIgnoreFilter } from "../lib/ignore.js";
+import { scanApiHandlers } from "../scanners/api-handlers.js";
+import { scanServerRoutes } from "../scanners/server-routes.js";
+import { scanTrpcRouters } from "../scanners/trpc.js";
+import { scanGraphql } from "../scanners/graphql.js";
+import { scanStateStores } from "../scanners/stores.js";
+import { scanHooks } from "../scanners/hooks.js";
+import { scanComponents } from "../scanners/components.js";
+import { scanEnvironment } from "../scanners/env.js";
+import { readPrismaSchema, parsePrismaSchema } from "../scanners/prisma.js";
+import { scanSqlMigrations } from "../scanners/sql.js";
+import { scanDrizzleSchema } from "../scanners/drizzle.js";
+import { scanMongooseSchemas } from "../scanners/mongoose.js";
+import { scanFirestore } from "../scanners/firestore.js";
+import { scanDataAccess } from "../scanners/data-access.js";
+import { generateSecurity } from "../generators/security.js";
+import { generateRoutes } from "../generators/routes.js";
+import { generateApiDesign } from "../generators/api-design.js";
+import { generateHooks } from "../generators/hooks.js";
+import { generateNavigation } from "../generators/navigation.js";
+import { generateConfiguration } from "../generators/configuration.js";
+import { generateWorkspaceOverview, generateWorkspaceAgents } from "../generators/workspace.js";
+import { buildGraph } from "../generators/graph.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -11,25 +44,25 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * Scan a codebase and generate skeleton context files.
  * Supports: Next.js (App Router & Pages Router), React Native, Expo,
  * Supabase, Prisma, Drizzle, Firebase, MongoDB, and standard React apps.
+ * Monorepos (npm/yarn/pnpm workspaces, Turborepo, Nx) are scanned package
+ * by package.
  *
  * @param {Object} options - Command options
  * @param {string} options.dir - Project root directory
- * @param {string} options.src - Source directory relative to project root
+ * @param {string} [options.src] - Source directory relative to project root,
+ *   overriding `sourceRoots` from the config
  * @param {string} options.supabase - Supabase directory relative to project root
  * @param {boolean} options.dryRun - Preview without writing files
  */
 export async function scan(options) {
   const {
     dir = ".",
-    src = "src",
+    src,
     supabase = "supabase",
     dryRun = false,
   } = options;
 
   const projectRoot = path.resolve(dir);
-  const srcPath = path.join(projectRoot, src);
-  const supabasePath = path.join(projectRoot, supabase);
-  const contextPath = path.join(projectRoot, "context");
 
   // Validate project structure
   const packageJsonPath = path.join(projectRoot, "package.json");
@@ -40,269 +73,602 @@ export async function scan(options) {
     process.exit(1);
   }
 
+  let config;
+  try {
+    ({ config } = await loadConfig(projectRoot));
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+  const contextPath = path.join(projectRoot, config.output);
+  const sourceRoots = src ? [src] : config.sourceRoots;
+
   const spinner = ora().start();
 
   try {
-    // ==========================================
-    // Step 1: Detect Technology Stack
-    // ==========================================
-    spinner.text = "Detecting technology stack...";
-
     const packageJson = JSON.parse(
       fs.readFileSync(packageJsonPath, "utf-8")
     );
-    const stack = detectTechStack(packageJson);
 
-    spinner.succeed("Technology stack detected");
+    // Monorepos get a context subtree per package plus a root map
+    const workspace = detectWorkspaces(projectRoot, packageJson);
+    if (workspace) {
+      await scanWorkspace(workspace, { projectRoot, contextPath, config, src, supabase, dryRun, spinner });
+      return;
+    }
+
+    const { stack, sourceStructure, backendStructure, generatedFiles } = await scanProject({
+      projectRoot,
+      packageJson,
+      sourceRoots,
+      supabase,
+      contextPath,
+      config,
+      dryRun,
+      spinner,
+    });
+    writeContextFiles(generatedFiles, dryRun);
 
     // ==========================================
-    // Step 2: Scan Source Directory
+    // Print Summary
     // ==========================================
-    spinner.start();
-    spinner.text = "Scanning source directory...";
-
-    const sourceStructure = {
-      features: [],
-      components: [],
-      hooks: [],
-      stores: [],
-      graphql: [],
-      types: [],
-      screens: [],
-      apiRoutes: [],
-      navigation: [],
-      services: [],
-      pages: [],
-    };
-
-    // Scan primary source directory (src/)
+    printSummary(
+      stack,
+      sourceStructure,
+      backendStructure,
+      generatedFiles,
+      dryRun,
+      projectRoot,
+      config.output
+    );
+  } catch (error) {
+    spinner.fail(`Error during scan: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run every scanner over one project (or workspace package) and build its
+ * context files, merged with the files already on disk but not yet written
+ *
+ * @param {Object} project
+ * @param {string} project.projectRoot - Absolute project or package root
+ * @param {Object} project.packageJson - Its package.json
+ * @param {string[]} project.sourceRoots - Source directories relative to the root
+ * @param {string} project.supabase - Supabase directory relative to the root
+ * @param {string} project.contextPath - Where its context files go
+ * @param {Object} project.config - Loaded `context-graph.config`
+ * @param {boolean} project.dryRun - Preview without creating directories
+ * @param {Object} project.spinner - Progress spinner
+ * @param {string} [project.label] - Prefix for progress messages
+ * @returns {Promise<{stack: Object, sourceStructure: Object, backendStructure: Object, generatedFiles: Object[]}>}
+ */
+async function scanProject({ projectRoot, packageJson, sourceRoots, supabase, contextPath, config, dryRun, spinner, label = null }) {
+  const supabasePath = path.join(projectRoot, supabase);
+  const step = (text) => (label ? `${label}: ${text}` : text);
+
+  // ==========================================
+  // Step 1: Detect Technology Stack
+  // ==========================================
+  spinner.start();
+  spinner.text = step("Detecting technology stack...");
+
+  const stack = detectTechStack(packageJson);
+
+  spinner.succeed(step("Technology stack detected"));
+
+  // ==========================================
+  // Step 2: Scan Source Directory
+  // ==========================================
+  spinner.start();
+  spinner.text = step("Scanning source directory...");
+
+  const sourceStructure = {
+    features: [],
+    components: [],
+    hooks: [],
+    stores: [],
+    stateStores: [], // Zustand stores, Redux Toolkit slices and Jotai atoms
+    customHooks: [], // custom hook definitions with signatures and callers
+    componentCatalog: [], // exported components with props, wrappers, tests and stories
+    environment: { variables: [], exampleFiles: [], expoExtra: [], issues: { undocumented: [], unused: [], exposedSecrets: [], serverOnlyInClient: [] } },
+    graphql: [],
+    types: [],
+    screens: [],
+    apiRoutes: [],
+    navigation: [],
+    navigationTree: { expoRouter: null, navigators: [], paramLists: [], linking: null }, // navigators, screens and deep links
+    tests: [], // test files with the sources and domains they exercise
+    ownership: {}, // domain -> owners, contributors and hotspots from git history
+    services: [],
+    pages: [],
+    domainPaths: {}, // domain name -> directories/files relative to project root
+    files: [], // every scanned source file, relative to project root
+    domainEdges: [],
+    imports: {},
+    fileDomains: {},
+    routes: { app: [], segments: [], pages: [], middleware: null },
+    skipped: {}, // reason -> number of files left out of the scan
+  };
+
+  // .gitignore, .contextgraphignore, config globs and generated code
+  const ignore = createIgnoreFilter(projectRoot, config.ignore);
+
+  // Scan source roots (src/ unless configured)
+  for (const src of sourceRoots) {
+    const srcPath = path.join(projectRoot, src);
     if (fs.existsSync(srcPath)) {
-      await scanSourceDirectory(srcPath, sourceStructure, src);
+      await scanSourceDirectory(srcPath, sourceStructure, src, config.domainDirectories, ignore);
     }
+  }
 
-    // Scan project root for framework-specific directories
-    await scanFrameworkDirectories(projectRoot, sourceStructure, stack);
+  // Scan project root for framework-specific directories
+  await scanFrameworkDirectories(projectRoot, sourceStructure, stack, ignore);
 
-    spinner.succeed("Source directory scanned");
+  // Explicit domain mappings replace whatever was discovered for that name
+  for (const [domain, paths] of Object.entries(config.domains)) {
+    if (!sourceStructure.features.includes(domain)) sourceStructure.features.push(domain);
+    sourceStructure.domainPaths[domain] = paths;
+  }
 
-    // ==========================================
-    // Step 3: Scan Backend / Database Directory
-    // ==========================================
-    spinner.start();
-    spinner.text = "Scanning backend and database directories...";
-
-    const backendStructure = {
-      schemas: [],
-      edgeFunctions: [],
-      migrations: [],
-      prismaModels: [],
-      apiRoutes: [],
-      serverActions: [],
-      backendType: null, // supabase | prisma | drizzle | firebase | custom
-    };
-
-    // Scan Supabase directory
-    if (fs.existsSync(supabasePath)) {
-      await scanSupabaseDirectory(supabasePath, backendStructure);
-      backendStructure.backendType = "supabase";
-    }
+  spinner.succeed(step("Source directory scanned"));
+
+  // ==========================================
+  // Step 2b: Build Import Graph
+  // ==========================================
+  spinner.start();
+  spinner.text = step("Analyzing imports between domains...");
+
+  const sourceIndex = await createSourceIndex(projectRoot, ignore, path.relative(projectRoot, contextPath));
+  sourceStructure.files = sourceIndex.files;
+  const importAnalysis = analyzeImports(sourceIndex, sourceStructure.domainPaths);
+  sourceStructure.imports = importAnalysis.imports;
+  sourceStructure.fileDomains = importAnalysis.fileDomains;
+  sourceStructure.domainEdges = importAnalysis.edges;
+  if (stack.framework === "Next.js") {
+    sourceStructure.routes = scanNextRoutes(sourceIndex);
+  }
+  if (stack.navigation.includes("React Navigation") || stack.navigation.includes("Expo Router")) {
+    sourceStructure.navigationTree = scanNavigation(sourceIndex, { expoRouter: stack.navigation.includes("Expo Router") });
+  }
+  sourceStructure.stateStores = scanStateStores(sourceIndex);
+  sourceStructure.customHooks = scanHooks(sourceIndex, sourceStructure.fileDomains);
+  sourceStructure.componentCatalog = scanComponents(sourceIndex, sourceStructure.fileDomains);
+  sourceStructure.environment = scanEnvironment(sourceIndex, sourceStructure.fileDomains);
+  sourceStructure.tests = scanTests(sourceIndex, {
+    imports: sourceStructure.imports,
+    fileDomains: sourceStructure.fileDomains,
+    domains: sourceStructure.features,
+    frameworks: stack.testing,
+  });
+  sourceStructure.ownership = scanGitHistory(projectRoot, sourceStructure.domainPaths, sourceStructure.fileDomains) || {};
 
-    // Scan Prisma schema
-    const prismaSchemaPath = path.join(projectRoot, "prisma", "schema.prisma");
-    if (fs.existsSync(prismaSchemaPath)) {
-      backendStructure.backendType = backendStructure.backendType || "prisma";
-      const prismaContent = fs.readFileSync(prismaSchemaPath, "utf-8");
-      const modelMatches = prismaContent.match(/model\s+(\w+)\s*\{/g);
-      if (modelMatches) {
-        backendStructure.prismaModels = modelMatches.map((m) => m.replace(/model\s+/, "").replace(/\s*\{/, ""));
-      }
-      // Scan Prisma migrations
-      const prismaMigrationsPath = path.join(projectRoot, "prisma", "migrations");
-      if (fs.existsSync(prismaMigrationsPath)) {
-        const entries = fs.readdirSync(prismaMigrationsPath);
-        backendStructure.migrations = entries.filter((e) =>
-          fs.statSync(path.join(prismaMigrationsPath, e)).isDirectory()
-        );
-      }
+  spinner.succeed(
+    step(`Import graph built (${importAnalysis.edges.length} domain dependencies)`)
+  );
+
+  // ==========================================
+  // Step 3: Scan Backend / Database Directory
+  // ==========================================
+  spinner.start();
+  spinner.text = step("Scanning backend and database directories...");
+
+  const backendStructure = {
+    schemas: [],
+    edgeFunctions: [],
+    migrations: [],
+    prismaModels: [],
+    models: [], // normalized models from every data-model scanner
+    enums: [],
+    relations: [],
+    security: { tables: [], functions: [], triggers: [] }, // from SQL migrations
+    collections: [], // Firestore collections from rules and indexes
+    apiRoutes: [],
+    endpoints: [], // HTTP endpoints parsed from route handlers
+    procedures: [], // tRPC procedures
+    graphql: { operations: [], fragments: [], types: [], schemaFiles: [] },
+    serverActions: [],
+    dataAccess: [], // files reading and writing each table or collection
+    backendType: null, // supabase | prisma | drizzle | firebase | custom
+  };
+
+  // Scan Supabase directory
+  if (fs.existsSync(supabasePath)) {
+    await scanSupabaseDirectory(supabasePath, backendStructure);
+    backendStructure.backendType = "supabase";
+  }
+
+  // Scan Prisma schema
+  const prismaContent = readPrismaSchema(projectRoot);
+  if (prismaContent !== null) {
+    backendStructure.backendType = backendStructure.backendType || "prisma";
+    const prismaSchema = parsePrismaSchema(prismaContent);
+    backendStructure.prismaModels = prismaSchema.models.map((m) => m.name);
+    backendStructure.models.push(...prismaSchema.models);
+    backendStructure.enums.push(...prismaSchema.enums);
+    backendStructure.relations.push(...prismaSchema.relations);
+    // Scan Prisma migrations
+    const prismaMigrationsPath = path.join(projectRoot, "prisma", "migrations");
+    if (fs.existsSync(prismaMigrationsPath)) {
+      const entries = fs.readdirSync(prismaMigrationsPath);
+      backendStructure.migrations = entries.filter((e) =>
+        fs.statSync(path.join(prismaMigrationsPath, e)).isDirectory()
+      );
     }
+  }
 
-    // Scan Drizzle schema
-    const drizzlePaths = [
-      path.join(projectRoot, "drizzle"),
-      path.join(projectRoot, "src", "db"),
-      path.join(projectRoot, "src", "schema"),
-    ];
-    for (const dp of drizzlePaths) {
-      if (fs.existsSync(dp)) {
-        backendStructure.backendType = backendStructure.backendType || "drizzle";
-        break;
-      }
+  // Scan Drizzle schema
+  const drizzlePaths = [
+    path.join(projectRoot, "drizzle"),
+    path.join(projectRoot, "src", "db"),
+    path.join(projectRoot, "src", "schema"),
+  ];
+  for (const dp of drizzlePaths) {
+    if (fs.existsSync(dp)) {
+      backendStructure.backendType = backendStructure.backendType || "drizzle";
+      break;
     }
+  }
+  const drizzleSchema = scanDrizzleSchema(sourceIndex);
+  if (drizzleSchema.models.length > 0) {
+    backendStructure.backendType = backendStructure.backendType || "drizzle";
+    backendStructure.models.push(...drizzleSchema.models);
+    backendStructure.enums.push(...drizzleSchema.enums);
+    backendStructure.relations.push(...drizzleSchema.relations);
+  }
 
-    // Scan Next.js API routes
-    const apiRoutePaths = [
-      path.join(projectRoot, "app", "api"),
-      path.join(projectRoot, "src", "app", "api"),
-      path.join(projectRoot, "pages", "api"),
-      path.join(projectRoot, "src", "pages", "api"),
-    ];
-    for (const apiPath of apiRoutePaths) {
-      if (fs.existsSync(apiPath)) {
-        const files = await glob(`${apiPath}/**/*.{ts,tsx,js,jsx}`, { nodir: true });
-        backendStructure.apiRoutes = files.map((f) => path.relative(projectRoot, f));
-        break;
-      }
+  // Scan Mongoose schemas
+  const mongooseSchemas = scanMongooseSchemas(sourceIndex);
+  if (mongooseSchemas.models.length > 0) {
+    backendStructure.models.push(...mongooseSchemas.models);
+    backendStructure.relations.push(...mongooseSchemas.relations);
+  }
+
+  // Scan Firestore rules and indexes
+  const firestore = scanFirestore(projectRoot);
+  if (firestore.collections.length > 0) {
+    backendStructure.backendType = backendStructure.backendType || "firebase";
+    backendStructure.collections = firestore.collections;
+  }
+
+  // Scan Next.js API routes
+  const apiRoutePaths = [
+    path.join(projectRoot, "app", "api"),
+    path.join(projectRoot, "src", "app", "api"),
+    path.join(projectRoot, "pages", "api"),
+    path.join(projectRoot, "src", "pages", "api"),
+  ];
+  for (const apiPath of apiRoutePaths) {
+    if (fs.existsSync(apiPath)) {
+      const files = ignore.filter(await glob(`${apiPath}/**/*.{ts,tsx,js,jsx}`, { nodir: true }));
+      backendStructure.apiRoutes = files.map((f) => path.relative(projectRoot, f));
+      break;
     }
+  }
+  backendStructure.endpoints = scanApiHandlers(
+    sourceIndex,
+    sourceStructure.routes,
+    sourceStructure.imports
+  );
+  backendStructure.endpoints.push(...scanServerRoutes(sourceIndex));
+  backendStructure.procedures = scanTrpcRouters(sourceIndex, sourceStructure.fileDomains).procedures;
+  backendStructure.graphql = scanGraphql(sourceIndex, createDomainMatcher(sourceStructure.domainPaths));
+  backendStructure.dataAccess = scanDataAccess(sourceIndex, backendStructure);
+  sourceStructure.skipped = ignore.skipped();
 
-    spinner.succeed("Backend and database directories scanned");
+  spinner.succeed(step("Backend and database directories scanned"));
 
-    // ==========================================
-    // Step 4: Generate Skeleton Context Files
-    // ==========================================
-    spinner.start();
-    spinner.text = "Generating skeleton context files...";
+  // ==========================================
+  // Step 4: Generate Skeleton Context Files
+  // ==========================================
+  spinner.start();
+  spinner.text = step("Generating skeleton context files...");
 
-    const generatedFiles = [];
+  let generatedFiles = [];
 
-    if (!dryRun) {
-      ensureContextDirectory(contextPath);
-    }
+  if (!dryRun) {
+    ensureContextDirectory(contextPath);
+  }
 
-    // Generate domain context files
-    for (const domain of sourceStructure.features) {
-      const filePath = path.join(
-        contextPath,
-        "domains",
-        domain,
-        "CONTEXT.md"
-      );
-      const content = generateDomainContext(domain, stack);
-      generatedFiles.push({ path: filePath, type: "domain", content });
-    }
+  // Generate domain context files
+  for (const domain of sourceStructure.features) {
+    const filePath = path.join(
+      contextPath,
+      "domains",
+      domain,
+      "CONTEXT.md"
+    );
+    const content = generateDomainContext(domain, stack, sourceStructure, backendStructure);
+    generatedFiles.push({ path: filePath, type: "domain", content });
+  }
+
+  // Generate architecture files
+  const systemOverviewPath = path.join(
+    contextPath,
+    "architecture",
+    "SYSTEM_OVERVIEW.md"
+  );
+  const systemOverviewContent = generateSystemOverview(
+    stack,
+    sourceStructure,
+    backendStructure
+  );
+  generatedFiles.push({
+    path: systemOverviewPath,
+    type: "architecture",
+    content: systemOverviewContent,
+  });
 
-    // Generate architecture files
-    const systemOverviewPath = path.join(
+  // Generate data model if database schemas/models exist
+  const hasDataModel = backendStructure.schemas.length > 0 ||
+    backendStructure.models.length > 0 ||
+    backendStructure.collections.length > 0 ||
+    stack.database.length > 0;
+  if (hasDataModel) {
+    const dataModelPath = path.join(
       contextPath,
       "architecture",
-      "SYSTEM_OVERVIEW.md"
-    );
-    const systemOverviewContent = generateSystemOverview(
-      stack,
-      sourceStructure,
-      backendStructure
+      "DATA_MODEL.md"
     );
+    const dataModelContent = generateDataModel(backendStructure, stack);
     generatedFiles.push({
-      path: systemOverviewPath,
+      path: dataModelPath,
       type: "architecture",
-      content: systemOverviewContent,
+      content: dataModelContent,
     });
+  }
 
-    // Generate data model if database schemas/models exist
-    const hasDataModel = backendStructure.schemas.length > 0 ||
-      backendStructure.prismaModels.length > 0 ||
-      stack.database.length > 0;
-    if (hasDataModel) {
-      const dataModelPath = path.join(
-        contextPath,
-        "architecture",
-        "DATA_MODEL.md"
-      );
-      const dataModelContent = generateDataModel(backendStructure, stack);
-      generatedFiles.push({
-        path: dataModelPath,
-        type: "architecture",
-        content: dataModelContent,
-      });
-    }
+  // Generate configuration from env var usage and .env.example files
+  const { environment } = sourceStructure;
+  if (environment.variables.length > 0 || environment.exampleFiles.length > 0 || environment.expoExtra.length > 0) {
+    generatedFiles.push({
+      path: path.join(contextPath, "architecture", "CONFIGURATION.md"),
+      type: "architecture",
+      content: generateConfiguration(environment),
+    });
+  }
 
-    // Generate infrastructure skeleton
-    const infrastructurePath = path.join(
-      contextPath,
-      "architecture",
-      "INFRASTRUCTURE.md"
-    );
-    const infrastructureContent = generateInfrastructure(stack, backendStructure);
+  // Generate navigation map from Expo Router layouts and React Navigation navigators
+  const { navigationTree } = sourceStructure;
+  if (navigationTree.expoRouter || navigationTree.navigators.length > 0) {
     generatedFiles.push({
-      path: infrastructurePath,
+      path: path.join(contextPath, "architecture", "NAVIGATION.md"),
       type: "architecture",
-      content: infrastructureContent,
+      content: generateNavigation(navigationTree),
     });
+  }
 
-    // Generate patterns documentation
-    const componentsPath = path.join(
-      contextPath,
-      "patterns",
-      "COMPONENTS.md"
-    );
-    const componentsContent = generateComponentsPattern(
-      stack,
-      sourceStructure
-    );
+  // Generate security documentation from RLS policies
+  if (backendStructure.security.tables.length > 0) {
     generatedFiles.push({
-      path: componentsPath,
-      type: "patterns",
-      content: componentsContent,
+      path: path.join(contextPath, "architecture", "SECURITY.md"),
+      type: "architecture",
+      content: generateSecurity(stack, backendStructure),
     });
+  }
 
-    const formsPath = path.join(contextPath, "patterns", "FORMS.md");
-    const formsContent = generateFormsPattern(stack);
+  // Generate route map
+  const { routes } = sourceStructure;
+  if (routes.app.length > 0 || routes.pages.length > 0) {
     generatedFiles.push({
-      path: formsPath,
-      type: "patterns",
-      content: formsContent,
+      path: path.join(contextPath, "architecture", "ROUTES.md"),
+      type: "architecture",
+      content: generateRoutes(sourceStructure),
+    });
+  }
+
+  // Generate API design from route handlers, tRPC routers and GraphQL documents
+  const { graphql } = backendStructure;
+  const hasGraphql = graphql.operations.length > 0 || graphql.fragments.length > 0 || graphql.types.length > 0;
+  if (backendStructure.endpoints.length > 0 || backendStructure.procedures.length > 0 || hasGraphql) {
+    generatedFiles.push({
+      path: path.join(contextPath, "architecture", "API_DESIGN.md"),
+      type: "architecture",
+      content: generateApiDesign(backendStructure, sourceStructure),
     });
+  }
 
-    const stateManagementPath = path.join(
-      contextPath,
-      "patterns",
-      "STATE_MANAGEMENT.md"
-    );
-    const stateManagementContent = generateStateManagementPattern(
-      stack,
-      sourceStructure
-    );
+  // Generate infrastructure skeleton
+  const infrastructurePath = path.join(
+    contextPath,
+    "architecture",
+    "INFRASTRUCTURE.md"
+  );
+  const infrastructureContent = generateInfrastructure(stack, backendStructure);
+  generatedFiles.push({
+    path: infrastructurePath,
+    type: "architecture",
+    content: infrastructureContent,
+  });
+
+  // Generate patterns documentation
+  const componentsPath = path.join(
+    contextPath,
+    "patterns",
+    "COMPONENTS.md"
+  );
+  const componentsContent = generateComponentsPattern(
+    stack,
+    sourceStructure
+  );
+  generatedFiles.push({
+    path: componentsPath,
+    type: "patterns",
+    content: componentsContent,
+  });
+
+  const formsPath = path.join(contextPath, "patterns", "FORMS.md");
+  const formsContent = generateFormsPattern(stack);
+  generatedFiles.push({
+    path: formsPath,
+    type: "patterns",
+    content: formsContent,
+  });
+
+  const stateManagementPath = path.join(
+    contextPath,
+    "patterns",
+    "STATE_MANAGEMENT.md"
+  );
+  const stateManagementContent = generateStateManagementPattern(
+    stack,
+    sourceStructure
+  );
+  generatedFiles.push({
+    path: stateManagementPath,
+    type: "patterns",
+    content: stateManagementContent,
+  });
+
+  if (sourceStructure.customHooks.length > 0) {
     generatedFiles.push({
-      path: stateManagementPath,
+      path: path.join(contextPath, "patterns", "HOOKS.md"),
       type: "patterns",
-      content: stateManagementContent,
+      content: generateHooks(sourceStructure),
     });
+  }
+
+  // Drop documents whose generator is turned off in the config
+  generatedFiles = generatedFiles.filter((file) => {
+    const relative = toPosixPath(path.relative(contextPath, file.path));
+    const document = CONTEXT_DOCUMENTS.find((d) => d.path === relative);
+    return config.generators[file.type === "domain" ? "domains" : document.generator];
+  });
 
-    // Generate/update AGENTS.md
+  // Generate/update AGENTS.md
+  if (config.generators.agents) {
     const agentsPath = path.join(contextPath, "AGENTS.md");
-    const agentsContent = generateAgentsMD(stack, sourceStructure, generatedFiles.length);
+    const agentsContent = generateAgentsMD(stack, sourceStructure, generatedFiles, contextPath);
     generatedFiles.push({
       path: agentsPath,
       type: "root",
       content: agentsContent,
     });
+  }
 
-    // Write files if not dry run
-    if (!dryRun) {
-      for (const file of generatedFiles) {
-        const dir = path.dirname(file.path);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        fs.writeFileSync(file.path, file.content, "utf-8");
-      }
-    }
-
-    spinner.succeed("Skeleton context files generated");
-
-    // ==========================================
-    // Print Summary
-    // ==========================================
-    printSummary(
+  // Machine-readable graph of everything above, for tools and agents
+  if (config.generators.graph) {
+    const graph = buildGraph({
+      name: packageJson.name,
       stack,
       sourceStructure,
       backendStructure,
       generatedFiles,
-      dryRun
-    );
-  } catch (error) {
-    spinner.fail(`Error during scan: ${error.message}`);
-    console.error(error);
-    process.exit(1);
+      projectRoot,
+      contextPath,
+    });
+    generatedFiles.push({
+      path: path.join(contextPath, "graph.json"),
+      type: "graph",
+      content: JSON.stringify(graph, null, 2) + "\n",
+    });
+  }
+
+  mergeContextFiles(generatedFiles);
+
+  spinner.succeed(step("Skeleton context files generated"));
+
+  return { stack, sourceStructure, backendStructure, generatedFiles };
+}
+
+/**
+ * Scan each workspace package into `context/packages/<package>/`, then map
+ * the packages and their dependencies in the root SYSTEM_OVERVIEW.md and
+ * AGENTS.md. A package's own config file takes precedence over the root
+ * config, whose domain mappings only apply to the root.
+ */
+async function scanWorkspace(workspace, { projectRoot, contextPath, config, src, supabase, dryRun, spinner }) {
+  spinner.succeed(`${workspace.tools.join(", ")} detected (${workspace.packages.length} packages)`);
+
+  const packages = [];
+  const generatedFiles = [];
+  for (const pkg of workspace.packages) {
+    const packageRoot = path.join(projectRoot, pkg.dir);
+    const own = await loadConfig(packageRoot);
+    const packageConfig = own.source ? own.config : { ...config, domains: {} };
+    const result = await scanProject({
+      projectRoot: packageRoot,
+      packageJson: pkg.packageJson,
+      sourceRoots: src ? [src] : packageConfig.sourceRoots,
+      supabase,
+      contextPath: path.join(contextPath, "packages", pkg.slug),
+      config: packageConfig,
+      dryRun,
+      spinner,
+      label: pkg.dir,
+    });
+    packages.push({ ...pkg, stack: result.stack, domains: result.sourceStructure.features, skipped: result.sourceStructure.skipped });
+    generatedFiles.push(...result.generatedFiles);
+  }
+
+  const rootFiles = [
+    {
+      path: path.join(contextPath, "architecture", "SYSTEM_OVERVIEW.md"),
+      type: "architecture",
+      content: generateWorkspaceOverview(workspace, packages),
+    },
+    {
+      path: path.join(contextPath, "AGENTS.md"),
+      type: "root",
+      content: generateWorkspaceAgents(workspace, packages),
+    },
+  ];
+  mergeContextFiles(rootFiles);
+  generatedFiles.push(...rootFiles);
+  writeContextFiles(generatedFiles, dryRun);
+
+  printWorkspaceSummary(workspace, packages, generatedFiles, dryRun, projectRoot, config.output);
+}
+
+/**
+ * Merge generated content into existing files so only managed regions
+ * are rewritten
+ */
+function mergeContextFiles(generatedFiles) {
+  for (const file of generatedFiles) {
+    if (file.type === "graph") {
+      mergeGraphFile(file);
+    } else if (fs.existsSync(file.path)) {
+      const existing = fs.readFileSync(file.path, "utf-8");
+      const merged = mergeRegions(existing, file.content);
+      file.content = merged.content;
+      file.status = merged.status;
+      file.changedRegions = [...merged.changed, ...merged.added];
+    } else {
+      file.status = "created";
+      file.changedRegions = [];
+    }
+  }
+}
+
+/**
+ * graph.json is rewritten whole; a scan that only moves `generatedAt` leaves
+ * the file alone
+ */
+function mergeGraphFile(file) {
+  file.changedRegions = [];
+  if (!fs.existsSync(file.path)) {
+    file.status = "created";
+    return;
+  }
+  const existing = fs.readFileSync(file.path, "utf-8");
+  const withoutTimestamp = (content) => content.replace(/"generatedAt": "[^"]*"/, "");
+  file.status = withoutTimestamp(existing) === withoutTimestamp(file.content) ? "unchanged" : "updated";
+}
+
+/**
+ * Write the context files a scan created or updated
+ */
+function writeContextFiles(generatedFiles, dryRun) {
+  if (dryRun) return;
+  for (const file of generatedFiles) {
+    if (file.status !== "created" && file.status !== "updated") continue;
+    const dir = path.dirname(file.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(file.path, file.content, "utf-8");
   }
 }
 
@@ -439,13 +805,9 @@ function detectTechStack(packageJson) {
 /**
  * Scan source directory for features, components, hooks, etc.
  */
-async function scanSourceDirectory(srcPath, structure, srcDir) {
+async function scanSourceDirectory(srcPath, structure, srcDir, domainDirectories, ignore) {
   // Scan for feature domains
-  const featurePaths = [
-    path.join(srcPath, "features"),
-    path.join(srcPath, "modules"),
-    path.join(srcPath, "domains"),
-  ];
+  const featurePaths = domainDirectories.map((dir) => path.join(srcPath, dir));
 
   for (const featurePath of featurePaths) {
     if (fs.existsSync(featurePath)) {
@@ -453,7 +815,8 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
       for (const entry of entries) {
         const fullPath = path.join(featurePath, entry);
         if (fs.statSync(fullPath).isDirectory()) {
-          structure.features.push(entry);
+          if (!structure.features.includes(entry)) structure.features.push(entry);
+          addDomainPath(structure, entry, path.join(srcDir, path.relative(srcPath, fullPath)));
         }
       }
       break; // Use first existing directory
@@ -474,6 +837,7 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
         if (!structure.features.includes(name)) {
           structure.features.push(name);
         }
+        addDomainPath(structure, name, path.join(srcDir, "pages", entry));
       }
     }
   }
@@ -481,13 +845,14 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
   // Scan for components
   const componentsPath = path.join(srcPath, "components");
   if (fs.existsSync(componentsPath)) {
-    const files = await glob(`${componentsPath}/**/*.{tsx,ts,jsx,js}`, {
+    const files = ignore.filter(await glob(`${componentsPath}/**/*.{tsx,ts,jsx,js}`, {
       nodir: true,
-    });
+    }));
     structure.components = files
       .map((f) => path.relative(componentsPath, f))
-      .filter((f) => !f.includes("index"))
-      .slice(0, 10); // Limit to first 10
+      .filter((f) => !/\.(test|spec|stories|story)\.[jt]sx?$/.test(f))
+      .concat(structure.components)
+      .sort();
   }
 
   // Scan for hooks
@@ -497,12 +862,13 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
   ];
   for (const hooksPath of hooksPaths) {
     if (fs.existsSync(hooksPath)) {
-      const files = await glob(`${hooksPath}/**/*.{tsx,ts,jsx,js}`, {
+      const files = ignore.filter(await glob(`${hooksPath}/**/*.{tsx,ts,jsx,js}`, {
         nodir: true,
-      });
+      }));
       structure.hooks = files
         .map((f) => path.basename(f, path.extname(f)))
-        .filter((f) => f.startsWith("use"));
+        .filter((f) => f.startsWith("use"))
+        .concat(structure.hooks);
       break;
     }
   }
@@ -514,12 +880,13 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
   ];
   for (const storePath of storePaths) {
     if (fs.existsSync(storePath)) {
-      const files = await glob(`${storePath}/**/*.{tsx,ts,jsx,js}`, {
+      const files = ignore.filter(await glob(`${storePath}/**/*.{tsx,ts,jsx,js}`, {
         nodir: true,
-      });
+      }));
       structure.stores = files
         .map((f) => path.basename(f, path.extname(f)))
-        .filter((f) => f !== "index");
+        .filter((f) => f !== "index")
+        .concat(structure.stores);
       break;
     }
   }
@@ -532,23 +899,23 @@ async function scanSourceDirectory(srcPath, structure, srcDir) {
     `${srcPath}/**/queries.ts`,
     `${srcPath}/**/mutations.ts`,
   ];
+  const graphqlFiles = new Set(structure.graphql);
   for (const pattern of graphqlPatterns) {
-    const files = await glob(pattern);
-    if (files.length > 0) {
-      structure.graphql = files.map((f) => path.relative(srcPath, f));
-    }
+    const files = ignore.filter(await glob(pattern));
+    for (const f of files) graphqlFiles.add(path.relative(srcPath, f));
   }
+  structure.graphql = [...graphqlFiles].sort();
 
   // Scan for type definitions
-  const typeFiles = await glob(`${srcPath}/**/*.types.ts`);
-  structure.types = typeFiles.map((f) => path.relative(srcPath, f));
+  const typeFiles = ignore.filter(await glob(`${srcPath}/**/*.types.ts`));
+  structure.types = structure.types.concat(typeFiles.map((f) => path.relative(srcPath, f)));
 }
 
 /**
  * Scan framework-specific directories at project root
  * Handles Next.js app/ and pages/, React Native screens/, Expo Router app/, etc.
  */
-async function scanFrameworkDirectories(projectRoot, structure, stack) {
+async function scanFrameworkDirectories(projectRoot, structure, stack, ignore) {
   // Next.js App Router: root-level app/ directory
   const appDirPaths = [
     path.join(projectRoot, "app"),
@@ -573,6 +940,7 @@ async function scanFrameworkDirectories(projectRoot, structure, stack) {
             structure.features.push(entry);
           }
           structure.pages.push(entry);
+          addDomainPath(structure, entry, path.relative(projectRoot, fullPath));
         }
       }
       break;
@@ -602,6 +970,9 @@ async function scanFrameworkDirectories(projectRoot, structure, stack) {
           structure.features.push(name);
           structure.pages.push(name);
         }
+        if (structure.features.includes(name)) {
+          addDomainPath(structure, name, path.relative(projectRoot, path.join(rootPagesPath, entry)));
+        }
       }
     }
   }
@@ -621,6 +992,7 @@ async function scanFrameworkDirectories(projectRoot, structure, stack) {
           if (!structure.features.includes(entry)) {
             structure.features.push(entry);
           }
+          addDomainPath(structure, entry, path.relative(projectRoot, fullPath));
         } else if (entry.match(/\.(tsx?|jsx?)$/)) {
           const name = entry.replace(/\.(tsx?|jsx?)$/, "").replace(/Screen$/, "");
           structure.screens.push(name);
@@ -637,7 +1009,7 @@ async function scanFrameworkDirectories(projectRoot, structure, stack) {
   ];
   for (const navPath of navPaths) {
     if (fs.existsSync(navPath)) {
-      const files = await glob(`${navPath}/**/*.{tsx,ts,jsx,js}`, { nodir: true });
+      const files = ignore.filter(await glob(`${navPath}/**/*.{tsx,ts,jsx,js}`, { nodir: true }));
       structure.navigation = files.map((f) => path.relative(projectRoot, f));
       break;
     }
@@ -650,13 +1022,24 @@ async function scanFrameworkDirectories(projectRoot, structure, stack) {
   ];
   for (const servicesPath of servicesPaths) {
     if (fs.existsSync(servicesPath)) {
-      const files = await glob(`${servicesPath}/**/*.{tsx,ts,jsx,js}`, { nodir: true });
+      const files = ignore.filter(await glob(`${servicesPath}/**/*.{tsx,ts,jsx,js}`, { nodir: true }));
       structure.services = files.map((f) => path.relative(projectRoot, f));
       break;
     }
   }
 }
 
+/**
+ * Record a directory or file that belongs to a domain
+ */
+function addDomainPath(structure, domain, relativePath) {
+  const normalized = toPosixPath(relativePath);
+  const paths = structure.domainPaths[domain] || (structure.domainPaths[domain] = []);
+  if (!paths.includes(normalized)) {
+    paths.push(normalized);
+  }
+}
+
 /**
  * Scan Supabase directory for schemas, functions, and migrations
  */
@@ -677,13 +1060,19 @@ async function scanSupabaseDirectory(supabasePath, structure) {
       .map((e) => e);
   }
 
-  // Scan for migrations
+  // Scan for migrations, then replay them to get the current schema
   const migrationsPath = path.join(supabasePath, "migrations");
   if (fs.existsSync(migrationsPath)) {
     const files = await glob(`${migrationsPath}/**/*.sql`);
-    structure.migrations = files.map((f) =>
-      path.basename(f, path.extname(f))
-    );
+    structure.migrations = files
+      .map((f) => path.basename(f, path.extname(f)))
+      .sort();
+
+    const schema = scanSqlMigrations(migrationsPath);
+    structure.models.push(...schema.models);
+    structure.enums.push(...schema.enums);
+    structure.relations.push(...schema.relations);
+    structure.security = schema.security;
   }
 }
 
@@ -708,8 +1097,19 @@ function ensureContextDirectory(contextPath) {
 /**
  * Generate domain context file
  */
-function generateDomainContext(domain, stack) {
+function generateDomainContext(domain, stack, sourceStructure, backendStructure) {
   const timestamp = new Date().toISOString();
+  const ownership = sourceStructure.ownership[domain];
+  const apiEndpoints = generateDomainApiEndpoints(domain, sourceStructure, backendStructure);
+
+  const dependsOn = sourceStructure.domainEdges.filter((e) => e.from === domain);
+  const usedBy = sourceStructure.domainEdges.filter((e) => e.to === domain);
+  let internalDependencies = dependsOn
+    .map((e) => `- **${capitalizeWords(e.to)}** (\`domains/${e.to}/CONTEXT.md\`): ${e.count} import${e.count === 1 ? "" : "s"}`)
+    .join("\n") || "- No imports from other domains detected";
+  if (usedBy.length > 0) {
+    internalDependencies += `\n\nUsed by: ${usedBy.map((e) => `**${capitalizeWords(e.from)}**`).join(", ")}`;
+  }
 
   return `# ${capitalizeWords(domain)} Domain Context
 
@@ -717,6 +1117,8 @@ Generated: ${timestamp}
 
 ## Overview
 
+${region("ownership", ownership ? generateDomainOwnership(ownership) : "> **Owner:** [@team-member]")}
+
 The **${capitalizeWords(domain)}** domain encapsulates all functionality related to ${domain}.
 
 ## Key Concepts
@@ -737,7 +1139,7 @@ Describe state management for this domain.
 
 ### API Endpoints
 
-Document GraphQL/REST endpoints for this domain.
+${region("api-endpoints", apiEndpoints || "Document GraphQL/REST endpoints for this domain.")}
 
 ### Business Rules
 
@@ -748,15 +1150,21 @@ Document GraphQL/REST endpoints for this domain.
 
 ### Internal Dependencies
 
-- List other domains this depends on
+${region("internal-dependencies", internalDependencies)}
 
 ### External Dependencies
 
-- ${stack.backend.length > 0 ? stack.backend.join(", ") : "Backend services"}
-- ${stack.apiLayer.length > 0 ? stack.apiLayer.join(", ") : "API clients"}
+${region("external-dependencies", `- ${stack.backend.length > 0 ? stack.backend.join(", ") : "Backend services"}
+- ${stack.apiLayer.length > 0 ? stack.apiLayer.join(", ") : "API clients"}`)}
+
+## Hotspots
+
+${region("hotspots", ownership ? generateDomainHotspots(ownership) : "List the files that change most often and why.")}
 
 ## Testing Strategy
 
+${region("tests", generateDomainTests(domain, sourceStructure))}
+
 - Unit tests: Focus on business logic
 - Integration tests: Domain interactions
 - E2E tests: User workflows
@@ -773,6 +1181,96 @@ Last updated: ${timestamp}
 `;
 }
 
+/**
+ * Owner metadata block from CODEOWNERS, or the top committer
+ */
+function generateDomainOwnership(ownership) {
+  const owner = ownership.owners.length > 0
+    ? `${ownership.owners.join(", ")} (${ownership.ownerSource === "git history" ? "most commits" : ownership.ownerSource})`
+    : "[@team-member]";
+  const contributors = ownership.contributors.map((c) => `${c.name} (${c.commits} commit${c.commits === 1 ? "" : "s"})`);
+  return [
+    `> **Owner:** ${owner}`,
+    contributors.length > 0 && `> **Top contributors:** ${contributors.join(", ")}`,
+    ownership.lastChanged && `> **Last changed:** ${ownership.lastChanged}`,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * The domain's most changed files and the files that change with them
+ */
+function generateDomainHotspots(ownership) {
+  if (ownership.hotspots.length === 0) return "- No git history for this domain";
+
+  const rows = ownership.hotspots.map((h) => `| \`${h.file}\` | ${h.commits} | ${h.lines} |`);
+  const pairs = ownership.coChanges.map((c) => `- \`${c.files[0]}\` + \`${c.files[1]}\` (${c.commits} commits)`);
+  return `Most changed files in recent git history:
+
+| File | Commits | Lines changed |
+|------|---------|---------------|
+${rows.join("\n")}
+${pairs.length > 0 ? `\n**Changed together**:\n\n${pairs.join("\n")}` : ""}`;
+}
+
+/**
+ * List the test files that exercise a domain, grouped by kind, with the
+ * source files each one covers
+ */
+function generateDomainTests(domain, sourceStructure) {
+  const tests = sourceStructure.tests.filter((t) => t.domains.includes(domain));
+  if (tests.length === 0) return "- **No tests found for this domain**";
+
+  const inDomain = (file) => sourceStructure.fileDomains[file] === domain;
+  const kinds = [["unit", "Unit"], ["integration", "Integration"], ["e2e", "End-to-end"], ["flow", "Flows"]];
+  const sections = kinds
+    .map(([kind, title]) => {
+      const entries = tests.filter((t) => t.kind === kind).map((t) => {
+        const covered = t.sources.filter(inDomain);
+        return `- \`${t.file}\`${t.framework ? ` (${t.framework})` : ""}${covered.length > 0 ? `: ${covered.map((f) => `\`${f}\``).join(", ")}` : ""}`;
+      });
+      return entries.length > 0 ? `**${title}** (${entries.length}):\n\n${entries.join("\n")}` : null;
+    })
+    .filter(Boolean);
+
+  return `${tests.length} ${tests.length === 1 ? "test file exercises" : "test files exercise"} this domain.\n\n${sections.join("\n\n")}`;
+}
+
+/**
+ * List the endpoints a domain handles, the tRPC procedures it defines or
+ * calls and the GraphQL operations it defines or uses. Returns an empty
+ * string when nothing was detected.
+ */
+function generateDomainApiEndpoints(domain, sourceStructure, backendStructure) {
+  const inDomain = (file) => sourceStructure.fileDomains[file] === domain;
+  const describeProcedure = (p) =>
+    `- \`${p.path}\` (${p.kind}, ${p.protected ? "protected" : "public"})${p.input ? `: input \`${p.input}\`` : ""}`;
+  const sections = [];
+
+  const handled = backendStructure.endpoints.filter((e) => inDomain(e.file));
+  if (handled.length > 0) {
+    sections.push(`**Handled here**:\n\n${handled.map((e) => `- \`${e.method} ${e.path}\` (\`${e.file}\`)`).join("\n")}`);
+  }
+
+  const defined = backendStructure.procedures.filter((p) => inDomain(p.file));
+  if (defined.length > 0) {
+    sections.push(`**tRPC procedures defined here**:\n\n${defined.map(describeProcedure).join("\n")}`);
+  }
+
+  const called = backendStructure.procedures.filter((p) => !inDomain(p.file) && p.domains.includes(domain));
+  if (called.length > 0) {
+    sections.push(`**tRPC procedures called**:\n\n${called.map(describeProcedure).join("\n")}`);
+  }
+
+  const operations = backendStructure.graphql.operations.filter((op) => op.domains.includes(domain));
+  if (operations.length > 0) {
+    sections.push(`**GraphQL operations**:\n\n${operations.map((op) =>
+      `- \`${op.kind} ${op.name}\` → ${op.rootFields.map((f) => `\`${f}\``).join(", ")} (\`${op.file}\`)`
+    ).join("\n")}`);
+  }
+
+  return sections.join("\n\n");
+}
+
 /**
  * Generate system overview
  */
@@ -811,7 +1309,7 @@ function generateSystemOverview(stack, sourceStructure, backendStructure) {
 
   // Build database section
   let databaseSection = "";
-  if (backendStructure.schemas.length > 0 || backendStructure.prismaModels.length > 0) {
+  if (backendStructure.schemas.length > 0 || backendStructure.models.length > 0) {
     databaseSection = "Database schema is documented in DATA_MODEL.md";
   } else if (stack.database.length > 0) {
     databaseSection = `Using: ${stack.database.join(", ")}. See DATA_MODEL.md for details.`;
@@ -832,7 +1330,7 @@ Generated: ${timestamp}
 
 ## Technology Stack
 
-### Core Framework
+${region("tech-stack", `### Core Framework
 - **Framework**: ${stack.framework || "Not detected"}
 - **Platform**: ${stack.platform}
 - **React**: ${stack.react || "Not detected"}
@@ -858,15 +1356,18 @@ ${stack.testing.length > 0 ? stack.testing.map((t) => `- ${t}`).join("\n") : "-
 ${stack.backend.length > 0 ? stack.backend.map((b) => `- ${b}`).join("\n") : "- Backend integration not detected"}
 
 ### Database
-${stack.database.length > 0 ? stack.database.map((d) => `- ${d}`).join("\n") : "- Database not detected"}
+${stack.database.length > 0 ? stack.database.map((d) => `- ${d}`).join("\n") : "- Database not detected"}`)}
 
 ## Project Structure
 
 ### Domains
-${domains}
+${region("domains", domains)}
+
+### Domain Dependencies
+${region("domain-graph", generateDomainGraphMermaid(sourceStructure))}
 
 ### Key Directories
-${keyDirectories}
+${region("key-directories", keyDirectories)}
 
 ## Key Patterns
 
@@ -888,7 +1389,7 @@ Document external service integrations.
 Describe auth mechanism and flow.
 
 ### Database
-${databaseSection}
+${region("database", databaseSection)}
 
 ## Performance Considerations
 
@@ -902,6 +1403,35 @@ Last updated: ${timestamp}
 `;
 }
 
+/**
+ * Render the domain dependency graph as a Mermaid flowchart
+ */
+function generateDomainGraphMermaid(sourceStructure) {
+  if (sourceStructure.features.length === 0) {
+    return "No domains detected.";
+  }
+
+  const nodeId = (domain) => domain.replace(/[^A-Za-z0-9_]/g, "_");
+  const connected = new Set(
+    sourceStructure.domainEdges.flatMap((e) => [e.from, e.to])
+  );
+  const lines = sourceStructure.features
+    .filter((d) => !connected.has(d))
+    .map((d) => `  ${nodeId(d)}["${capitalizeWords(d)}"]`);
+  for (const edge of sourceStructure.domainEdges) {
+    lines.push(
+      `  ${nodeId(edge.from)}["${capitalizeWords(edge.from)}"] -->|${edge.count}| ${nodeId(edge.to)}["${capitalizeWords(edge.to)}"]`
+    );
+  }
+
+  return `Arrows point from a domain to the domains it imports from (labels are import counts).
+
+\`\`\`mermaid
+graph LR
+${lines.join("\n")}
+\`\`\``;
+}
+
 /**
  * Generate data model documentation
  */
@@ -910,8 +1440,11 @@ function generateDataModel(backendStructure, stack) {
 
   // Build schemas section based on what was detected
   let schemasSection = "";
-  if (backendStructure.prismaModels.length > 0) {
-    schemasSection = `### Prisma Models\n\n${backendStructure.prismaModels.map((m) => `- **${m}**: Document model fields and relationships`).join("\n")}`;
+  if (backendStructure.models.length > 0 || backendStructure.collections.length > 0) {
+    schemasSection = [
+      backendStructure.models.length > 0 ? generateModelSummary(backendStructure) : null,
+      backendStructure.collections.length > 0 ? generateFirestoreCollections(backendStructure.collections) : null,
+    ].filter(Boolean).join("\n\n");
   } else if (backendStructure.schemas.length > 0) {
     schemasSection = `### Database Schemas\n\n${backendStructure.schemas.map((s) => `- **${capitalizeWords(s)}**: Document schema tables and relationships`).join("\n")}`;
   } else if (stack.database.length > 0) {
@@ -919,12 +1452,28 @@ function generateDataModel(backendStructure, stack) {
   }
 
   const migrations = backendStructure.migrations
-    .slice(0, 5)
+    .slice(-5)
+    .reverse()
     .map((m) => `- ${m}`)
     .join("\n") || "- No migrations found";
 
+  const hasModels = backendStructure.models.length > 0;
+
+  const { functions, triggers } = backendStructure.security;
+  let databaseObjects = "";
+  if (functions.length > 0 || triggers.length > 0) {
+    const functionLines = functions
+      .map((f) => `- \`${f.name}(${f.args})\`${f.returns ? ` → \`${f.returns}\`` : ""}${f.language ? ` (${f.language}${f.securityDefiner ? ", security definer" : ""})` : ""}`)
+      .join("\n") || "- None";
+    const triggerLines = triggers
+      .map((t) => `- \`${t.name}\` on \`${t.table}\`: ${t.timing} ${t.events.join(" OR ")} for each ${t.forEach.toLowerCase()}${t.function ? ` → \`${t.function}()\`` : ""}`)
+      .join("\n") || "- None";
+    databaseObjects = `### Functions\n\n${functionLines}\n\n### Triggers\n\n${triggerLines}`;
+  }
+
   // Determine if SQL or NoSQL
-  const isNoSQL = stack.database.some((d) => d.includes("MongoDB") || d.includes("Realm") || d.includes("WatermelonDB"));
+  const isNoSQL = stack.database.some((d) => d.includes("MongoDB") || d.includes("Realm") || d.includes("WatermelonDB")) ||
+    backendStructure.collections.length > 0;
 
   return `# Data Model
 
@@ -932,22 +1481,22 @@ Generated: ${timestamp}
 
 ## ${isNoSQL ? "Collections & Documents" : "Schemas"}
 
-${schemasSection}
+${region("schemas", schemasSection)}
 
 ## ${isNoSQL ? "Document Structure & References" : "Tables & Relationships"}
 
 ### Schema Overview
 
-Document the primary entities and their relationships.
+${region("er-diagram", hasModels ? generateErDiagram(backendStructure) : `Document the primary entities and their relationships.
 
 \`\`\`
 Entity1 --hasMany--> Entity2
 Entity1 --hasOne--> Entity3
-\`\`\`
+\`\`\``)}
 
 ## Key Entities
 
-### Entity 1
+${region("key-entities", hasModels ? generateEntityDetails(backendStructure) : `### Entity 1
 
 - **Fields**: id, name, created_at
 - **Relationships**: References to other entities
@@ -957,11 +1506,15 @@ Entity1 --hasOne--> Entity3
 
 - **Fields**: List fields
 - **Relationships**: Document relationships
-- **Constraints**: Describe business constraints
+- **Constraints**: Describe business constraints`)}
+
+${databaseObjects ? `## Database Functions & Triggers
+
+${region("database-functions", databaseObjects)}
 
-## Recent Migrations
+` : ""}## Recent Migrations
 
-${migrations}
+${region("migrations", migrations)}
 
 ## Migration Strategy
 
@@ -989,6 +1542,152 @@ Last updated: ${timestamp}
 `;
 }
 
+const MODEL_SOURCE_LABELS = {
+  prisma: "Prisma Models",
+  supabase: "Supabase Tables",
+  drizzle: "Drizzle Tables",
+  mongoose: "Mongoose Models",
+};
+
+/**
+ * Summarize detected models grouped by the schema they were read from
+ */
+function generateModelSummary(backendStructure) {
+  const sections = [];
+  const sources = [...new Set(backendStructure.models.map((m) => m.source))];
+
+  for (const source of sources) {
+    const models = backendStructure.models.filter((m) => m.source === source);
+    const lines = models.map((m) => {
+      const table = m.tableName && m.tableName !== m.name ? ` (\`${m.tableName}\`)` : "";
+      const columns = m.fields.filter((f) => !f.relation).length;
+      const relationCount = backendStructure.relations.filter(
+        (r) => r.from === m.name || r.to === m.name
+      ).length;
+      return `- **${m.name}**${table}: ${columns} field${columns === 1 ? "" : "s"}, ${relationCount} relation${relationCount === 1 ? "" : "s"}`;
+    });
+    sections.push(`### ${MODEL_SOURCE_LABELS[source] || capitalizeWords(source)}\n\n${lines.join("\n")}`);
+  }
+
+  if (backendStructure.enums.length > 0) {
+    const enums = backendStructure.enums
+      .map((e) => `- **${e.name}**: ${e.values.map((v) => `\`${v}\``).join(", ")}`)
+      .join("\n");
+    sections.push(`### Enums\n\n${enums}`);
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * List Firestore collections with the fields their rules reference, the
+ * rule conditions per operation and composite indexes
+ */
+function generateFirestoreCollections(collections) {
+  const entries = collections.map((c) => {
+    const rules = c.rules.map((r) => `  - \`${r.operations.join(", ")}\`: \`${r.condition}\``);
+    const lines = [`#### \`${c.path}\``];
+    if (c.fields.length > 0) {
+      lines.push("", `- **Fields referenced in rules**: ${c.fields.map((f) => `\`${f}\``).join(", ")}`);
+    } else {
+      lines.push("");
+    }
+    lines.push(`- **Access rules**:${rules.length > 0 ? `\n${rules.join("\n")}` : " None (denied by default)"}`);
+    if (c.indexes.length > 0) {
+      const indexes = c.indexes.map((i) => `  - \`(${i.fields.join(", ")})\`${i.queryScope === "COLLECTION_GROUP" ? " (collection group)" : ""}`);
+      lines.push(`- **Composite indexes**:\n${indexes.join("\n")}`);
+    }
+    return lines.join("\n");
+  });
+
+  return `### Firestore Collections\n\n${entries.join("\n\n")}`;
+}
+
+/**
+ * Render per-model field tables with relationships and indexes
+ */
+function generateEntityDetails(backendStructure) {
+  return backendStructure.models.map((model) => {
+    const rows = model.fields.map((f) => {
+      const type = `${f.type}${f.list ? "[]" : ""}${f.optional ? "?" : ""}`;
+      const keys = [
+        f.primaryKey || model.primaryKey.includes(f.name) ? "PK" : null,
+        f.unique ? "unique" : null,
+        f.foreignKey ? "FK" : null,
+        f.relation ? "relation" : null,
+      ].filter(Boolean).join(", ");
+      return `| \`${f.name}\` | \`${escapeTableCell(type)}\` | ${f.optional || f.list ? "No" : "Yes"} | ${f.default !== null && f.default !== undefined ? `\`${escapeTableCell(f.default)}\`` : ""} | ${keys} |`;
+    });
+
+    const relationships = backendStructure.relations
+      .filter((r) => r.from === model.name || r.to === model.name)
+      .map((r) => {
+        const via = r.fromFields.length > 0 ? ` via \`${r.fromFields.join(", ")}\`` : "";
+        return r.from === model.name
+          ? `- \`${r.name}\` → **${r.to}** (${r.cardinality}${via})`
+          : `- **${r.from}**.\`${r.name}\` → this (${r.cardinality}${via})`;
+      });
+
+    const indexes = [
+      model.primaryKey.length > 1 ? `- Primary key: \`(${model.primaryKey.join(", ")})\`` : null,
+      ...model.uniques.map((u) => `- Unique: \`(${u.join(", ")})\``),
+      ...model.indexes.map((i) => `- ${i.unique ? "Unique index" : "Index"}${i.name ? ` \`${i.name}\`` : ""}: \`(${i.fields.join(", ")})\``),
+    ].filter(Boolean);
+
+    const table = model.tableName && model.tableName !== model.name ? `\n${model.source === "mongoose" ? "Collection" : "Table"}: \`${model.tableName}\`\n` : "";
+    const virtuals = (model.virtuals || []).map((v) =>
+      v.ref
+        ? `- \`${v.name}\` → **${v.ref}** (\`${v.localField}\` = \`${v.foreignField}\`${v.justOne ? ", one" : ", many"})`
+        : `- \`${v.name}\` (computed)`
+    );
+
+    return `### ${model.name}
+${table}
+| Field | Type | Required | Default | Keys |
+|-------|------|----------|---------|------|
+${rows.join("\n")}
+
+- **Relationships**:${relationships.length > 0 ? `\n${relationships.map((l) => `  ${l}`).join("\n")}` : " None"}
+- **Indexes**:${indexes.length > 0 ? `\n${indexes.map((l) => `  ${l}`).join("\n")}` : " None beyond the primary key"}${virtuals.length > 0 ? `\n- **Virtuals**:\n${virtuals.map((l) => `  ${l}`).join("\n")}` : ""}`;
+  }).join("\n\n");
+}
+
+/**
+ * Render models and relations as a Mermaid entity-relationship diagram
+ */
+function generateErDiagram(backendStructure) {
+  const entityId = (name) => name.replace(/[^A-Za-z0-9_-]/g, "_");
+  const lines = ["erDiagram"];
+
+  for (const model of backendStructure.models) {
+    const attributes = model.fields
+      .filter((f) => !f.relation)
+      .map((f) => {
+        const keys = [
+          f.primaryKey || model.primaryKey.includes(f.name) ? "PK" : null,
+          f.foreignKey ? "FK" : null,
+          f.unique ? "UK" : null,
+        ].filter(Boolean).join(",");
+        const type = f.type.replace(/[^A-Za-z0-9_]/g, "_") + (f.list ? "_list" : "");
+        return `    ${type} ${f.name.replace(/[^A-Za-z0-9_]/g, "_")}${keys ? ` ${keys}` : ""}`;
+      });
+    lines.push(`  ${entityId(model.name)} {`, ...attributes, "  }");
+  }
+
+  const connectors = {
+    "many-to-one": (optional) => (optional ? "|o--o{" : "||--o{"),
+    "one-to-one": (optional) => (optional ? "|o--o|" : "||--o|"),
+    "many-to-many": () => "}o--o{",
+  };
+  for (const r of backendStructure.relations) {
+    const connector = (connectors[r.cardinality] || connectors["many-to-one"])(r.optional);
+    // Mermaid reads left to right, so put the referenced ("one") side first
+    lines.push(`  ${entityId(r.to)} ${connector} ${entityId(r.from)} : "${r.name}"`);
+  }
+
+  return `\`\`\`mermaid\n${lines.join("\n")}\n\`\`\``;
+}
+
 /**
  * Generate infrastructure documentation
  */
@@ -1026,12 +1725,15 @@ function generateInfrastructure(stack, backendStructure) {
 
   // Build API routes section if detected
   let apiRoutesSection = "";
-  if (backendStructure.apiRoutes.length > 0) {
+  if (backendStructure.endpoints.length > 0) {
+    const files = new Set(backendStructure.endpoints.map((e) => e.file)).size;
+    apiRoutesSection = `## API Routes\n\n${backendStructure.endpoints.length} endpoints in ${files} handler files. See \`architecture/API_DESIGN.md\` for methods, paths and request schemas.`;
+  } else if (backendStructure.apiRoutes.length > 0) {
     const routes = backendStructure.apiRoutes
       .slice(0, 10)
       .map((r) => `- \`${r}\``)
       .join("\n");
-    apiRoutesSection = `\n## API Routes\n\n${routes}\n`;
+    apiRoutesSection = `## API Routes\n\n${routes}`;
   }
 
   return `# Infrastructure
@@ -1046,7 +1748,7 @@ Generated: ${timestamp}
 - **Staging**: Staging environment details
 - **Production**: Production deployment info
 
-${deploymentNotes}
+${region("deployment", deploymentNotes)}
 
 ### Build & Release
 
@@ -1056,11 +1758,13 @@ ${deploymentNotes}
 
 ## Backend Services
 
-${stack.backend.length > 0 ? stack.backend.map((b) => `### ${b}\n- Configuration\n- Key endpoints\n- Authentication`).join("\n\n") : "- No backend services detected"}
-${apiRoutesSection}
+${region("backend-services", stack.backend.length > 0 ? stack.backend.map((b) => `### ${b}\n- Configuration\n- ${describeServiceEndpoints(b, backendStructure)}\n- Authentication`).join("\n\n") : "- No backend services detected")}
+
+${region("api-routes", apiRoutesSection)}
+
 ## Serverless / Edge Functions
 
-${edgeFunctions}
+${region("edge-functions", edgeFunctions)}
 
 ## Monitoring & Logging
 
@@ -1089,15 +1793,68 @@ Last updated: ${timestamp}
 `;
 }
 
+/**
+ * Summarize the endpoints a server framework exposes, if any were extracted
+ */
+function describeServiceEndpoints(service, backendStructure) {
+  const endpoints = backendStructure.endpoints.filter((e) => e.framework === service);
+  if (endpoints.length === 0) return "Key endpoints";
+
+  const files = new Set(endpoints.map((e) => e.file)).size;
+  return `Key endpoints: ${endpoints.length} routes in ${files} file${files === 1 ? "" : "s"} (see \`architecture/API_DESIGN.md\`)`;
+}
+
+/**
+ * One table per directory, grouped by owning domain, so agents can search
+ * for a component name and find its file, props and tests
+ */
+function generateComponentCatalog(catalog) {
+  const byDomain = new Map();
+  for (const component of catalog) {
+    const domain = component.domain || "";
+    if (!byDomain.has(domain)) byDomain.set(domain, new Map());
+    const directories = byDomain.get(domain);
+    if (!directories.has(component.directory)) directories.set(component.directory, []);
+    directories.get(component.directory).push(component);
+  }
+
+  const fileNames = (files) => files.map((f) => `\`${path.posix.basename(f)}\``).join(", ");
+  const sections = [...byDomain.keys()]
+    .sort((a, b) => (a === "") - (b === "") || a.localeCompare(b))
+    .map((domain) => {
+      const tables = [...byDomain.get(domain).entries()].map(([directory, components]) => {
+        const rows = components.map((c) => {
+          const props = c.props
+            ? [c.props.type && `\`${escapeTableCell(c.props.type)}\``, c.props.fields.map((f) => `\`${escapeTableCell(f)}\``).join(", ")].filter(Boolean).join("<br>")
+            : "";
+          const notes = [c.client ? "client" : null, ...c.wrappers].filter(Boolean).join(", ");
+          return `| \`${c.name}\` | \`${path.posix.basename(c.file)}\` | ${c.exportType} | ${props} | ${notes} | ${fileNames(c.tests)} | ${fileNames(c.stories)} |`;
+        });
+        return `#### \`${directory}\`
+
+| Component | File | Export | Props | Notes | Tests | Stories |
+|-----------|------|--------|-------|-------|-------|---------|
+${rows.join("\n")}`;
+      });
+      return `### ${domain ? `Domain: ${domain}` : "Shared"}\n\n${tables.join("\n\n")}`;
+    });
+
+  const untested = catalog.filter((c) => c.tests.length === 0).length;
+  return [`${catalog.length} components, ${untested} without a co-located test. Notes list \`"use client"\` and \`forwardRef\`/\`memo\` wrappers.`, ...sections].join("\n\n");
+}
+
 /**
  * Generate components pattern documentation
  */
 function generateComponentsPattern(stack, sourceStructure) {
   const timestamp = new Date().toISOString();
-  const componentList = sourceStructure.components
-    .slice(0, 5)
-    .map((c) => `- **${path.basename(c, path.extname(c))}**: ${path.dirname(c)}`)
-    .join("\n") || "- No components scanned";
+  const catalog = sourceStructure.componentCatalog;
+  const directories = new Set(catalog.map((c) => c.directory)).size;
+  const componentList = catalog.length > 0
+    ? `${catalog.length} exported component${catalog.length === 1 ? "" : "s"} in ${directories} director${directories === 1 ? "y" : "ies"}. See the Component Catalog below.`
+    : sourceStructure.components
+      .map((c) => `- **${path.basename(c, path.extname(c))}**: ${path.dirname(c)}`)
+      .join("\n") || "- No components scanned";
 
   return `# Component Patterns
 
@@ -1107,8 +1864,12 @@ Generated: ${timestamp}
 
 ### Shared Components
 
-${componentList}
+${region("components", componentList)}
+${catalog.length > 0 ? `
+## Component Catalog
 
+${region("component-catalog", generateComponentCatalog(catalog))}
+` : ""}
 ### Component Composition
 
 Document how components are composed together.
@@ -1134,11 +1895,11 @@ interface ComponentProps {
 
 ## Styling Approach
 
-${stack.css.map((s) => `- ${s}: Styling methodology`).join("\n")}
+${region("styling", stack.css.map((s) => `- ${s}: Styling methodology`).join("\n"))}
 
 ## UI Library Patterns
 
-${stack.uiLibrary.length > 0 ? stack.uiLibrary.map((lib) => `- ${lib}: Component usage patterns`).join("\n") : "- No UI library detected"}
+${region("ui-libraries", stack.uiLibrary.length > 0 ? stack.uiLibrary.map((lib) => `- ${lib}: Component usage patterns`).join("\n") : "- No UI library detected")}
 
 ## Reusable Component Categories
 
@@ -1179,9 +1940,9 @@ Generated: ${timestamp}
 ### Form State Management
 
 Document how form state is managed:
-- Local component state
+${region("form-state", `- Local component state
 - External state management (${stack.stateManagement.join(", ") || "None detected"})
-- Form library patterns
+- Form library patterns`)}
 
 ### Form Libraries
 
@@ -1252,15 +2013,39 @@ Last updated: ${timestamp}
 `;
 }
 
+/**
+ * Describe one store's contract: state keys, actions, selectors,
+ * middleware and the files that consume it
+ */
+function describeStateStore(store) {
+  const list = (items) => items.map((i) => `\`${i}\``).join(", ");
+  const lines = [
+    store.state.length > 0 && `- **State**: ${list(store.state)}`,
+    store.actions.length > 0 && `- **Actions**: ${list(store.actions)}`,
+    store.selectors.length > 0 && `- **Selectors**: ${list(store.selectors)}`,
+    store.middleware.length > 0 && `- **Middleware**: ${list(store.middleware)}`,
+    store.persistence.length > 0 && `- **Persistence**: ${store.persistence.join("; ")}`,
+    `- **Used by**: ${store.consumers.length > 0 ? list(store.consumers) : "No consumers found"}`,
+  ].filter(Boolean);
+
+  return `#### ${store.name} (${store.library})
+
+Defined in \`${store.file}\`
+
+${lines.join("\n")}`;
+}
+
 /**
  * Generate state management pattern documentation
  */
 function generateStateManagementPattern(stack, sourceStructure) {
   const timestamp = new Date().toISOString();
-  const stores = sourceStructure.stores
-    .slice(0, 5)
-    .map((s) => `- **${capitalizeWords(s)}**: Describe store purpose`)
-    .join("\n") || "- No stores detected";
+  const stores = sourceStructure.stateStores.length > 0
+    ? sourceStructure.stateStores.map(describeStateStore).join("\n\n")
+    : sourceStructure.stores
+      .slice(0, 5)
+      .map((s) => `- **${capitalizeWords(s)}**: Describe store purpose`)
+      .join("\n") || "- No stores detected";
 
   const stateLib = stack.stateManagement.length > 0
     ? stack.stateManagement.join(", ")
@@ -1272,12 +2057,12 @@ Generated: ${timestamp}
 
 ## State Management Library
 
-Using: ${stateLib}
+${region("state-library", `Using: ${stateLib}`)}
 
 ## Store Architecture
 
 ### Stores
-${stores}
+${region("stores", stores)}
 
 ## Store Structure
 
@@ -1348,11 +2133,41 @@ Last updated: ${timestamp}
 `;
 }
 
+/**
+ * Context documents scan can generate, in the order AGENTS.md lists them
+ */
+const CONTEXT_DOCUMENTS = [
+  { path: "architecture/SYSTEM_OVERVIEW.md", generator: "system-overview", title: "System Overview", description: "High-level architecture and tech stack" },
+  { path: "architecture/DATA_MODEL.md", generator: "data-model", title: "Data Model", description: "Database schema and data relationships" },
+  { path: "architecture/ROUTES.md", generator: "routes", title: "Routes", description: "URL to file map, layouts and middleware" },
+  { path: "architecture/NAVIGATION.md", generator: "navigation", title: "Navigation", description: "Navigator tree, screens, params and deep links" },
+  { path: "architecture/API_DESIGN.md", generator: "api-design", title: "API Design", description: "Endpoints, methods and request schemas" },
+  { path: "architecture/CONFIGURATION.md", generator: "configuration", title: "Configuration", description: "Environment variables, where they are read and documented" },
+  { path: "architecture/SECURITY.md", generator: "security", title: "Security", description: "Row level security and policies" },
+  { path: "architecture/INFRASTRUCTURE.md", generator: "infrastructure", title: "Infrastructure", description: "Deployment, services, and operations" },
+  { path: "patterns/COMPONENTS.md", generator: "components", title: "Component Patterns", description: "React component architecture" },
+  { path: "patterns/FORMS.md", generator: "forms", title: "Form Patterns", description: "Form handling and validation" },
+  { path: "patterns/STATE_MANAGEMENT.md", generator: "state-management", title: "State Management", description: "State management patterns" },
+  { path: "patterns/HOOKS.md", generator: "hooks", title: "Hooks", description: "Custom hooks, their signatures and callers" },
+];
+
 /**
  * Generate AGENTS.md file
  */
-function generateAgentsMD(stack, sourceStructure, fileCount) {
+function generateAgentsMD(stack, sourceStructure, generatedFiles, contextPath) {
   const timestamp = new Date().toISOString();
+  const fileCount = generatedFiles.length;
+
+  // List only the documents this scan actually produced
+  const generatedPaths = new Set(
+    generatedFiles.map((f) => toPosixPath(path.relative(contextPath, f.path)))
+  );
+  const documented = CONTEXT_DOCUMENTS
+    .filter((doc) => generatedPaths.has(doc.path))
+    .map((doc) => `- **${doc.title}** (\`${doc.path}\`): ${doc.description}`);
+  if (sourceStructure.features.length > 0) {
+    documented.push("- **Domain Contexts** (`domains/{domain}/CONTEXT.md`): Feature domain documentation");
+  }
 
   // Build component organization note based on platform
   let componentOrgNote = "";
@@ -1386,17 +2201,11 @@ This context graph enables Claude, Cursor, and other AI agents to understand you
 
 ### What's Documented
 
-- **System Overview** (\`architecture/SYSTEM_OVERVIEW.md\`): High-level architecture and tech stack
-- **Data Model** (\`architecture/DATA_MODEL.md\`): Database schema and data relationships
-- **Infrastructure** (\`architecture/INFRASTRUCTURE.md\`): Deployment, services, and operations
-- **Component Patterns** (\`patterns/COMPONENTS.md\`): React component architecture
-- **Form Patterns** (\`patterns/FORMS.md\`): Form handling and validation
-- **State Management** (\`patterns/STATE_MANAGEMENT.md\`): State management patterns
-- **Domain Contexts** (\`domains/{domain}/CONTEXT.md\`): Feature domain documentation
+${region("documented-files", documented.join("\n"))}
 
 ### Technology Stack
 
-**Framework & Platform**
+${region("tech-stack", `**Framework & Platform**
 - Framework: ${stack.framework || "Not detected"}
 - Platform: ${stack.platform}
 - Build Tool: ${stack.buildTool || "Not detected"}
@@ -1419,22 +2228,23 @@ ${stack.testing.length > 0 ? stack.testing.map((t) => `- ${t}`).join("\n") : "-
 
 **Backend**
 ${stack.backend.length > 0 ? stack.backend.map((b) => `- ${b}`).join("\n") : "- Backend not configured"}
-${databaseSection}
+${databaseSection}`)}
+
 ### Project Domains
 
 The following feature domains have been identified:
 
-${sourceStructure.features.length > 0
+${region("domains", sourceStructure.features.length > 0
   ? sourceStructure.features.map((f) => `- **${capitalizeWords(f)}** (\`domains/${f}/CONTEXT.md\`)`).join("\n")
   : "- No feature domains detected"
-}
+)}
 
 ### Key Patterns to Know
 
-1. **Component Organization**: ${componentOrgNote}
+${region("key-patterns", `1. **Component Organization**: ${componentOrgNote}
 2. **State Pattern**: ${stack.stateManagement.length > 0 ? stack.stateManagement[0] : "Custom implementation"}
 3. **API Communication**: ${stack.apiLayer.length > 0 ? stack.apiLayer[0] : "Fetch/Axios"}
-4. **Styling**: ${stack.css.length > 0 ? stack.css[0] : "CSS modules or platform default"}
+4. **Styling**: ${stack.css.length > 0 ? stack.css[0] : "CSS modules or platform default"}`)}
 
 ### Before Making Changes
 
@@ -1448,7 +2258,7 @@ When an agent encounters a task:
 
 ### File Structure Generated
 
-Total context files generated: ${fileCount}
+${region("file-count", `Total context files generated: ${fileCount}`)}
 
 Generated: ${timestamp}
 
@@ -1461,7 +2271,7 @@ Generated: ${timestamp}
 /**
  * Print summary of scan results
  */
-function printSummary(stack, sourceStructure, backendStructure, generatedFiles, dryRun) {
+function printSummary(stack, sourceStructure, backendStructure, generatedFiles, dryRun, projectRoot, output) {
   console.log("\n");
   console.log(chalk.bold("========================================"));
   console.log(chalk.bold.cyan("  Context Graph Generator Scan Summary"));
@@ -1508,20 +2318,54 @@ function printSummary(stack, sourceStructure, backendStructure, generatedFiles,
   console.log(
     `  Components: ${chalk.cyan(sourceStructure.components.length)} found`
   );
-  console.log(`  Hooks: ${chalk.cyan(sourceStructure.hooks.length)} found`);
+  console.log(`  Hooks: ${chalk.cyan(sourceStructure.customHooks.length || sourceStructure.hooks.length)} found`);
   console.log(`  Stores: ${chalk.cyan(sourceStructure.stores.length)} found`);
+  if (sourceStructure.stateStores.length > 0) {
+    console.log(`  Store Definitions: ${chalk.cyan(sourceStructure.stateStores.length)} found`);
+  }
+  if (sourceStructure.environment.variables.length > 0) {
+    const undocumented = sourceStructure.environment.issues.undocumented.length;
+    console.log(
+      `  Environment Variables: ${chalk.cyan(sourceStructure.environment.variables.length)} found${undocumented > 0 ? chalk.yellow(` (${undocumented} undocumented)`) : ""}`
+    );
+  }
   if (sourceStructure.screens.length > 0) {
     console.log(`  Screens: ${chalk.cyan(sourceStructure.screens.length)} found`);
   }
   if (sourceStructure.apiRoutes.length > 0) {
     console.log(`  API Routes: ${chalk.cyan(sourceStructure.apiRoutes.length)} found`);
   }
+  const routeCount = sourceStructure.routes.app.length + sourceStructure.routes.pages.length;
+  if (routeCount > 0) {
+    console.log(`  Routes: ${chalk.cyan(routeCount)} found`);
+  }
   if (sourceStructure.navigation.length > 0) {
     console.log(`  Navigation Files: ${chalk.cyan(sourceStructure.navigation.length)} found`);
   }
+  if (sourceStructure.tests.length > 0) {
+    const counts = ["unit", "integration", "e2e", "flow"]
+      .map((kind) => [kind, sourceStructure.tests.filter((t) => t.kind === kind).length])
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind}`);
+    const total = sourceStructure.tests.length;
+    console.log(`  Tests: ${chalk.cyan(total)} file${total === 1 ? "" : "s"} (${counts.join(", ")})`);
+  }
+  const untested = sourceStructure.features.filter((d) => !sourceStructure.tests.some((t) => t.domains.includes(d)));
+  if (untested.length > 0) {
+    console.log(`  Domains without tests: ${chalk.yellow(untested.join(", "))}`);
+  }
+  const { expoRouter, navigators } = sourceStructure.navigationTree;
+  if (expoRouter || navigators.length > 0) {
+    const screenCount = (expoRouter ? expoRouter.routes.filter((r) => r.type !== "API route").length : 0) +
+      navigators.reduce((sum, n) => sum + n.screens.filter((s) => !s.navigator).length, 0);
+    console.log(`  Navigators: ${chalk.cyan((expoRouter ? expoRouter.layouts.length : 0) + navigators.length)} found (${screenCount} screens)`);
+  }
   console.log(
     `  GraphQL Files: ${chalk.cyan(sourceStructure.graphql.length)} found`
   );
+  if (Object.keys(sourceStructure.skipped).length > 0) {
+    console.log(`  Skipped: ${formatSkipped(sourceStructure.skipped)}`);
+  }
 
   console.log("\n" + chalk.bold("Backend Structure:"));
   if (backendStructure.backendType) {
@@ -1537,6 +2381,31 @@ function printSummary(stack, sourceStructure, backendStructure, generatedFiles,
       `  Prisma Models: ${chalk.cyan(backendStructure.prismaModels.length)} found`
     );
   }
+  if (backendStructure.models.length > 0) {
+    console.log(
+      `  Data Models: ${chalk.cyan(backendStructure.models.length)} found (${chalk.cyan(backendStructure.relations.length)} relations)`
+    );
+  }
+  if (backendStructure.endpoints.length > 0) {
+    console.log(
+      `  API Endpoints: ${chalk.cyan(backendStructure.endpoints.length)} found`
+    );
+  }
+  if (backendStructure.procedures.length > 0) {
+    console.log(
+      `  tRPC Procedures: ${chalk.cyan(backendStructure.procedures.length)} found`
+    );
+  }
+  if (backendStructure.graphql.operations.length > 0 || backendStructure.graphql.types.length > 0) {
+    console.log(
+      `  GraphQL Operations: ${chalk.cyan(backendStructure.graphql.operations.length)} found (${chalk.cyan(backendStructure.graphql.types.length)} schema types)`
+    );
+  }
+  if (backendStructure.collections.length > 0) {
+    console.log(
+      `  Firestore Collections: ${chalk.cyan(backendStructure.collections.length)} found`
+    );
+  }
   if (backendStructure.edgeFunctions.length > 0) {
     console.log(
       `  Edge/Serverless Functions: ${chalk.cyan(backendStructure.edgeFunctions.length)} found`
@@ -1553,6 +2422,13 @@ function printSummary(stack, sourceStructure, backendStructure, generatedFiles,
     );
   }
 
+  printFileChanges(generatedFiles, dryRun, projectRoot, output);
+}
+
+/**
+ * Print generated file counts, per-file changes and next steps
+ */
+function printFileChanges(generatedFiles, dryRun, projectRoot, output) {
   console.log("\n" + chalk.bold("Generated Files:"));
   console.log(`  Total files: ${chalk.cyan(generatedFiles.length)}`);
 
@@ -1565,15 +2441,33 @@ function printSummary(stack, sourceStructure, backendStructure, generatedFiles,
     console.log(`    ${type}: ${chalk.cyan(count)}`);
   }
 
+  console.log("\n" + chalk.bold("File Changes:"));
+  for (const file of generatedFiles) {
+    const relativePath = path.relative(projectRoot, file.path);
+    if (file.status === "created") {
+      console.log(`  ${chalk.green("+")} ${relativePath}`);
+    } else if (file.status === "updated") {
+      console.log(
+        `  ${chalk.yellow("~")} ${relativePath} ${chalk.dim(`(${file.changedRegions.join(", ")})`)}`
+      );
+    } else if (file.status === "skipped") {
+      console.log(
+        `  ${chalk.gray("-")} ${relativePath} ${chalk.dim("(no generated regions, left untouched; delete it to regenerate)")}`
+      );
+    } else {
+      console.log(`  ${chalk.gray("=")} ${relativePath} ${chalk.dim("(unchanged)")}`);
+    }
+  }
+
   if (!dryRun) {
-    console.log("\n" + chalk.green("✓ Context files written to ./context/"));
+    console.log("\n" + chalk.green(`✓ Context files written to ./${output}/`));
   } else {
     console.log("\n" + chalk.yellow("(DRY RUN - no files written)"));
   }
 
   console.log("\n" + chalk.bold("Next Steps:"));
   console.log(
-    "  1. Review generated files in ./context/architecture/ and ./context/domains/"
+    `  1. Review generated files in ./${output}/architecture/ and ./${output}/domains/`
   );
   console.log("  2. Fill in template sections with actual documentation");
   console.log("  3. Run 'context-graph-generator verify' to check completeness");
@@ -1582,6 +2476,50 @@ function printSummary(stack, sourceStructure, backendStructure, generatedFiles,
   );
 }
 
+/**
+ * Print a monorepo scan summary: workspace tooling, one line per package
+ * and the file changes across all packages
+ */
+function printWorkspaceSummary(workspace, packages, generatedFiles, dryRun, projectRoot, output) {
+  console.log("\n");
+  console.log(chalk.bold("========================================"));
+  console.log(chalk.bold.cyan("  Context Graph Generator Scan Summary"));
+  console.log(chalk.bold("========================================"));
+
+  console.log("\n" + chalk.bold("Workspace:"));
+  console.log(`  Tooling: ${chalk.cyan(workspace.tools.join(", "))}`);
+  console.log(`  Package Manager: ${chalk.cyan(workspace.packageManager)}`);
+
+  console.log("\n" + chalk.bold("Packages:"));
+  for (const pkg of packages) {
+    const uses = pkg.dependencies.length > 0 ? chalk.dim(` → ${pkg.dependencies.join(", ")}`) : "";
+    console.log(
+      `  ${pkg.dir}: ${chalk.cyan(pkg.stack.framework || "Library")}, ${chalk.cyan(pkg.domains.length)} domain${pkg.domains.length === 1 ? "" : "s"}${uses}`
+    );
+  }
+
+  const skipped = {};
+  for (const pkg of packages) {
+    for (const [reason, count] of Object.entries(pkg.skipped)) skipped[reason] = (skipped[reason] || 0) + count;
+  }
+  if (Object.keys(skipped).length > 0) {
+    console.log(`  Skipped: ${formatSkipped(skipped)}`);
+  }
+
+  printFileChanges(generatedFiles, dryRun, projectRoot, output);
+}
+
+/**
+ * Skipped file counts, e.g. "12 files (.gitignore: 9, generated: 3)"
+ */
+function formatSkipped(skipped) {
+  const total = Object.values(skipped).reduce((sum, count) => sum + count, 0);
+  const reasons = Object.entries(skipped)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, count]) => `${reason}: ${count}`);
+  return `${chalk.cyan(total)} file${total === 1 ? "" : "s"} (${reasons.join(", ")})`;
+}
+
 /**
  * Capitalize each word in a string
  */
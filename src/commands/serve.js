@@ -0,0 +1,302 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import chalk from "chalk";
+import { globSync } from "glob";
+import { loadConfig } from "../lib/config.js";
+import { loadGraph, graphDirectory, packageRoot } from "../lib/graph.js";
+import { queryContext } from "../lib/context-query.js";
+import { createMcpServer, serveStdio } from "../lib/mcp.js";
+import { toPosixPath } from "../lib/source-files.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const URI_PREFIX = "context://";
+
+const MIME_TYPES = { ".md": "text/markdown", ".json": "application/json" };
+
+const INSTRUCTIONS =
+  "Context documentation for this codebase. Before changing a file, call find_context_for_file " +
+  "and read the documents it ranks first (as context:// resources) instead of loading the whole " +
+  "context directory. Use get_domain for a domain's rules and code, get_data_model for tables, " +
+  "and search_context for anything else.";
+
+/**
+ * Serve the context graph to AI agents. With `--mcp`, a Model Context
+ * Protocol server on stdio: the context files as resources, and tools that
+ * answer from the graph written by `scan`. The graph is re-read on every
+ * call, so a rescan needs no restart.
+ *
+ * @param {Object} options - Command options
+ * @param {string} options.dir - Project root directory
+ * @param {boolean} options.mcp - Speak MCP on stdin/stdout
+ * @param {string} [options.package] - Workspace package slug in a monorepo
+ */
+export async function serve(options) {
+  const { dir = ".", mcp = false } = options;
+  const projectRoot = path.resolve(dir);
+
+  let location;
+  try {
+    if (!mcp) {
+      throw new Error("Pick a protocol to serve; only --mcp is supported");
+    }
+    const { config } = await loadConfig(projectRoot);
+    location = { output: config.output, package: options.package };
+    // Fail at startup rather than on the first tool call
+    loadGraph(projectRoot, location);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+
+  const contextPath = graphDirectory(projectRoot, location);
+  const sourceRoot = options.package ? packageRoot(projectRoot, options.package) : projectRoot;
+  const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "package.json"), "utf-8"));
+
+  const server = createMcpServer({
+    info: { name: "context-graph-generator", version },
+    instructions: INSTRUCTIONS,
+    resources: contextResources(contextPath),
+    tools: contextTools({ projectRoot, contextPath, sourceRoot, graph: () => loadGraph(projectRoot, location) }),
+  });
+
+  console.error(chalk.dim(`context-graph-generator MCP server on stdio for ${path.relative(process.cwd(), contextPath) || "."}`));
+  await serveStdio(server);
+}
+
+/**
+ * Every Markdown and JSON file in the context directory, as
+ * `context://<path inside it>`
+ */
+function contextResources(contextPath) {
+  const files = () => globSync("**/*.{md,json}", { cwd: contextPath, nodir: true }).map(toPosixPath).sort();
+
+  return {
+    list: () =>
+      files().map((file) => ({
+        uri: URI_PREFIX + file,
+        name: file,
+        mimeType: MIME_TYPES[path.extname(file)],
+      })),
+    read: (uri) => {
+      const file = uri.startsWith(URI_PREFIX) ? decodeURIComponent(uri.slice(URI_PREFIX.length)) : null;
+      // Only listed files, so `..` can't reach outside the context directory
+      if (!file || !files().includes(file)) throw new Error(`Resource not found: ${uri}`);
+      return { uri, mimeType: MIME_TYPES[path.extname(file)], text: fs.readFileSync(path.join(contextPath, file), "utf-8") };
+    },
+  };
+}
+
+/**
+ * The MCP tools, each answering from a freshly loaded graph
+ */
+function contextTools({ projectRoot, contextPath, sourceRoot, graph }) {
+  // Query results give paths relative to the project root; agents read them as resources
+  const withUri = (entry) => ({ ...entry, uri: URI_PREFIX + toPosixPath(path.relative(contextPath, path.join(projectRoot, entry.path))) });
+  const docUri = (doc) => (doc && fs.existsSync(path.join(contextPath, doc.name)) ? URI_PREFIX + doc.name : null);
+
+  return [
+    {
+      name: "find_context_for_file",
+      description:
+        "The context that applies to a source file (existing or about to be created): owning domain and owners, " +
+        "the context documents to read ranked by relevance with the reason for each, and matching patterns and " +
+        "workflows. Also accepts a component, hook or store name, a route URL or a table name.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Source path relative to the project root, or a symbol, URL or table name" },
+          limit: { type: "integer", minimum: 1, description: "Maximum number of context documents (default 10)" },
+        },
+        required: ["path"],
+      },
+      handler: ({ path: target, limit = 10 }) => {
+        if (typeof target !== "string" || !target.trim()) throw new Error("path is required");
+        const result = queryContext(graph(), target, { projectRoot, contextPath, sourceRoot });
+        return {
+          ...result,
+          domains: result.domains.map((domain) => (domain.context ? { ...domain, uri: withUri({ path: domain.context }).uri } : domain)),
+          context: result.context.slice(0, limit).map(withUri),
+          patterns: result.patterns.map(withUri),
+          workflows: result.workflows.map(withUri),
+        };
+      },
+    },
+    {
+      name: "list_domains",
+      description: "Every business domain: its directories, owners, file count, context document and the domains it depends on.",
+      inputSchema: { type: "object", properties: {} },
+      handler: () => {
+        const current = graph();
+        return current.nodes
+          .filter((n) => n.type === "domain")
+          .map((domain) => {
+            const { doc, files, dependsOn, usedBy } = describeDomain(current, domain);
+            return {
+              name: domain.name,
+              paths: (domain.data && domain.data.paths) || [],
+              owners: (domain.data && domain.data.owners) || [],
+              files: files.length,
+              context: docUri(doc),
+              dependsOn: dependsOn.map((d) => d.name),
+              usedBy: usedBy.map((d) => d.name),
+            };
+          });
+      },
+    },
+    {
+      name: "get_domain",
+      description:
+        "One domain in full: its CONTEXT.md, files, the components, hooks, stores, routes and endpoints they define, " +
+        "the tables they read and write, and its dependencies in both directions.",
+      inputSchema: {
+        type: "object",
+        properties: { name: { type: "string", description: "Domain name, as returned by list_domains" } },
+        required: ["name"],
+      },
+      handler: ({ name }) => {
+        const current = graph();
+        const domain = current.nodes.find((n) => n.type === "domain" && n.name === name);
+        if (!domain) {
+          const names = current.nodes.filter((n) => n.type === "domain").map((n) => n.name);
+          throw new Error(`Unknown domain "${name}"${names.length > 0 ? ` (domains: ${names.join(", ")})` : ""}`);
+        }
+        const { doc, files, defined, reads, writes, dependsOn, usedBy } = describeDomain(current, domain);
+        const uri = docUri(doc);
+        const byType = (type) => defined.filter((n) => n.type === type).map((n) => ({ name: n.name, file: n.file }));
+        return {
+          name: domain.name,
+          paths: (domain.data && domain.data.paths) || [],
+          owners: (domain.data && domain.data.owners) || [],
+          context: uri ? { uri, content: fs.readFileSync(path.join(contextPath, doc.name), "utf-8") } : null,
+          files: files.map((n) => n.file),
+          components: byType("component"),
+          hooks: byType("hook"),
+          stores: byType("store"),
+          routes: byType("route"),
+          endpoints: byType("endpoint"),
+          tables: { reads: reads.map((n) => n.name), writes: writes.map((n) => n.name) },
+          dependsOn,
+          usedBy,
+        };
+      },
+    },
+    {
+      name: "search_context",
+      description: "Full-text search over the context documents. Returns matching documents, best first, with the matching lines.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Words to look for (case-insensitive)" },
+          limit: { type: "integer", minimum: 1, description: "Maximum number of documents (default 10)" },
+        },
+        required: ["query"],
+      },
+      handler: ({ query, limit = 10 }) => searchContext(contextPath, query, limit),
+    },
+    {
+      name: "get_data_model",
+      description:
+        "Database tables and models with their fields, the tables they reference, and which domains and files read " +
+        "and write them. Pass a table to get just that one.",
+      inputSchema: {
+        type: "object",
+        properties: { table: { type: "string", description: "Table or model name (optional)" } },
+      },
+      handler: ({ table = null }) => {
+        const current = graph();
+        let tables = current.nodes.filter((n) => n.type === "table");
+        if (table) {
+          const lower = table.toLowerCase();
+          tables = tables.filter((n) => n.name.toLowerCase() === lower || String((n.data && n.data.tableName) || "").toLowerCase() === lower);
+          if (tables.length === 0) throw new Error(`Unknown table "${table}"`);
+        }
+        const related = (id, type, direction) =>
+          current.edges
+            .filter((e) => e.type === type && (direction === "out" ? e.source === id : e.target === id))
+            .map((e) => current.nodes.find((n) => n.id === (direction === "out" ? e.target : e.source)))
+            .filter(Boolean);
+        const accessors = (id, type) => related(id, type, "in").map((n) => ({ file: n.file, domain: n.domain || null }));
+
+        return {
+          document: docUri({ name: "architecture/DATA_MODEL.md" }),
+          tables: tables.map((node) => ({
+            name: node.name,
+            ...(node.data || {}),
+            references: related(node.id, "references", "out").map((n) => n.name),
+            referencedBy: related(node.id, "references", "in").map((n) => n.name),
+            readBy: accessors(node.id, "reads"),
+            writtenBy: accessors(node.id, "writes"),
+          })),
+        };
+      },
+    },
+  ];
+}
+
+/**
+ * A domain's context doc, files, what they define and access, and the
+ * domains it imports from and is imported by (with edge weights)
+ */
+function describeDomain(graph, domain) {
+  const nodes = new Map(graph.nodes.map((n) => [n.id, n]));
+  const targets = (ids, type) => {
+    const found = new Map();
+    for (const edge of graph.edges) {
+      if (edge.type === type && ids.has(edge.source) && nodes.has(edge.target)) found.set(edge.target, nodes.get(edge.target));
+    }
+    return [...found.values()];
+  };
+
+  const files = targets(new Set([domain.id]), "owns");
+  const fileIds = new Set(files.map((n) => n.id));
+  const imports = (matches, pick) =>
+    graph.edges
+      .filter((e) => e.type === "imports" && matches(e))
+      .map((e) => ({ name: nodes.get(pick(e)).name, weight: e.weight || 1 }));
+
+  return {
+    doc: graph.edges
+      .filter((e) => e.type === "documents" && e.target === domain.id)
+      .map((e) => nodes.get(e.source))
+      .find((n) => n && /^domains\//.test(n.name)),
+    files,
+    defined: targets(fileIds, "defines"),
+    reads: targets(fileIds, "reads"),
+    writes: targets(fileIds, "writes"),
+    dependsOn: imports((e) => e.source === domain.id && nodes.has(e.target), (e) => e.target),
+    usedBy: imports((e) => e.target === domain.id && nodes.has(e.source), (e) => e.source),
+  };
+}
+
+/**
+ * Context documents containing the query's words, ranked by how many of
+ * the words they contain and then by how often
+ */
+function searchContext(contextPath, query, limit) {
+  const terms = [...new Set(String(query || "").toLowerCase().split(/\s+/).filter(Boolean))];
+  if (terms.length === 0) throw new Error("query is required");
+
+  const results = [];
+  for (const file of globSync("**/*.md", { cwd: contextPath, nodir: true }).map(toPosixPath).sort()) {
+    const lines = fs.readFileSync(path.join(contextPath, file), "utf-8").split("\n");
+    const lowerPath = file.toLowerCase();
+    const matched = new Set(terms.filter((term) => lowerPath.includes(term)));
+    let hits = 0;
+    const excerpts = [];
+    lines.forEach((line, i) => {
+      const lower = line.toLowerCase();
+      const found = terms.filter((term) => lower.includes(term));
+      if (found.length === 0) return;
+      found.forEach((term) => matched.add(term));
+      hits += found.length;
+      if (excerpts.length < 5) excerpts.push({ line: i + 1, text: line.trim() });
+    });
+    if (matched.size > 0) results.push({ uri: URI_PREFIX + file, path: file, matchedTerms: matched.size, hits, excerpts });
+  }
+
+  return results
+    .sort((a, b) => b.matchedTerms - a.matchedTerms || b.hits - a.hits || a.path.localeCompare(b.path))
+    .slice(0, limit);
+}
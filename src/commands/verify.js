@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { loadConfig } from '../lib/config.js';
+import { packageRoot } from '../lib/graph.js';
 
 const REQUIRED_STRUCTURE = {
   root: ['AGENTS.md', 'CLAUDE.md', '.cursorrules'],
@@ -16,12 +18,8 @@ const REQUIRED_SECTIONS = {
   workflow: ['Overview', 'Prerequisites', 'Workflow Steps', 'Checklist', 'Troubleshooting'],
 };
 
-const SECTION_PATTERNS = {
-  domain: new RegExp(`^(${REQUIRED_SECTIONS.domain.join('|')})\\b`, 'im'),
-  architecture: new RegExp(`^(${REQUIRED_SECTIONS.architecture.join('|')})\\b`, 'im'),
-  pattern: new RegExp(`^(${REQUIRED_SECTIONS.pattern.join('|')})\\b`, 'im'),
-  workflow: new RegExp(`^(${REQUIRED_SECTIONS.workflow.join('|')})\\b`, 'im'),
-};
+// Loaded per run: output directory and verify rules from context-graph.config
+let config = null;
 
 let results = {
   structure: [],
@@ -44,6 +42,13 @@ let results = {
 export async function verify(options) {
   const projectDir = options.dir || process.cwd();
 
+  try {
+    ({ config } = await loadConfig(path.resolve(projectDir)));
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+
   console.log(chalk.bold.blue('\n📊 Context Graph Verification\n'));
   console.log(`Project directory: ${chalk.dim(projectDir)}\n`);
 
@@ -81,7 +86,7 @@ async function verifyStructure(projectDir) {
   console.log(chalk.bold('1. Structure Verification\n'));
 
   // Check root files
-  for (const file of REQUIRED_STRUCTURE.root) {
+  for (const file of config.verify.requiredFiles || REQUIRED_STRUCTURE.root) {
     const filePath = path.join(projectDir, file);
     const exists = fs.existsSync(filePath);
 
@@ -133,11 +138,11 @@ async function verifyStructure(projectDir) {
   }
 
   // Check context directory
-  const contextDir = path.join(projectDir, 'context');
+  const contextDir = path.join(projectDir, config.output);
   if (fs.existsSync(contextDir) && fs.statSync(contextDir).isDirectory()) {
     results.structure.push({
       type: 'success',
-      message: 'context/ directory exists',
+      message: `${config.output}/ directory exists`,
     });
 
     // Check subdirectories
@@ -146,12 +151,12 @@ async function verifyStructure(projectDir) {
       if (fs.existsSync(subdirPath) && fs.statSync(subdirPath).isDirectory()) {
         results.structure.push({
           type: 'success',
-          message: `context/${subdir}/ directory exists`,
+          message: `${config.output}/${subdir}/ directory exists`,
         });
       } else {
         results.structure.push({
           type: 'warning',
-          message: `context/${subdir}/ directory missing`,
+          message: `${config.output}/${subdir}/ directory missing`,
         });
       }
     }
@@ -163,19 +168,19 @@ async function verifyStructure(projectDir) {
       if (templateFiles.length > 0) {
         results.structure.push({
           type: 'success',
-          message: `context/templates/ has ${templateFiles.length} template file(s)`,
+          message: `${config.output}/templates/ has ${templateFiles.length} template file(s)`,
         });
       } else {
         results.structure.push({
           type: 'warning',
-          message: 'context/templates/ directory is empty',
+          message: `${config.output}/templates/ directory is empty`,
         });
       }
     }
   } else {
     results.structure.push({
       type: 'error',
-      message: 'context/ directory does not exist',
+      message: `${config.output}/ directory does not exist`,
     });
   }
 
@@ -186,17 +191,44 @@ async function verifyStructure(projectDir) {
 async function verifyContent(projectDir) {
   console.log(chalk.bold('2. Content Verification\n'));
 
-  const contextDir = path.join(projectDir, 'context');
+  const contextDir = path.join(projectDir, config.output);
   if (!fs.existsSync(contextDir)) {
     results.content.push({
       type: 'error',
-      message: 'Cannot verify content: context/ directory does not exist',
+      message: `Cannot verify content: ${config.output}/ directory does not exist`,
     });
     return;
   }
 
+  // A workspace scan writes each package's docs under packages/<slug>/
+  for (const root of contentRoots(contextDir)) {
+    verifyContentRoot(root.dir, root.prefix);
+  }
+
+  results.scores.content = calculateScore(results.content);
+  console.log();
+}
+
+function contentRoots(contextDir) {
+  const roots = [{ dir: contextDir, prefix: '' }];
+  const packagesDir = path.join(contextDir, 'packages');
+  if (fs.existsSync(packagesDir)) {
+    for (const slug of fs.readdirSync(packagesDir).sort()) {
+      if (fs.statSync(path.join(packagesDir, slug)).isDirectory()) {
+        roots.push({ dir: path.join(packagesDir, slug), prefix: `packages/${slug}/` });
+      }
+    }
+  }
+  return roots;
+}
+
+function verifyContentRoot(rootDir, prefix) {
+  const where = prefix ? ` in ${prefix.slice(0, -1)}` : '';
+  // Package files are named by their path inside the context directory
+  const name = (category, file) => (prefix ? `${prefix}${category}/${file}` : file);
+
   // Check domains (can be flat .md files or subdirectories with CONTEXT.md)
-  const domainsDir = path.join(contextDir, 'domains');
+  const domainsDir = path.join(rootDir, 'domains');
   if (fs.existsSync(domainsDir)) {
     const domainEntries = fs.readdirSync(domainsDir);
     const domainFiles = [];
@@ -208,24 +240,24 @@ async function verifyContent(projectDir) {
         // Look for CONTEXT.md inside subdirectory
         const contextFile = path.join(entryPath, 'CONTEXT.md');
         if (fs.existsSync(contextFile)) {
-          domainFiles.push({ name: `${entry}/CONTEXT.md`, path: contextFile });
+          domainFiles.push({ name: name('domains', `${entry}/CONTEXT.md`), path: contextFile });
         }
       } else if (entry.endsWith('.md')) {
-        domainFiles.push({ name: entry, path: entryPath });
+        domainFiles.push({ name: name('domains', entry), path: entryPath });
       }
     }
 
-    results.files.domains = domainFiles.map(f => f.name);
+    results.files.domains.push(...domainFiles.map(f => f.name));
 
     if (domainFiles.length === 0) {
       results.content.push({
         type: 'warning',
-        message: 'No domain context files found',
+        message: `No domain context files found${where}`,
       });
     } else {
       results.content.push({
         type: 'success',
-        message: `Found ${domainFiles.length} domain context file(s)`,
+        message: `Found ${domainFiles.length} domain context file(s)${where}`,
       });
 
       for (const file of domainFiles) {
@@ -235,81 +267,78 @@ async function verifyContent(projectDir) {
   }
 
   // Check architectures
-  const archDir = path.join(contextDir, 'architecture');
+  const archDir = path.join(rootDir, 'architecture');
   if (fs.existsSync(archDir)) {
     const archFiles = fs.readdirSync(archDir).filter(f => f.endsWith('.md'));
-    results.files.architectures = archFiles;
+    results.files.architectures.push(...archFiles.map(f => name('architecture', f)));
 
     if (archFiles.length === 0) {
       results.content.push({
         type: 'warning',
-        message: 'No architecture context files found',
+        message: `No architecture context files found${where}`,
       });
     } else {
       results.content.push({
         type: 'success',
-        message: `Found ${archFiles.length} architecture file(s)`,
+        message: `Found ${archFiles.length} architecture file(s)${where}`,
       });
 
       for (const file of archFiles) {
-        verifyFileContent(path.join(archDir, file), 'architecture', file);
+        verifyFileContent(path.join(archDir, file), 'architecture', name('architecture', file));
       }
     }
   }
 
   // Check patterns
-  const patternsDir = path.join(contextDir, 'patterns');
+  const patternsDir = path.join(rootDir, 'patterns');
   if (fs.existsSync(patternsDir)) {
     const patternFiles = fs.readdirSync(patternsDir).filter(f => f.endsWith('.md'));
-    results.files.patterns = patternFiles;
+    results.files.patterns.push(...patternFiles.map(f => name('patterns', f)));
 
     if (patternFiles.length === 0) {
       results.content.push({
         type: 'warning',
-        message: 'No pattern documentation files found',
+        message: `No pattern documentation files found${where}`,
       });
     } else {
       results.content.push({
         type: 'success',
-        message: `Found ${patternFiles.length} pattern file(s)`,
+        message: `Found ${patternFiles.length} pattern file(s)${where}`,
       });
 
       for (const file of patternFiles) {
-        verifyFileContent(path.join(patternsDir, file), 'pattern', file);
+        verifyFileContent(path.join(patternsDir, file), 'pattern', name('patterns', file));
       }
     }
   }
 
   // Check workflows
-  const workflowsDir = path.join(contextDir, 'workflows');
+  const workflowsDir = path.join(rootDir, 'workflows');
   if (fs.existsSync(workflowsDir)) {
     const workflowFiles = fs.readdirSync(workflowsDir).filter(f => f.endsWith('.md'));
-    results.files.workflows = workflowFiles;
+    results.files.workflows.push(...workflowFiles.map(f => name('workflows', f)));
 
     if (workflowFiles.length === 0) {
       results.content.push({
         type: 'warning',
-        message: 'No workflow documentation files found',
+        message: `No workflow documentation files found${where}`,
       });
     } else {
       results.content.push({
         type: 'success',
-        message: `Found ${workflowFiles.length} workflow file(s)`,
+        message: `Found ${workflowFiles.length} workflow file(s)${where}`,
       });
 
       for (const file of workflowFiles) {
-        verifyFileContent(path.join(workflowsDir, file), 'workflow', file);
+        verifyFileContent(path.join(workflowsDir, file), 'workflow', name('workflows', file));
       }
     }
   }
-
-  results.scores.content = calculateScore(results.content);
-  console.log();
 }
 
 function verifyFileContent(filePath, type, fileName) {
   const content = fs.readFileSync(filePath, 'utf-8');
-  const required = REQUIRED_SECTIONS[type];
+  const required = config.verify.requiredSections[type] || REQUIRED_SECTIONS[type];
   const foundSections = [];
   let allFound = true;
 
@@ -348,12 +377,13 @@ function verifyFileContent(filePath, type, fileName) {
 async function verifyCrossReferences(projectDir) {
   console.log(chalk.bold('3. Cross-Reference Verification\n'));
 
-  const contextDir = path.join(projectDir, 'context');
+  const contextDir = path.join(projectDir, config.output);
   if (!fs.existsSync(contextDir)) {
     return;
   }
 
   const allContextFiles = getAllContextFiles(contextDir);
+  const referenceRoot = createReferenceRoots(projectDir, contextDir);
   let brokenReferences = 0;
   let validReferences = 0;
 
@@ -366,7 +396,7 @@ async function verifyCrossReferences(projectDir) {
     const matches = content.match(filePathPattern) || [];
 
     for (const match of matches) {
-      const fullPath = path.join(projectDir, match);
+      const fullPath = path.join(referenceRoot(file), match);
       if (!fs.existsSync(fullPath)) {
         brokenReferences++;
         results.crossReferences.push({
@@ -422,6 +452,25 @@ async function verifyCrossReferences(projectDir) {
   console.log();
 }
 
+// Paths in a workspace package's docs are relative to that package
+function createReferenceRoots(projectDir, contextDir) {
+  const roots = new Map();
+  return (file) => {
+    const [first, slug] = path.relative(contextDir, file).split(path.sep);
+    if (first !== 'packages' || !slug) return projectDir;
+    if (!roots.has(slug)) {
+      let root = projectDir;
+      try {
+        root = packageRoot(path.resolve(projectDir), slug);
+      } catch {
+        // Package removed since the scan; its references are reported as broken
+      }
+      roots.set(slug, root);
+    }
+    return roots.get(slug);
+  };
+}
+
 function getAllContextFiles(contextDir) {
   const files = [];
   const walk = (dir) => {
@@ -506,7 +555,7 @@ function findOrphanedFiles(projectDir, contextDir, allContextFiles) {
 }
 
 function calculateCompleteness(projectDir) {
-  const contextDir = path.join(projectDir, 'context');
+  const contextDir = path.join(projectDir, config.output);
 
   if (!fs.existsSync(contextDir)) {
     results.scores.completeness = 0;
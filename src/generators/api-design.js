@@ -0,0 +1,156 @@
+import { region } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+
+/**
+ * Generate the API design document with one row per endpoint, tRPC
+ * procedure and GraphQL operation, plus the GraphQL type catalog when a
+ * schema was found. Conventions are left for prompts/03-architecture.md to
+ * fill in.
+ */
+export function generateApiDesign(backendStructure, sourceStructure) {
+  const timestamp = new Date().toISOString();
+  const { endpoints, procedures, graphql } = backendStructure;
+  const schemaCell = (list) => list.map((s) => `\`${escapeTableCell(s)}\``).join("<br>");
+
+  const frameworks = [...new Set(endpoints.map((e) => e.framework))];
+  const tables = frameworks.map((framework) => {
+    // Next.js handlers run per file with a runtime; servers run middleware chains
+    const isNext = framework.startsWith("Next.js");
+    const rows = endpoints
+      .filter((e) => e.framework === framework)
+      .map((e) => {
+        const domain = sourceStructure.fileDomains[e.file];
+        const context = isNext
+          ? e.runtime || "nodejs"
+          : (e.middleware || []).map((m) => `\`${escapeTableCell(m)}\``).join(" → ");
+        return `| ${e.method} | \`${escapeTableCell(e.path)}\` | ${context} | ${schemaCell(e.request)} | ${schemaCell(e.response)} | \`${e.file}\` | ${domain ? `\`${domain}\`` : ""} |`;
+      });
+    return `### ${framework}
+
+| Method | Path | ${isNext ? "Runtime" : "Middleware"} | Request | Response | Handler | Domain |
+|--------|------|${isNext ? "---------" : "------------"}|---------|----------|---------|--------|
+${rows.join("\n")}`;
+  });
+
+  const files = new Set(endpoints.map((e) => e.file)).size;
+  const summary = endpoints.length === 0 ? "- No HTTP endpoints detected" : `${endpoints.length} endpoint${endpoints.length === 1 ? "" : "s"} across ${files} handler file${files === 1 ? "" : "s"}. Request and response columns list the zod schemas each handler validates with${endpoints.some((e) => e.middleware) ? "; middleware is listed in the order it runs" : ""}.`;
+
+  return `# API Design
+
+Generated: ${timestamp}
+
+## Endpoints
+
+${region("endpoints", [summary, ...tables].join("\n\n"))}
+${procedures.length > 0 ? `
+## tRPC Procedures
+
+${region("trpc-procedures", generateProcedureTable(procedures, sourceStructure))}
+` : ""}${graphql.operations.length > 0 || graphql.fragments.length > 0 ? `
+## GraphQL Operations
+
+${region("graphql-operations", generateOperationTable(graphql, sourceStructure))}
+` : ""}${graphql.types.length > 0 ? `
+## GraphQL Schema
+
+${region("graphql-schema", generateTypeCatalog(graphql))}
+` : ""}
+## Conventions
+
+- **Response format**: Document the success and error envelope
+- **Error handling**: Document status codes and error shapes
+- **Authentication**: Document how handlers authenticate requests
+- **Versioning**: Document how breaking changes are introduced
+
+## Adding an Endpoint
+
+1. Create the handler file
+2. Validate input with a shared schema
+3. Update this document
+
+---
+
+Last updated: ${timestamp}
+`;
+}
+
+/**
+ * One row per procedure, keyed by its dotted path on the root router
+ */
+function generateProcedureTable(procedures, sourceStructure) {
+  const rows = procedures.map((p) => {
+    const owner = sourceStructure.fileDomains[p.file];
+    const usedBy = p.domains.length > 0
+      ? p.domains.map((d) => `\`${d}\``).join(", ")
+      : p.callers.length > 0 ? `${p.callers.length} file${p.callers.length === 1 ? "" : "s"} outside domains` : "";
+    return `| \`${p.path}\` | ${p.kind} | ${p.protected ? "Protected" : "Public"} (\`${escapeTableCell(p.builder)}\`) | ${p.input ? `\`${escapeTableCell(p.input)}\`` : ""} | \`${p.file}\`${owner ? ` (\`${owner}\`)` : ""} | ${usedBy} |`;
+  });
+
+  const protectedCount = procedures.filter((p) => p.protected).length;
+  return `${procedures.length} procedures, ${protectedCount} protected. "Used by" lists the domains whose code calls the procedure through the tRPC client.
+
+| Procedure | Kind | Access | Input | Defined in | Used by |
+|-----------|------|--------|-------|------------|---------|
+${rows.join("\n")}`;
+}
+
+/**
+ * One row per named operation and fragment, with the root fields it
+ * selects and every schema type it reaches
+ */
+function generateOperationTable(graphql, sourceStructure) {
+  const code = (list) => list.map((item) => `\`${escapeTableCell(item)}\``).join(", ");
+  const domains = (doc) => doc.domains.map((d) => `\`${d}\``).join(", ");
+
+  const sections = [];
+  if (graphql.operations.length > 0) {
+    const rows = graphql.operations.map((op) =>
+      `| \`${op.name}\` | ${op.kind} | ${op.variables ? `\`${escapeTableCell(op.variables)}\`` : ""} | ${code(op.rootFields)} | ${code(op.types)} | ${code(op.fragments)} | \`${op.file}\` | ${domains(op)} |`
+    );
+    sections.push(`${graphql.operations.length} named operation${graphql.operations.length === 1 ? "" : "s"}. Types are resolved through the schema${graphql.types.length > 0 ? "" : " when one is present; without it only root and fragment types are listed"}.
+
+| Operation | Kind | Variables | Root fields | Types | Fragments | Defined in | Domains |
+|-----------|------|-----------|-------------|-------|-----------|------------|---------|
+${rows.join("\n")}`);
+  }
+
+  if (graphql.fragments.length > 0) {
+    const rows = graphql.fragments.map((f) =>
+      `| \`${f.name}\` | \`${f.on}\` | ${code(f.types)} | \`${f.file}\` | ${domains(f)} |`
+    );
+    sections.push(`### Fragments
+
+| Fragment | On | Types | Defined in | Domains |
+|----------|----|-------|------------|---------|
+${rows.join("\n")}`);
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * Types from the schema SDL or introspection result, root types first
+ */
+function generateTypeCatalog(graphql) {
+  const roots = ["Query", "Mutation", "Subscription"];
+  const types = [
+    ...roots.map((name) => graphql.types.find((t) => t.name === name)).filter(Boolean),
+    ...graphql.types.filter((t) => !roots.includes(t.name)),
+  ];
+
+  const rows = types.map((t) => {
+    const members = t.kind === "enum"
+      ? t.values.join(", ")
+      : t.kind === "union"
+        ? t.members.join(" | ")
+        : t.fields.map((f) => `${f.name}: ${f.type}`).join(", ");
+    const kind = t.interfaces.length > 0 ? `${t.kind} (implements ${t.interfaces.join(", ")})` : t.kind;
+    return `| \`${t.name}\` | ${kind} | ${members ? `\`${escapeTableCell(members)}\`` : ""} |`;
+  });
+
+  return `${types.length} types from ${graphql.schemaFiles.map((f) => `\`${f}\``).join(", ")}.
+
+| Type | Kind | Fields / Values |
+|------|------|-----------------|
+${rows.join("\n")}`;
+}
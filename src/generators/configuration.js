@@ -0,0 +1,82 @@
+import { region } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+
+/**
+ * Generate the configuration document: every environment variable the code
+ * reads, where it is documented, whether it reaches the client, and the
+ * mismatches between code and `.env.example`
+ */
+export function generateConfiguration(environment) {
+  const timestamp = new Date().toISOString();
+  const { variables, exampleFiles, expoExtra, issues } = environment;
+  const code = (list) => list.map((item) => `\`${item}\``).join(", ");
+
+  const rows = variables.map((v) => {
+    const usedIn = v.files.length <= 3 ? v.files.map((f) => `\`${f}\``).join("<br>") : `${v.files.length} files`;
+    const documented = v.documented.length > 0 ? "Yes" : v.builtin ? "Built-in" : "**No**";
+    return `| \`${v.name}\` | ${v.exposure} | ${documented} | ${usedIn} | ${code(v.domains)} | ${v.description ? escapeTableCell(v.description) : ""} |`;
+  });
+  const variableTable = variables.length > 0
+    ? `${variables.length} variable${variables.length === 1 ? "" : "s"} read in code. Client variables are inlined into the browser or app bundle; never put secrets in them.
+
+| Variable | Exposure | Documented | Used in | Domains | Description |
+|----------|----------|------------|---------|---------|-------------|
+${rows.join("\n")}`
+    : "- No environment variables read in code";
+
+  const findings = [];
+  if (exampleFiles.length === 0 && variables.length > 0) {
+    findings.push("- **No example file**: add a `.env.example` listing every variable below");
+  }
+  if (issues.undocumented.length > 0) {
+    findings.push(`- **Used but not in an example file**: ${code(issues.undocumented)}`);
+  }
+  if (issues.unused.length > 0) {
+    findings.push(`- **Documented but never read**: ${code(issues.unused)}`);
+  }
+  if (issues.exposedSecrets.length > 0) {
+    findings.push(`- **Secret-looking names with a client prefix**: ${code(issues.exposedSecrets)}`);
+  }
+  for (const { name, files } of issues.serverOnlyInClient) {
+    findings.push(`- **Server-only \`${name}\` read in a client component**: ${code(files)} (it will be undefined in the browser)`);
+  }
+
+  const expoSection = expoExtra.length > 0 ? `
+## Expo Config
+
+${region("expo-extra", `Read through \`Constants.expoConfig.extra\`; set in \`app.config.*\`:
+
+${expoExtra.map((e) => `- \`${e.key}\`: ${code(e.files)}`).join("\n")}`)}
+` : "";
+
+  return `# Configuration
+
+Generated: ${timestamp}
+
+Values are never read from \`.env\` files; only variable names from
+example files are compared with the code.
+
+## Environment Variables
+
+${region("env-vars", variableTable)}
+
+## Findings
+
+${region("env-findings", findings.join("\n") || "- Code and example files agree")}
+
+## Example Files
+
+${region("env-examples", exampleFiles.map((f) => `- \`${f}\``).join("\n") || "- No `.env.example` files found")}
+${expoSection}
+## Adding a Variable
+
+1. Read it through the project's env helper (or \`process.env\`) on the server
+2. Add it to \`.env.example\` with a comment describing it
+3. Use a client prefix only for values that are safe to publish
+4. Add it to every deployment environment
+
+---
+
+Last updated: ${timestamp}
+`;
+}
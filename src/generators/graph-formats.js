@@ -0,0 +1,177 @@
+export const GRAPH_FORMATS = ["mermaid", "dot", "graphml", "cytoscape"];
+
+const DOT_SHAPES = {
+  domain: "box3d",
+  file: "note",
+  component: "component",
+  hook: "cds",
+  store: "cylinder",
+  route: "parallelogram",
+  table: "cylinder",
+  endpoint: "hexagon",
+  doc: "tab",
+};
+
+// Mermaid node shapes as [open, close]
+const MERMAID_SHAPES = {
+  domain: ["[[", "]]"],
+  file: ["[", "]"],
+  component: ["([", "])"],
+  hook: ["{{", "}}"],
+  store: ["[(", ")]"],
+  route: ["[/", "/]"],
+  table: ["[(", ")]"],
+  endpoint: [">", "]"],
+  doc: ["[\\", "\\]"],
+};
+
+/**
+ * Render a graph (or a filtered part of one) for another tool
+ *
+ * @param {Object} graph - Graph with `nodes` and `edges`
+ * @param {string} format - One of GRAPH_FORMATS
+ * @returns {string}
+ */
+export function formatGraph(graph, format) {
+  switch (format) {
+    case "dot":
+      return toDot(graph);
+    case "graphml":
+      return toGraphml(graph);
+    case "mermaid":
+      return toMermaid(graph);
+    case "cytoscape":
+      return JSON.stringify(toCytoscape(graph), null, 2) + "\n";
+    default:
+      throw new Error(`Unknown format "${format}" (expected one of ${GRAPH_FORMATS.join(", ")})`);
+  }
+}
+
+/**
+ * Files show their path; everything else its name
+ */
+function nodeLabel(node) {
+  return node.type === "file" ? node.file : node.name;
+}
+
+/**
+ * Nodes grouped by owning domain, for clusters and subgraphs. Domain nodes
+ * themselves stay at the top level so edges between domains read clearly.
+ */
+function groupByDomain(nodes) {
+  const groups = new Map([[null, []]]);
+  for (const node of nodes) {
+    const domain = node.type === "domain" ? null : node.domain || null;
+    if (!groups.has(domain)) groups.set(domain, []);
+    groups.get(domain).push(node);
+  }
+  return groups;
+}
+
+/**
+ * Graphviz DOT, one cluster per domain
+ */
+function toDot(graph) {
+  const quote = (text) => `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  const nodeLine = (node, indent) => `${indent}${quote(node.id)} [label=${quote(nodeLabel(node))}, shape=${DOT_SHAPES[node.type]}];`;
+
+  const lines = ["digraph context {", "  rankdir=LR;", '  node [fontname="Helvetica", fontsize=10];', '  edge [fontname="Helvetica", fontsize=8];'];
+  for (const [domain, nodes] of groupByDomain(graph.nodes)) {
+    if (domain === null) {
+      lines.push(...nodes.map((node) => nodeLine(node, "  ")));
+      continue;
+    }
+    lines.push(`  subgraph ${quote(`cluster_${domain}`)} {`, `    label=${quote(domain)};`, ...nodes.map((node) => nodeLine(node, "    ")), "  }");
+  }
+  for (const edge of graph.edges) {
+    const label = edge.weight ? `${edge.type} (${edge.weight})` : edge.type;
+    lines.push(`  ${quote(edge.source)} -> ${quote(edge.target)} [label=${quote(label)}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * GraphML with node type, name, file and domain, and edge type and weight
+ * as data keys
+ */
+function toGraphml(graph) {
+  const escape = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const data = (key, value) => (value === null || value === undefined ? [] : [`      <data key="${key}">${escape(value)}</data>`]);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="file" for="node" attr.name="file" attr.type="string"/>',
+    '  <key id="domain" for="node" attr.name="domain" attr.type="string"/>',
+    '  <key id="edgeType" for="edge" attr.name="type" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+    '  <graph id="context" edgedefault="directed">',
+  ];
+  for (const node of graph.nodes) {
+    lines.push(
+      `    <node id="${escape(node.id)}">`,
+      ...data("type", node.type),
+      ...data("label", nodeLabel(node)),
+      ...data("file", node.file),
+      ...data("domain", node.domain),
+      "    </node>"
+    );
+  }
+  graph.edges.forEach((edge, i) => {
+    lines.push(
+      `    <edge id="e${i}" source="${escape(edge.source)}" target="${escape(edge.target)}">`,
+      ...data("edgeType", edge.type),
+      ...data("weight", edge.weight),
+      "    </edge>"
+    );
+  });
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Mermaid flowchart, one subgraph per domain. Mermaid ids can't hold
+ * paths, so nodes are numbered.
+ */
+function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const label = (text) => `"${String(text).replace(/"/g, "#quot;")}"`;
+  const nodeLine = (node, indent) => {
+    const [open, close] = MERMAID_SHAPES[node.type];
+    return `${indent}${ids.get(node.id)}${open}${label(nodeLabel(node))}${close}`;
+  };
+
+  const lines = ["flowchart LR"];
+  let subgraphs = 0;
+  for (const [domain, nodes] of groupByDomain(graph.nodes)) {
+    if (domain === null) {
+      lines.push(...nodes.map((node) => nodeLine(node, "  ")));
+      continue;
+    }
+    lines.push(`  subgraph d${subgraphs++}[${label(domain)}]`, ...nodes.map((node) => nodeLine(node, "    ")), "  end");
+  }
+  for (const edge of graph.edges) {
+    const text = edge.weight ? `${edge.type} (${edge.weight})` : edge.type;
+    lines.push(`  ${ids.get(edge.source)} -->|${label(text)}| ${ids.get(edge.target)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Cytoscape.js elements JSON, loadable with `cy.add(json.elements)`
+ */
+function toCytoscape(graph) {
+  return {
+    elements: {
+      nodes: graph.nodes.map((node) => ({
+        data: { id: node.id, label: nodeLabel(node), type: node.type, file: node.file || null, domain: node.domain || null },
+      })),
+      edges: graph.edges.map((edge, i) => ({
+        data: { id: `e${i}`, source: edge.source, target: edge.target, type: edge.type, ...(edge.weight ? { weight: edge.weight } : {}) },
+      })),
+    },
+  };
+}
@@ -0,0 +1,199 @@
+import path from "path";
+import { toPosixPath } from "../lib/source-files.js";
+
+/**
+ * Format version of graph.json; bump on breaking changes to
+ * schema/graph.schema.json
+ */
+export const GRAPH_VERSION = 1;
+
+export const NODE_TYPES = ["domain", "file", "component", "hook", "store", "route", "table", "endpoint", "doc"];
+export const EDGE_TYPES = ["imports", "owns", "defines", "documents", "calls", "reads", "writes", "references"];
+
+// Architecture and pattern documents that cover every node of some types.
+// ROUTES.md, NAVIGATION.md and SECURITY.md cover only some routes or tables.
+const DOCUMENTED_TYPES = {
+  "architecture/SYSTEM_OVERVIEW.md": ["domain"],
+  "architecture/DATA_MODEL.md": ["table"],
+  "architecture/API_DESIGN.md": ["endpoint"],
+  "patterns/COMPONENTS.md": ["component"],
+  "patterns/HOOKS.md": ["hook"],
+  "patterns/STATE_MANAGEMENT.md": ["store"],
+};
+
+/**
+ * Build the machine-readable context graph: typed nodes for domains, source
+ * files, components, hooks, stores, routes, tables, endpoints and context
+ * documents, and the edges between them. Node ids are `<type>:<key>` and
+ * stable across scans, so tools can diff graphs.
+ *
+ * @param {Object} project
+ * @param {string} project.name - Package name
+ * @param {Object} project.stack - Detected technology stack
+ * @param {Object} project.sourceStructure
+ * @param {Object} project.backendStructure
+ * @param {Object[]} project.generatedFiles - Context files from this scan
+ * @param {string} project.projectRoot - Absolute project root
+ * @param {string} project.contextPath - Absolute context directory
+ * @returns {{version: number, generatedAt: string, project: Object, nodes: Object[], edges: Object[]}}
+ *   Matches schema/graph.schema.json
+ */
+export function buildGraph({ name, stack, sourceStructure, backendStructure, generatedFiles, projectRoot, contextPath }) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (type, key, fields) => {
+    const id = `${type}:${key}`;
+    if (!nodes.has(id)) nodes.set(id, { id, type, ...fields });
+    return id;
+  };
+  const addEdge = (type, source, target, weight) => {
+    if (!nodes.has(source) || !nodes.has(target) || source === target) return;
+    const key = `${type}\0${source}\0${target}`;
+    const edge = edges.get(key) || { source, target, type };
+    if (weight !== undefined) edge.weight = (edge.weight || 0) + weight;
+    edges.set(key, edge);
+  };
+  const fileId = (file) => `file:${file}`;
+  const domainOf = (file) => sourceStructure.fileDomains[file] || null;
+
+  // Domains and the files they own
+  for (const domain of sourceStructure.features) {
+    addNode("domain", domain, { name: domain, data: { paths: sourceStructure.domainPaths[domain] || [], owners: (sourceStructure.ownership[domain] || {}).owners || [] } });
+  }
+  for (const file of sourceStructure.files) {
+    addNode("file", file, { name: path.posix.basename(file), file, domain: domainOf(file) });
+    if (domainOf(file)) addEdge("owns", `domain:${domainOf(file)}`, fileId(file));
+  }
+  for (const [file, targets] of Object.entries(sourceStructure.imports)) {
+    for (const target of targets) addEdge("imports", fileId(file), fileId(target));
+  }
+  for (const edge of sourceStructure.domainEdges) {
+    addEdge("imports", `domain:${edge.from}`, `domain:${edge.to}`, edge.count);
+  }
+
+  // Symbols defined in files, and the files that use them
+  for (const component of sourceStructure.componentCatalog) {
+    const id = addNode("component", `${component.file}#${component.name}`, {
+      name: component.name,
+      file: component.file,
+      domain: component.domain,
+      data: { client: component.client, props: component.props ? component.props.fields : [], wrappers: component.wrappers },
+    });
+    addEdge("defines", fileId(component.file), id);
+  }
+  for (const hook of sourceStructure.customHooks) {
+    const id = addNode("hook", `${hook.file}#${hook.name}`, {
+      name: hook.name,
+      file: hook.file,
+      domain: hook.domain,
+      data: { params: hook.params, returns: hook.returns, wraps: hook.wraps },
+    });
+    addEdge("defines", fileId(hook.file), id);
+    for (const caller of hook.callers) addEdge("calls", fileId(caller), id);
+  }
+  for (const store of sourceStructure.stateStores) {
+    const id = addNode("store", `${store.file}#${store.name}`, {
+      name: store.name,
+      file: store.file,
+      domain: domainOf(store.file),
+      data: { library: store.library, state: store.state, actions: store.actions },
+    });
+    addEdge("defines", fileId(store.file), id);
+    for (const consumer of store.consumers) addEdge("calls", fileId(consumer), id);
+  }
+
+  // Routes: Next.js and Expo Router URLs, React Navigation screens
+  const { expoRouter, navigators } = sourceStructure.navigationTree;
+  // Nodes covered by documents that describe only part of a node type
+  const documented = {
+    "architecture/ROUTES.md": new Set(),
+    "architecture/NAVIGATION.md": new Set(),
+    "architecture/SECURITY.md": new Set(),
+  };
+  const urlRoutes = [
+    ...[...sourceStructure.routes.app, ...sourceStructure.routes.pages].map((route) => ({ route, doc: "architecture/ROUTES.md" })),
+    ...(expoRouter ? expoRouter.routes : []).map((route) => ({ route, doc: "architecture/NAVIGATION.md" })),
+  ];
+  for (const { route, doc } of urlRoutes) {
+    const id = addNode("route", route.path, { name: route.path, file: route.file, domain: domainOf(route.file), data: { kind: route.type } });
+    addEdge("defines", fileId(route.file), id);
+    documented[doc].add(id);
+  }
+  for (const navigator of navigators) {
+    for (const screen of navigator.screens) {
+      if (screen.navigator) continue; // hosts a nested navigator
+      const key = `${navigator.host || navigator.name}/${screen.name}`;
+      const id = addNode("route", key, { name: screen.name, file: screen.file, domain: domainOf(screen.file), data: { kind: "screen", navigator: navigator.host || navigator.name } });
+      if (screen.file) addEdge("defines", fileId(screen.file), id);
+      documented["architecture/NAVIGATION.md"].add(id);
+    }
+  }
+
+  // Endpoints: HTTP handlers and tRPC procedures
+  for (const endpoint of backendStructure.endpoints) {
+    const id = addNode("endpoint", `${endpoint.method} ${endpoint.path}`, {
+      name: `${endpoint.method} ${endpoint.path}`,
+      file: endpoint.file,
+      domain: domainOf(endpoint.file),
+      data: { kind: "http", framework: endpoint.framework, request: endpoint.request, response: endpoint.response },
+    });
+    addEdge("defines", fileId(endpoint.file), id);
+  }
+  for (const procedure of backendStructure.procedures) {
+    const id = addNode("endpoint", `trpc ${procedure.path}`, {
+      name: procedure.path,
+      file: procedure.file,
+      domain: domainOf(procedure.file),
+      data: { kind: "trpc", procedure: procedure.kind, protected: procedure.protected },
+    });
+    addEdge("defines", fileId(procedure.file), id);
+    for (const caller of procedure.callers) addEdge("calls", fileId(caller), id);
+  }
+
+  // Tables, their relations and the files that read or write them
+  for (const model of backendStructure.models) {
+    addNode("table", model.name, { name: model.name, data: { source: model.source, tableName: model.tableName, fields: model.fields.map((f) => f.name) } });
+  }
+  for (const collection of backendStructure.collections) {
+    addNode("table", collection.collection, { name: collection.collection, data: { source: "firestore", tableName: collection.path, fields: collection.fields } });
+  }
+  // SECURITY.md covers the tables with row level security or policies
+  const secured = new Set(
+    backendStructure.security.tables.filter((t) => t.rlsEnabled || t.policies.length > 0).map((t) => t.name.toLowerCase())
+  );
+  for (const node of nodes.values()) {
+    if (node.type !== "table") continue;
+    if ([node.name, node.data.tableName].some((name) => name && secured.has(String(name).toLowerCase()))) {
+      documented["architecture/SECURITY.md"].add(node.id);
+    }
+  }
+  for (const relation of backendStructure.relations) {
+    addEdge("references", `table:${relation.from}`, `table:${relation.to}`);
+  }
+  for (const access of backendStructure.dataAccess) {
+    addEdge(access.access === "write" ? "writes" : "reads", fileId(access.file), `table:${access.table}`);
+  }
+
+  // Context documents and what they describe
+  for (const file of generatedFiles) {
+    const relative = toPosixPath(path.relative(contextPath, file.path));
+    const id = addNode("doc", relative, { name: relative, file: toPosixPath(path.relative(projectRoot, file.path)), data: { kind: file.type } });
+    const domain = relative.match(/^domains\/([^/]+)\/CONTEXT\.md$/);
+    if (domain) addEdge("documents", id, `domain:${domain[1]}`);
+    for (const type of DOCUMENTED_TYPES[relative] || []) {
+      for (const node of nodes.values()) {
+        if (node.type === type) addEdge("documents", id, node.id);
+      }
+    }
+    for (const covered of documented[relative] || []) addEdge("documents", id, covered);
+  }
+
+  return {
+    version: GRAPH_VERSION,
+    generatedAt: new Date().toISOString(),
+    project: { name: name || path.basename(projectRoot), stack },
+    nodes: [...nodes.values()].sort((a, b) => NODE_TYPES.indexOf(a.type) - NODE_TYPES.indexOf(b.type) || a.id.localeCompare(b.id)),
+    edges: [...edges.values()].sort((a, b) => EDGE_TYPES.indexOf(a.type) - EDGE_TYPES.indexOf(b.type) || a.source.localeCompare(b.source) || a.target.localeCompare(b.target)),
+  };
+}
@@ -0,0 +1,70 @@
+import { region } from "../lib/regions.js";
+
+/**
+ * Generate the hook catalog: every custom hook grouped by the domain that
+ * defines it, with its signature, what it wraps and who calls it
+ */
+export function generateHooks(sourceStructure) {
+  const timestamp = new Date().toISOString();
+  const hooks = sourceStructure.customHooks;
+  const domainOf = (file) => sourceStructure.fileDomains[file] || null;
+
+  const groups = new Map();
+  for (const hook of hooks) {
+    const key = hook.domain || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(hook);
+  }
+  // Domains alphabetically, shared hooks last
+  const keys = [...groups.keys()].sort((a, b) => (a === "") - (b === "") || a.localeCompare(b));
+
+  const catalog = keys.map((key) => {
+    const entries = groups.get(key).map((hook) => describeHook(hook, domainOf));
+    return `### ${key ? `Domain: ${key}` : "Shared"}\n\n${entries.join("\n\n")}`;
+  });
+
+  const unused = hooks.filter((h) => h.callers.length === 0).length;
+  const summary = `${hooks.length} custom hook${hooks.length === 1 ? "" : "s"} in ${groups.size} group${groups.size === 1 ? "" : "s"}${unused > 0 ? `; ${unused} not called outside their own file` : ""}. Return types are taken from annotations, or inferred from the returned value when there is none.`;
+
+  return `# Hooks
+
+Generated: ${timestamp}
+
+Check this catalog before writing a new hook: an existing one may already
+wrap the query, store or API you need.
+
+## Catalog
+
+${region("hooks", [summary, ...catalog].join("\n\n"))}
+
+## Conventions
+
+- **Naming**: Document hook naming (\`useThing\`, \`useThingMutation\`)
+- **Data fetching**: Document which hooks own server state
+- **Placement**: Document when a hook lives in a domain vs. shared \`hooks/\`
+
+---
+
+Last updated: ${timestamp}
+`;
+}
+
+function describeHook(hook, domainOf) {
+  const byDomain = new Map();
+  for (const file of hook.callers) {
+    const domain = domainOf(file) || "outside domains";
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(`\`${file}\``);
+  }
+  const callers = [...byDomain.entries()].map(([domain, files]) => `  - ${domain}: ${files.join(", ")}`);
+
+  const lines = [
+    `- **Defined in**: \`${hook.file}\`${hook.exported ? "" : " (not exported)"}`,
+    hook.wraps.length > 0 && `- **Wraps**: ${hook.wraps.map((w) => `\`${w}\``).join(", ")}`,
+    callers.length > 0 ? `- **Called from**:\n${callers.join("\n")}` : "- **Called from**: No callers found",
+  ].filter(Boolean);
+
+  return `#### \`${hook.name}${hook.params}${hook.returns ? `: ${hook.returns}` : ""}\`
+${hook.summary ? `\n${hook.summary}\n` : ""}
+${lines.join("\n")}`;
+}
@@ -0,0 +1,179 @@
+import { region } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+
+/**
+ * Generate the navigation document: the navigator tree as a Mermaid
+ * diagram, Expo Router layouts and routes, React Navigation navigators
+ * with their screens and params, and deep links
+ */
+export function generateNavigation(navigation) {
+  const timestamp = new Date().toISOString();
+  const { expoRouter, navigators, paramLists, linking } = navigation;
+  const sections = [];
+
+  if (expoRouter) {
+    sections.push(`## Expo Router
+
+${region("expo-router", describeExpoRouter(expoRouter))}`);
+  }
+
+  if (navigators.length > 0) {
+    sections.push(`## React Navigation
+
+${region("navigators", navigators.map((n) => describeNavigator(n, navigators)).join("\n\n"))}`);
+  }
+
+  if (paramLists.length > 0) {
+    const lines = paramLists.map((list) => {
+      const usage = list.navigators.length > 0 ? `used by ${list.navigators.map((n) => `\`${n}\``).join(", ")}` : "not passed to a navigator";
+      return `- \`${list.name}\` (\`${list.file}\`): ${list.params.length} screen${list.params.length === 1 ? "" : "s"}, ${usage}`;
+    });
+    sections.push(`## Param Lists
+
+${region("param-lists", lines.join("\n"))}`);
+  }
+
+  sections.push(`## Deep Links
+
+${region("deep-links", describeDeepLinks(expoRouter, linking))}`);
+
+  const adding = expoRouter
+    ? `1. Add a file under \`${expoRouter.root}/\`; its path is the URL
+2. Put it beside the \`_layout\` whose navigator should render it
+3. Declare a \`<Stack.Screen>\` / \`<Tabs.Screen>\` only to set options or order`
+    : `1. Add the screen to the navigator's param list
+2. Register it with \`<Navigator.Screen name="…" component={…} />\`
+3. Add a path to the linking config if it should open from a URL`;
+
+  return `# Navigation
+
+Generated: ${timestamp}
+
+How screens are grouped into navigators. The navigator that renders a
+screen decides its header, tab bar and back behavior.
+
+## Navigator Tree
+
+${region("navigation-tree", generateNavigationMermaid(navigation))}
+
+${sections.join("\n\n")}
+
+## Adding a Screen
+
+${adding}
+
+---
+
+Last updated: ${timestamp}
+`;
+}
+
+/**
+ * Layouts and screens as a top-down Mermaid flowchart. Navigators are
+ * drawn as subroutine nodes, screens as plain nodes.
+ */
+function generateNavigationMermaid({ expoRouter, navigators }) {
+  const lines = [];
+  const label = (text) => text.replace(/"/g, "#quot;");
+
+  if (expoRouter) {
+    const layoutId = new Map(expoRouter.layouts.map((layout, i) => [layout.directory, `L${i}`]));
+    for (const layout of expoRouter.layouts) {
+      const name = layout.directory ? `${expoRouter.root}/${layout.directory}` : expoRouter.root;
+      lines.push(`  ${layoutId.get(layout.directory)}[["${label(`${name}<br/>${layout.navigator}`)}"]]`);
+      if (layout.parent !== null) lines.push(`  ${layoutId.get(layout.parent)} --> ${layoutId.get(layout.directory)}`);
+    }
+    expoRouter.routes.forEach((route, i) => {
+      if (route.type === "API route") return;
+      lines.push(`  R${i}["${label(`${route.name}<br/>${route.path}`)}"]`);
+      if (route.layout !== null) lines.push(`  ${layoutId.get(route.layout)} --> R${i}`);
+    });
+  }
+
+  const navigatorId = new Map(navigators.map((navigator, i) => [navigator.id, `N${i}`]));
+  navigators.forEach((navigator, i) => {
+    // Navigator variables are usually just "Stack" or "Tab"; the component rendering them says more
+    const name = navigator.host ? navigator.host.name : navigator.name;
+    lines.push(`  N${i}[["${label(`${name}<br/>${navigator.type}`)}"]]`);
+    navigator.screens.forEach((screen, j) => {
+      if (screen.navigator) {
+        lines.push(`  N${i} -->|${label(screen.name)}| ${navigatorId.get(screen.navigator)}`);
+      } else {
+        lines.push(`  N${i}S${j}["${label(screen.name)}"]`, `  N${i} --> N${i}S${j}`);
+      }
+    });
+  });
+
+  if (lines.length === 0) return "No navigators detected.";
+  return `\`\`\`mermaid
+graph TD
+${lines.join("\n")}
+\`\`\``;
+}
+
+function describeExpoRouter(expoRouter) {
+  const navigatorOf = (directory) => {
+    const layout = expoRouter.layouts.find((l) => l.directory === directory);
+    return layout ? `${layout.navigator} (\`${layout.file}\`)` : "";
+  };
+
+  const layoutRows = expoRouter.layouts.map((layout) => {
+    const screens = layout.screens.map((s) => `\`${s.name}\`${s.title ? ` "${escapeTableCell(s.title)}"` : ""}${s.hidden ? " (hidden)" : ""}`);
+    return `| \`${layout.directory ? `${expoRouter.root}/${layout.directory}` : expoRouter.root}\` | ${layout.navigator} | \`${layout.file}\` | ${screens.join(", ")} |`;
+  });
+  const routeRows = expoRouter.routes.map((route) =>
+    `| \`${route.path}\` | \`${route.name}\` | ${route.type} | ${route.layout === null ? "" : navigatorOf(route.layout)} | \`${route.file}\` |`
+  );
+
+  return `Each \`_layout\` file renders the routes in its directory and below with the navigator it returns.
+
+| Directory | Navigator | Layout | Declared screens |
+|-----------|-----------|--------|------------------|
+${layoutRows.join("\n")}
+
+| Path | Route name | Type | Navigator | File |
+|------|------------|------|-----------|------|
+${routeRows.join("\n")}`;
+}
+
+function describeNavigator(navigator, navigators) {
+  const rows = navigator.screens.map((screen) => {
+    const nested = screen.navigator ? navigators.find((n) => n.id === screen.navigator) : null;
+    const component = screen.component ? `\`${screen.component}\`${nested ? ` (navigator \`${nested.name}\`)` : ""}` : "";
+    const params = screen.params && screen.params !== "undefined" ? `\`${escapeTableCell(screen.params)}\`` : "";
+    return `| \`${screen.name}\` | ${component} | ${screen.file ? `\`${screen.file}\`` : ""} | ${params} |`;
+  });
+
+  const details = [
+    `- **Created in**: \`${navigator.file}\``,
+    navigator.host && `- **Rendered by**: \`${navigator.host.name}\` in \`${navigator.host.file}\``,
+    navigator.paramList && `- **Param list**: \`${navigator.paramList}\``,
+  ].filter(Boolean);
+
+  return `### ${navigator.name} (${navigator.type}${navigator.root ? ", root" : ""})
+
+${details.join("\n")}
+${rows.length > 0 ? `
+| Screen | Component | File | Params |
+|--------|-----------|------|--------|
+${rows.join("\n")}` : "\nNo screens found"}`;
+}
+
+function describeDeepLinks(expoRouter, linking) {
+  const parts = [];
+  if (expoRouter) {
+    const base = expoRouter.scheme ? `${expoRouter.scheme}://` : "the app scheme";
+    parts.push(`Every Expo Router screen is a deep link: its path appended to ${expoRouter.scheme ? `\`${base}\`` : base}.`);
+  }
+  if (linking) {
+    const rows = linking.screens.map((s) => `| \`${s.screen}\` | \`${s.path}\` | ${s.parents.map((p) => `\`${p}\``).join(" > ")} |`);
+    parts.push(`Linking config in \`${linking.file}\`.
+
+${linking.prefixes.length > 0 ? `Prefixes: ${linking.prefixes.map((p) => `\`${p}\``).join(", ")}` : "No prefixes found"}
+${rows.length > 0 ? `
+| Screen | Path | Nested in |
+|--------|------|-----------|
+${rows.join("\n")}` : ""}`);
+  }
+  return parts.join("\n\n") || "- No deep link config found";
+}
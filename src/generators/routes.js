@@ -0,0 +1,86 @@
+import { region } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+
+/**
+ * Generate the route map: which file renders each URL, which layouts and
+ * boundaries wrap it, and which domain owns it
+ */
+export function generateRoutes(sourceStructure) {
+  const timestamp = new Date().toISOString();
+  const { app, segments, pages, middleware } = sourceStructure.routes;
+  const domainOf = (file) => {
+    const domain = sourceStructure.fileDomains[file];
+    return domain ? `\`${domain}\`` : "";
+  };
+
+  const appRoutes = app.length > 0
+    ? `| Route | Type | File | Domain |
+|-------|------|------|--------|
+${app.map((r) => {
+      const notes = [r.slot ? `parallel \`${r.slot}\`` : null, r.intercepts ? "intercepting" : null].filter(Boolean);
+      const type = notes.length > 0 ? `${r.type} (${notes.join(", ")})` : r.type;
+      return `| \`${escapeTableCell(r.path)}\` | ${type} | \`${r.file}\` | ${domainOf(r.file)} |`;
+    }).join("\n")}`
+    : "- No App Router routes found";
+
+  const cell = (file) => (file ? `\`${file.slice(file.lastIndexOf("/") + 1)}\`` : "");
+  const appSegments = segments.length > 0
+    ? `Each segment wraps every route below its URL.
+
+| Segment | Directory | Layout | Template | Loading | Error | Not Found | Default |
+|---------|-----------|--------|----------|---------|-------|-----------|---------|
+${segments.map((s) => `| \`${escapeTableCell(s.path)}\` | \`${s.directory}\` | ${cell(s.layout)} | ${cell(s.template)} | ${cell(s.loading)} | ${cell(s.error)} | ${cell(s["not-found"])} | ${cell(s.default)} |`).join("\n")}`
+    : "- No layouts or boundaries found";
+
+  const pagesRoutes = pages.length > 0
+    ? `| Route | Type | File | Domain |
+|-------|------|------|--------|
+${pages.map((r) => `| \`${escapeTableCell(r.path)}\` | ${r.type} | \`${r.file}\` | ${domainOf(r.file)} |`).join("\n")}`
+    : "- No Pages Router routes found";
+
+  let middlewareSection = "- No middleware found";
+  if (middleware) {
+    middlewareSection = `File: \`${middleware.file}\`\n\n${
+      middleware.matchers.length > 0
+        ? `Runs for:\n\n${middleware.matchers.map((m) => `- \`${m}\``).join("\n")}`
+        : "Runs for every route (no `config.matcher` export)"
+    }`;
+  }
+
+  return `# Routes
+
+Generated: ${timestamp}
+
+Use this file to find which file renders a URL. Dynamic segments use the
+directory names as written: \`[param]\`, \`[...catchAll]\`, \`[[...optional]]\`.
+Route groups \`(group)\` and parallel slots \`@slot\` do not appear in URLs.
+
+## App Router
+
+### Routes
+
+${region("app-routes", appRoutes)}
+
+### Layouts & Boundaries
+
+${region("app-segments", appSegments)}
+
+## Pages Router
+
+${region("pages-routes", pagesRoutes)}
+
+## Middleware
+
+${region("middleware", middlewareSection)}
+
+## Routing Conventions
+
+- Document auth-protected areas and how protection is enforced
+- Document redirects and rewrites (\`next.config\`)
+- Note routes rendered statically vs dynamically
+
+---
+
+Last updated: ${timestamp}
+`;
+}
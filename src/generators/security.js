@@ -0,0 +1,98 @@
+import { region } from "../lib/regions.js";
+import { escapeTableCell } from "../lib/markdown.js";
+
+/**
+ * Generate security documentation. Row level security state and policies
+ * are read from the replayed migrations; the rest is left for
+ * prompts/03-architecture.md to fill in.
+ */
+export function generateSecurity(stack, backendStructure) {
+  const timestamp = new Date().toISOString();
+  const { tables, functions } = backendStructure.security;
+
+  // rlsEnabled is null for tables the migrations don't create (e.g. storage.objects)
+  const unprotected = tables.filter((t) => t.rlsEnabled === false);
+  const rlsStatus = tables.length > 0
+    ? `| Table | RLS | Policies |
+|-------|-----|----------|
+${tables.map((t) => `| \`${t.name}\` | ${t.rlsEnabled === null ? "Not set in migrations" : t.rlsEnabled ? "Enabled" : "**Disabled**"} | ${t.policies.length} |`).join("\n")}${unprotected.length > 0 ? `\n\n> **Warning:** ${unprotected.length} table${unprotected.length === 1 ? " has" : "s have"} row level security disabled: ${unprotected.map((t) => `\`${t.name}\``).join(", ")}` : ""}`
+    : "- No tables found in migrations";
+
+  const policyRows = tables.flatMap((t) =>
+    t.policies.map((p) =>
+      `| \`${t.name}\` | ${escapeTableCell(p.name)} | ${p.command} | ${p.roles.length > 0 ? p.roles.join(", ") : "public"} | ${p.permissive ? "Permissive" : "Restrictive"} | ${formatExpression(p.using)} | ${formatExpression(p.withCheck)} |`
+    )
+  );
+  const policies = policyRows.length > 0
+    ? `| Table | Policy | Command | Roles | Type | USING | WITH CHECK |
+|-------|--------|---------|-------|------|-------|------------|
+${policyRows.join("\n")}`
+    : "- No RLS policies found in migrations";
+
+  const definerFunctions = functions.filter((f) => f.securityDefiner);
+  const privilegedFunctions = definerFunctions.length > 0
+    ? `These functions run with the privileges of their owner and bypass RLS:
+
+${definerFunctions.map((f) => `- \`${f.name}(${f.args})\`${f.returns ? ` → \`${f.returns}\`` : ""}`).join("\n")}`
+    : "- No `SECURITY DEFINER` functions found";
+
+  return `# Security
+
+Generated: ${timestamp}
+
+## Authentication
+
+- **Strategy**: Document the auth strategy (JWT, sessions, OAuth, MFA)${stack.backend.includes("Supabase") ? " — Supabase Auth detected" : ""}
+- **Flow**: Describe sign-up, sign-in and session refresh
+- **Token management**: Where tokens are stored and how they are refreshed
+
+## Authorization
+
+### Row Level Security
+
+${region("rls-status", rlsStatus)}
+
+### Policies
+
+${region("rls-policies", policies)}
+
+### Privileged Functions
+
+${region("security-definer-functions", privilegedFunctions)}
+
+### Roles & Permissions
+
+Document application roles and what each one can do.
+
+## Encryption
+
+- **In transit**: HTTPS/TLS configuration
+- **At rest**: Database and storage encryption
+- **Secrets management**: Where secrets live and how they are rotated
+
+## Input Validation & Output Encoding
+
+- Validation framework and where validation happens
+- CSRF protection
+- Output encoding
+
+## Common Security Patterns
+
+Add real code examples of auth checks, validation and encryption.
+
+## Security Checklist
+
+- [ ] New tables enable row level security
+- [ ] Every table with RLS has policies for each command it needs
+- [ ] \`SECURITY DEFINER\` functions validate their inputs
+- [ ] Service role keys never reach the client
+
+---
+
+Last updated: ${timestamp}
+`;
+}
+
+function formatExpression(expression) {
+  return expression ? `\`${escapeTableCell(expression)}\`` : "";
+}
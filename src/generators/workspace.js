@@ -0,0 +1,114 @@
+import { region } from "../lib/regions.js";
+
+/**
+ * Generate the root system overview of a monorepo: the workspace tooling,
+ * every package with its stack and context subtree, and the dependencies
+ * between packages
+ *
+ * @param {{tools: string[], packageManager: string}} workspace
+ * @param {Array<{name: string, dir: string, slug: string, dependencies: string[], stack: Object, domains: string[]}>} packages
+ */
+export function generateWorkspaceOverview(workspace, packages) {
+  const timestamp = new Date().toISOString();
+
+  const rows = packages.map((pkg) => {
+    const framework = pkg.stack.framework ? `${pkg.stack.framework} (${pkg.stack.platform})` : "Library";
+    return `| \`${pkg.name}\` | \`${pkg.dir}\` | ${framework} | ${pkg.domains.length} | \`packages/${pkg.slug}/AGENTS.md\` |`;
+  });
+
+  return `# System Overview
+
+Generated: ${timestamp}
+
+## Workspace
+
+${region("workspace", `- **Tooling**: ${workspace.tools.join(", ")}
+- **Package manager**: ${workspace.packageManager}
+- **Packages**: ${packages.length}`)}
+
+## Packages
+
+Each package has its own context graph (domains, architecture and patterns)
+under \`context/packages/\`.
+
+${region("packages", `| Package | Directory | Framework | Domains | Context |
+|---------|-----------|-----------|---------|---------|
+${rows.join("\n")}`)}
+
+## Package Dependencies
+
+${region("package-graph", generatePackageGraph(packages))}
+
+## Architecture Notes
+
+- **Shared code**: Document what belongs in shared packages vs. apps
+- **Deployment**: Document how each app is built and deployed
+- **Versioning**: Document how internal packages are versioned and released
+
+---
+
+Last updated: ${timestamp}
+`;
+}
+
+/**
+ * Generate the root AGENTS.md of a monorepo, pointing agents at the
+ * package that owns the code they are changing
+ */
+export function generateWorkspaceAgents(workspace, packages) {
+  const timestamp = new Date().toISOString();
+
+  const entries = packages.map((pkg) => {
+    const details = [`\`${pkg.dir}\``, pkg.stack.framework].filter(Boolean).join(", ");
+    const uses = pkg.dependencies.length > 0 ? `; uses ${pkg.dependencies.map((d) => `\`${d}\``).join(", ")}` : "";
+    return `- **${pkg.name}** (${details}): \`packages/${pkg.slug}/AGENTS.md\`${uses}`;
+  });
+
+  return `# Agent Context Configuration
+
+Generated: ${timestamp}
+
+## Quick Start for AI Agents
+
+This repository is a ${workspace.tools.join(" + ")} monorepo. Every package has
+its own context graph; start from the package that owns the code.
+
+### Packages
+
+${region("packages", entries.join("\n"))}
+
+### Before Making Changes
+
+When an agent encounters a task:
+
+1. **Find the Package**: Match the files you are changing to a package above
+2. **Read its Context**: Follow that package's \`AGENTS.md\` to its domains and patterns
+3. **Check Dependents**: Review \`architecture/SYSTEM_OVERVIEW.md\` for packages that use it
+4. **Stay in Bounds**: Import other packages by name, never by relative path
+
+---
+
+**Note**: Run \`context-graph-generator scan\` from the repository root to refresh every package.
+`;
+}
+
+/**
+ * Internal dependencies as a Mermaid flowchart, arrows pointing from a
+ * package to the packages it depends on
+ */
+function generatePackageGraph(packages) {
+  const ids = new Map(packages.map((pkg, i) => [pkg.name, `P${i}`]));
+  const lines = packages.map((pkg) => `  ${ids.get(pkg.name)}["${pkg.name}<br/>${pkg.dir}"]`);
+  for (const pkg of packages) {
+    for (const dep of pkg.dependencies) lines.push(`  ${ids.get(pkg.name)} --> ${ids.get(dep)}`);
+  }
+
+  const edges = packages.filter((pkg) => pkg.dependencies.length > 0);
+  return `Arrows point from a package to the workspace packages it depends on.
+
+\`\`\`mermaid
+graph LR
+${lines.join("\n")}
+\`\`\`
+${edges.length > 0 ? `\n${edges.map((pkg) => `- \`${pkg.name}\` → ${pkg.dependencies.map((d) => `\`${d}\``).join(", ")}`).join("\n")}` : "\nNo dependencies between packages."}`;
+}
@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+export const CONFIG_FILES = ["context-graph.config.js", "context-graph.config.mjs", "context-graph.config.json"];
+
+/**
+ * Generators `scan` can run, by config name
+ */
+export const GENERATORS = [
+  "domains",
+  "system-overview",
+  "data-model",
+  "configuration",
+  "security",
+  "routes",
+  "navigation",
+  "api-design",
+  "infrastructure",
+  "components",
+  "forms",
+  "state-management",
+  "hooks",
+  "agents",
+  "graph",
+];
+
+const VERIFY_SECTION_TYPES = ["domain", "architecture", "pattern", "workflow"];
+
+const DEFAULTS = {
+  sourceRoots: ["src"],
+  ignore: [],
+  domainDirectories: ["features", "modules", "domains"],
+  domains: {},
+  output: "context",
+  generators: Object.fromEntries(GENERATORS.map((name) => [name, true])),
+  verify: { requiredFiles: null, requiredSections: {} },
+};
+
+/**
+ * Load the project configuration from `context-graph.config.{js,mjs,json}`
+ * or the `contextgraph` key of package.json, validated and merged over the
+ * defaults. Invalid configuration throws with the offending option named.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @returns {Promise<{config: Object, source: string|null}>} `source` is the file the config came from
+ */
+export async function loadConfig(projectRoot) {
+  for (const file of CONFIG_FILES) {
+    const filePath = path.join(projectRoot, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    let raw;
+    if (file.endsWith(".json")) {
+      raw = readJson(filePath, file);
+    } else {
+      const module = await import(pathToFileURL(filePath).href);
+      raw = module.default;
+    }
+    return { config: validateConfig(raw, file), source: file };
+  }
+
+  const packageJsonPath = path.join(projectRoot, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = readJson(packageJsonPath, "package.json");
+    if (packageJson.contextgraph !== undefined) {
+      return { config: validateConfig(packageJson.contextgraph, 'package.json "contextgraph"'), source: "package.json" };
+    }
+  }
+
+  return { config: validateConfig({}, "defaults"), source: null };
+}
+
+/**
+ * Check option types and fill in defaults
+ *
+ * @param {Object} raw - User configuration
+ * @param {string} source - Where it came from, for error messages
+ * @returns {Object}
+ */
+export function validateConfig(raw, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid configuration in ${source}: ${message}`);
+  };
+  if (!isPlainObject(raw)) fail("expected an object");
+
+  const unknown = Object.keys(raw).filter((key) => !(key in DEFAULTS));
+  if (unknown.length > 0) fail(`unknown option${unknown.length === 1 ? "" : "s"} ${unknown.map((k) => `"${k}"`).join(", ")}`);
+
+  for (const key of ["sourceRoots", "ignore", "domainDirectories"]) {
+    if (raw[key] !== undefined && !isStringArray(raw[key])) fail(`"${key}" must be an array of strings`);
+  }
+  if (raw.output !== undefined && (typeof raw.output !== "string" || raw.output.trim() === "")) {
+    fail('"output" must be a non-empty directory path');
+  }
+
+  const domains = {};
+  if (raw.domains !== undefined) {
+    if (!isPlainObject(raw.domains)) fail('"domains" must map domain names to a path or array of paths');
+    for (const [name, paths] of Object.entries(raw.domains)) {
+      const list = typeof paths === "string" ? [paths] : paths;
+      if (!isStringArray(list)) fail(`"domains.${name}" must be a path or array of paths`);
+      domains[name] = list.map((p) => p.replace(/^\.\//, "").replace(/\/$/, ""));
+    }
+  }
+
+  const generators = { ...DEFAULTS.generators };
+  if (raw.generators !== undefined) {
+    if (!isPlainObject(raw.generators)) fail('"generators" must map generator names to true or false');
+    for (const [name, enabled] of Object.entries(raw.generators)) {
+      if (!GENERATORS.includes(name)) fail(`unknown generator "${name}" (expected one of ${GENERATORS.join(", ")})`);
+      if (typeof enabled !== "boolean") fail(`"generators.${name}" must be true or false`);
+      generators[name] = enabled;
+    }
+  }
+
+  const verify = { requiredFiles: null, requiredSections: {} };
+  if (raw.verify !== undefined) {
+    if (!isPlainObject(raw.verify)) fail('"verify" must be an object');
+    const { requiredFiles, requiredSections, ...rest } = raw.verify;
+    if (Object.keys(rest).length > 0) fail(`unknown verify option "${Object.keys(rest)[0]}"`);
+    if (requiredFiles !== undefined) {
+      if (!isStringArray(requiredFiles)) fail('"verify.requiredFiles" must be an array of strings');
+      verify.requiredFiles = requiredFiles;
+    }
+    if (requiredSections !== undefined) {
+      if (!isPlainObject(requiredSections)) fail('"verify.requiredSections" must map file types to section names');
+      for (const [type, sections] of Object.entries(requiredSections)) {
+        if (!VERIFY_SECTION_TYPES.includes(type)) fail(`unknown file type "verify.requiredSections.${type}" (expected one of ${VERIFY_SECTION_TYPES.join(", ")})`);
+        if (!isStringArray(sections)) fail(`"verify.requiredSections.${type}" must be an array of strings`);
+        verify.requiredSections[type] = sections;
+      }
+    }
+  }
+
+  return {
+    sourceRoots: raw.sourceRoots || DEFAULTS.sourceRoots,
+    ignore: raw.ignore || DEFAULTS.ignore,
+    domainDirectories: raw.domainDirectories || DEFAULTS.domainDirectories,
+    domains,
+    output: raw.output || DEFAULTS.output,
+    generators,
+    verify,
+  };
+}
+
+function readJson(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${label}: ${error.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
@@ -0,0 +1,251 @@
+import fs from "fs";
+import path from "path";
+import { toPosixPath } from "./source-files.js";
+import { TEST_FILE } from "../scanners/tests.js";
+
+const SYMBOL_TYPES = ["component", "hook", "store", "endpoint", "route", "domain"];
+
+// Pattern and workflow file names that suit each kind of code, matched
+// against the lowercased file name
+const PATTERN_KEYWORDS = {
+  component: ["component", "ui"],
+  hook: ["hook"],
+  store: ["state", "store"],
+  endpoint: ["api", "handler", "endpoint"],
+  route: ["route", "routing", "navigation", "page"],
+  table: ["database", "data", "quer", "model"],
+  form: ["form", "validation"],
+  test: ["test"],
+};
+const WORKFLOW_KEYWORDS = {
+  table: ["database", "migration"],
+  test: ["test"],
+  endpoint: ["api"],
+};
+const GENERAL_WORKFLOWS = ["feature", "bug"];
+
+/**
+ * Work out which context applies to a source path, symbol name, route URL
+ * or table name: the graph nodes it matches, their owning domains, and the
+ * context documents, patterns and workflows to read, most relevant first.
+ * Paths that aren't in the graph yet (a file about to be created) match
+ * the domain whose directory contains them.
+ *
+ * @param {Object} graph - From `loadGraph`
+ * @param {string} target - What the agent is working on
+ * @param {{projectRoot: string, contextPath: string, sourceRoot?: string}} location - Absolute paths;
+ *   `contextPath` is the directory holding this graph.json, `sourceRoot` the
+ *   directory its file paths are relative to (a workspace package's, in a monorepo)
+ * @returns {{target: string, matches: Object[], domains: Array<{name: string, context: string|null, owners: string[]}>, context: Array<{path: string, score: number, reasons: string[]}>, patterns: Array<{path: string, reasons: string[]}>, workflows: Array<{path: string, reasons: string[]}>}}
+ *   Document paths are relative to the project root
+ */
+export function queryContext(graph, target, { projectRoot, contextPath, sourceRoot = projectRoot }) {
+  const nodes = new Map(graph.nodes.map((n) => [n.id, n]));
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const edge of graph.edges) {
+    if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+    if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+    outgoing.get(edge.source).push(edge);
+    incoming.get(edge.target).push(edge);
+  }
+  const edgesFrom = (id, type) => (outgoing.get(id) || []).filter((e) => e.type === type).map((e) => nodes.get(e.target));
+  const edgesTo = (id, type) => (incoming.get(id) || []).filter((e) => e.type === type).map((e) => nodes.get(e.source));
+
+  const matches = matchTarget(graph, target.trim(), projectRoot, sourceRoot);
+
+  // Score each context document, remembering why it was picked
+  const scores = new Map();
+  // Doc nodes are named by their path inside the context directory
+  const docPath = (doc) => toPosixPath(path.relative(projectRoot, path.join(contextPath, doc.name)));
+  const credit = (doc, points, reason) => {
+    if (!doc || !fs.existsSync(path.join(contextPath, doc.name))) return;
+    const entry = scores.get(doc.name) || { path: docPath(doc), score: 0, reasons: [] };
+    entry.score += points;
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+    scores.set(doc.name, entry);
+  };
+  const domainDoc = (domain) => edgesTo(`domain:${domain}`, "documents").find((d) => /^domains\//.test(d.name));
+  const creditDocsOf = (node, points, reason) => {
+    for (const doc of edgesTo(node.id, "documents")) {
+      if (!/^domains\//.test(doc.name)) credit(doc, points, reason);
+    }
+  };
+
+  const owners = new Map(); // domain -> why it applies
+  const own = (domain, reason) => {
+    if (domain && !owners.has(domain)) owners.set(domain, reason);
+  };
+  const kinds = new Set();
+
+  for (const match of matches) {
+    const node = match.node;
+    kinds.add(node.type);
+    if (node.type === "domain") {
+      own(node.name, match.how === "path" ? `contains ${target}` : "domain context");
+    } else {
+      own(node.domain, `owns ${match.label}`);
+    }
+    creditDocsOf(node, 80, `documents ${match.label}`);
+
+    if (node.type === "file") {
+      if (TEST_FILE.test(node.file) || node.file.split("/").includes("__tests__")) kinds.add("test");
+      if (/form/i.test(path.posix.basename(node.file))) kinds.add("form");
+      for (const defined of edgesFrom(node.id, "defines")) {
+        kinds.add(defined.type);
+        creditDocsOf(defined, 60, `documents ${defined.name}, defined here`);
+      }
+      for (const type of ["reads", "writes"]) {
+        for (const table of edgesFrom(node.id, type)) {
+          kinds.add("table");
+          creditDocsOf(table, 50, `documents table ${table.name}, ${type === "reads" ? "read" : "written"} here`);
+        }
+      }
+      for (const called of edgesFrom(node.id, "calls")) {
+        creditDocsOf(called, 30, `documents ${called.name}, used here`);
+      }
+      for (const imported of edgesFrom(node.id, "imports")) {
+        if (imported.domain && imported.domain !== node.domain) {
+          credit(domainDoc(imported.domain), 30, `${imported.domain} code is imported here`);
+        }
+      }
+    }
+
+    if (node.type === "table") {
+      for (const [type, points] of [["writes", 60], ["reads", 40]]) {
+        for (const file of edgesTo(node.id, type)) {
+          if (type === "writes") own(file.domain, `writes ${node.name}`);
+          if (file.domain) credit(domainDoc(file.domain), points, `${file.domain} ${type === "reads" ? "reads" : "writes"} ${node.name}`);
+        }
+      }
+    }
+  }
+
+  const domains = [...owners.keys()].map((name) => {
+    const domainNode = nodes.get(`domain:${name}`);
+    const doc = domainDoc(name);
+    credit(doc, 100, owners.get(name));
+    // Neighbouring domains, by import direction
+    for (const dependency of edgesFrom(`domain:${name}`, "imports")) credit(domainDoc(dependency.name), 20, `${name} depends on ${dependency.name}`);
+    for (const dependent of edgesTo(`domain:${name}`, "imports")) credit(domainDoc(dependent.name), 10, `${dependent.name} depends on ${name}`);
+    return {
+      name,
+      context: doc && fs.existsSync(path.join(contextPath, doc.name)) ? docPath(doc) : null,
+      owners: (domainNode && domainNode.data && domainNode.data.owners) || [],
+    };
+  });
+  credit(graph.nodes.find((n) => n.id === "doc:architecture/SYSTEM_OVERVIEW.md"), 5, "project overview");
+
+  const mentions = [target, ...matches.map((m) => m.node.file)].filter(Boolean);
+  return {
+    target,
+    matches: matches.map(({ node, how }) => ({ id: node.id, type: node.type, name: node.name, file: node.file || null, domain: node.domain || null, how })),
+    domains,
+    context: [...scores.values()].sort((a, b) => b.score - a.score || a.path.localeCompare(b.path)),
+    patterns: rankGuides(projectRoot, contextPath, "patterns", PATTERN_KEYWORDS, kinds, mentions, []),
+    workflows: rankGuides(projectRoot, contextPath, "workflows", WORKFLOW_KEYWORDS, kinds, mentions, matches.length > 0 ? GENERAL_WORKFLOWS : []),
+  };
+}
+
+/**
+ * Graph nodes the target names: a file path (or a domain directory that
+ * would contain it), a route URL, a table, or a symbol. Relative paths may
+ * be relative to the source root or to the project root.
+ */
+function matchTarget(graph, target, projectRoot, sourceRoot) {
+  if (!target) return [];
+  const matches = [];
+  const add = (node, how) => {
+    if (!matches.some((m) => m.node.id === node.id)) matches.push({ node, how, label: node.type === "file" ? node.file : node.name });
+  };
+
+  // Source paths
+  const candidates = [...new Set([sourceRoot, projectRoot].map((root) => toPosixPath(path.relative(sourceRoot, path.resolve(root, target)))))]
+    .filter((relative) => relative && !relative.startsWith(".."));
+  const file = candidates.map((relative) => graph.nodes.find((n) => n.id === `file:${relative}`)).find(Boolean);
+  if (file) add(file, "path");
+  if (!file) {
+    const containing = graph.nodes
+      .filter((n) => n.type === "domain")
+      .flatMap((n) => ((n.data && n.data.paths) || []).map((p) => ({ node: n, dir: p })))
+      .filter(({ dir }) => candidates.some((relative) => relative === dir || relative.startsWith(dir + "/")))
+      .sort((a, b) => b.dir.length - a.dir.length)[0];
+    if (containing) add(containing.node, "path");
+  }
+
+  // Route URLs, with dynamic segments matching anything
+  if (target.startsWith("/") && !target.startsWith(projectRoot + path.sep)) {
+    const url = target.replace(/[?#].*$/, "");
+    const routes = graph.nodes.filter((n) => (n.type === "route" && n.name.startsWith("/")) || n.type === "endpoint");
+    const urlOf = (n) => (n.type === "endpoint" ? n.name.replace(/^[A-Z]+ /, "") : n.name);
+    const found = routes.filter((n) => urlOf(n).startsWith("/") && routeMatches(urlOf(n), url));
+    found.sort((a, b) => Number(urlOf(b) === url) - Number(urlOf(a) === url));
+    for (const node of found) add(node, "url");
+  }
+
+  // Tables by model or table name
+  const lower = target.toLowerCase();
+  for (const node of graph.nodes) {
+    if (node.type !== "table") continue;
+    if (node.name.toLowerCase() === lower || String((node.data && node.data.tableName) || "").toLowerCase() === lower) add(node, "table");
+  }
+
+  // Symbols: exact name first, then case-insensitive
+  const symbols = graph.nodes.filter((n) => SYMBOL_TYPES.includes(n.type));
+  const exact = symbols.filter((n) => n.name === target);
+  for (const node of exact.length > 0 ? exact : symbols.filter((n) => n.name.toLowerCase() === lower)) add(node, "symbol");
+
+  return matches;
+}
+
+/**
+ * Next.js / Expo `[id]`, `[...slug]`, `[[...slug]]` and `:id` segments
+ */
+function routeMatches(pattern, url) {
+  const segments = (p) => p.split("/").filter(Boolean);
+  const expected = segments(pattern);
+  const actual = segments(url);
+  for (let i = 0; i < expected.length; i++) {
+    const segment = expected[i];
+    if (/^\[\[\.\.\./.test(segment)) return true;
+    if (/^\[\.\.\./.test(segment) || segment === "*") return actual.length > i;
+    if (i >= actual.length) return false;
+    if (/^\[.+\]$/.test(segment) || segment.startsWith(":")) continue;
+    if (segment !== actual[i]) return false;
+  }
+  return expected.length === actual.length;
+}
+
+/**
+ * Hand-written pattern or workflow files that suit the kinds of code
+ * matched, or that mention the target
+ */
+function rankGuides(projectRoot, contextPath, directory, keywords, kinds, mentions, general) {
+  const dir = path.join(contextPath, directory);
+  if (!fs.existsSync(dir)) return [];
+
+  const guides = [];
+  for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".md") && f !== "README.md").sort()) {
+    const lowerName = name.toLowerCase();
+    const reasons = [];
+    let score = 0;
+    for (const kind of kinds) {
+      if ((keywords[kind] || []).some((k) => lowerName.includes(k))) {
+        score += 50;
+        reasons.push(`${kind} code`);
+      }
+    }
+    const content = fs.readFileSync(path.join(dir, name), "utf-8");
+    const mentioned = mentions.find((m) => content.includes(m));
+    if (mentioned) {
+      score += 30;
+      reasons.push(`mentions ${mentioned}`);
+    }
+    if (general.some((k) => lowerName.includes(k))) {
+      score += 10;
+      reasons.push("any code change");
+    }
+    if (score > 0) guides.push({ path: toPosixPath(path.relative(projectRoot, path.join(dir, name))), score, reasons });
+  }
+  return guides.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path)).map(({ score, ...guide }) => guide);
+}
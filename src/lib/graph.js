@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+import { GRAPH_VERSION, NODE_TYPES } from "../generators/graph.js";
+import { detectWorkspaces } from "../scanners/workspaces.js";
+import { toPosixPath } from "./source-files.js";
+
+/**
+ * Read the graph.json a scan wrote. In a monorepo each package has its own
+ * graph under `packages/<slug>/`.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {{output: string, package?: string|null}} options - Context directory
+ *   from the config and an optional workspace package slug
+ * @returns {Object} Graph matching schema/graph.schema.json
+ */
+export function loadGraph(projectRoot, { output, package: slug = null }) {
+  const contextPath = path.join(projectRoot, output);
+  const graphPath = path.join(graphDirectory(projectRoot, { output, package: slug }), "graph.json");
+  const relative = path.relative(projectRoot, graphPath);
+
+  if (!fs.existsSync(graphPath)) {
+    const packagesPath = path.join(contextPath, "packages");
+    const packages = !slug && fs.existsSync(packagesPath) ? fs.readdirSync(packagesPath) : [];
+    throw new Error(
+      packages.length > 0
+        ? `${relative} not found; this is a monorepo, pick a package with --package (${packages.join(", ")})`
+        : `${relative} not found; run 'context-graph-generator scan' first`
+    );
+  }
+
+  let graph;
+  try {
+    graph = JSON.parse(fs.readFileSync(graphPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${relative}: ${error.message}`);
+  }
+  if (graph.version !== GRAPH_VERSION) {
+    throw new Error(`${relative} has format version ${graph.version}, expected ${GRAPH_VERSION}; re-run 'context-graph-generator scan'`);
+  }
+  return graph;
+}
+
+/**
+ * The context directory a graph belongs to: the project's, or a workspace
+ * package's subtree
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {{output: string, package?: string|null}} options
+ * @returns {string} Absolute path
+ */
+export function graphDirectory(projectRoot, { output, package: slug = null }) {
+  const contextPath = path.join(projectRoot, output);
+  return slug ? path.join(contextPath, "packages", slug) : contextPath;
+}
+
+/**
+ * Directory of the workspace package with this slug; its graph's file paths
+ * are relative to it
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {string} slug - Package slug, as under `packages/`
+ * @returns {string} Absolute path
+ */
+export function packageRoot(projectRoot, slug) {
+  const pkg = workspacePackages(projectRoot).find((p) => p.slug === slug);
+  if (!pkg) throw new Error(`No workspace package "${slug}" in ${projectRoot}`);
+  return path.join(projectRoot, pkg.dir);
+}
+
+/**
+ * The workspace package a source path (absolute, or relative to the project
+ * root) lies in, so file queries in a monorepo need no `--package`
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {string} target - Source path
+ * @returns {string|null} Package slug, or null outside any package
+ */
+export function packageForPath(projectRoot, target) {
+  const relative = toPosixPath(path.relative(projectRoot, path.resolve(projectRoot, target)));
+  const pkg = workspacePackages(projectRoot)
+    .filter((p) => relative === p.dir || relative.startsWith(p.dir + "/"))
+    .sort((a, b) => b.dir.length - a.dir.length)[0];
+  return pkg ? pkg.slug : null;
+}
+
+function workspacePackages(projectRoot) {
+  const packageJsonPath = path.join(projectRoot, "package.json");
+  const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, "utf-8")) : {};
+  return (detectWorkspaces(projectRoot, packageJson) || {}).packages || [];
+}
+
+/**
+ * Narrow a graph to some node types and, optionally, to one domain and the
+ * nodes within `depth` edges of it (in either direction). The domain's own
+ * nodes are everything tagged with it. Context documents are included as
+ * neighbors but not expanded, since one doc links to every node it covers.
+ *
+ * @param {Object} graph - From `loadGraph`
+ * @param {{domain?: string|null, depth?: number, nodeTypes?: string[]|null}} [filters]
+ * @returns {Object} The graph with the filtered `nodes` and the `edges` between them
+ */
+export function filterGraph(graph, { domain = null, depth = 1, nodeTypes = null } = {}) {
+  if (nodeTypes) {
+    const unknown = nodeTypes.filter((type) => !NODE_TYPES.includes(type));
+    if (unknown.length > 0) throw new Error(`Unknown node type "${unknown[0]}" (expected one of ${NODE_TYPES.join(", ")})`);
+  }
+
+  let nodes = nodeTypes ? graph.nodes.filter((n) => nodeTypes.includes(n.type)) : graph.nodes;
+
+  if (domain) {
+    if (!graph.nodes.some((n) => n.id === `domain:${domain}`)) {
+      const domains = graph.nodes.filter((n) => n.type === "domain").map((n) => n.name);
+      throw new Error(`Unknown domain "${domain}"${domains.length > 0 ? ` (domains: ${domains.join(", ")})` : ""}`);
+    }
+    const ids = new Set(nodes.map((n) => n.id));
+    const neighbors = new Map();
+    for (const edge of graph.edges) {
+      if (!ids.has(edge.source) || !ids.has(edge.target)) continue;
+      for (const [from, to] of [[edge.source, edge.target], [edge.target, edge.source]]) {
+        if (!neighbors.has(from)) neighbors.set(from, []);
+        neighbors.get(from).push(to);
+      }
+    }
+
+    const keep = new Set(nodes.filter((n) => n.id === `domain:${domain}` || n.domain === domain).map((n) => n.id));
+    let frontier = [...keep];
+    for (let step = 0; step < depth && frontier.length > 0; step++) {
+      const next = [];
+      for (const id of frontier) {
+        if (id.startsWith("doc:")) continue;
+        for (const neighbor of neighbors.get(id) || []) {
+          if (keep.has(neighbor)) continue;
+          keep.add(neighbor);
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+    nodes = nodes.filter((n) => keep.has(n.id));
+  }
+
+  const kept = new Set(nodes.map((n) => n.id));
+  return { ...graph, nodes, edges: graph.edges.filter((e) => kept.has(e.source) && kept.has(e.target)) };
+}
@@ -0,0 +1,136 @@
+import fs from "fs";
+import path from "path";
+import { globSync } from "glob";
+
+// Tools stamp generated files with one of these in their first lines
+const GENERATED_HEADER = /@generated\b|\bDO NOT EDIT\b|\b(?:auto-?generated|automatically generated)\b|\bThis file (?:is|was|has been) generated\b/i;
+const GENERATED_PATH = /(?:^|\/)__generated__\/|\.(?:generated|gen)\.[^/]+$/;
+
+/**
+ * Decide which project files scanners skip: `.gitignore` rules (nested
+ * files apply below their directory, parent files up to the repository
+ * root also apply), `.contextgraphignore`, the config's `ignore` globs and
+ * generated code (`__generated__/`, `*.generated.*`, `*.gen.*` or an
+ * `@generated` / "DO NOT EDIT" header). Skipped files are counted by
+ * reason for the scan summary.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {string[]} [globs] - `ignore` globs from the config
+ * @returns {{root: string, ignores: (file: string, read?: Function) => boolean, filter: (files: string[], read?: Function) => string[], skipped: () => Object<string, number>}}
+ *   `file` may be absolute or relative to the project root; `read` returns
+ *   the contents of a relative path when the caller already caches them
+ */
+export function createIgnoreFilter(projectRoot, globs = []) {
+  const rules = [
+    ...readGitignoreRules(projectRoot),
+    ...readRules(path.join(projectRoot, ".contextgraphignore"), projectRoot, ".contextgraphignore"),
+    ...globs.map((pattern) => parseRule(pattern, projectRoot, "config ignore")),
+  ].filter(Boolean);
+  const skippedFiles = new Map(); // file -> reason
+
+  const readFile = (file) => {
+    try {
+      return fs.readFileSync(path.join(projectRoot, file), "utf-8");
+    } catch {
+      return "";
+    }
+  };
+
+  const reasonFor = (file, read) => {
+    const absolute = path.join(projectRoot, file);
+    let reason = null;
+    // The last matching rule wins, so a later `!pattern` re-includes a file
+    for (const rule of rules) {
+      const relative = path.relative(rule.base, absolute).split(path.sep).join("/");
+      if (relative.startsWith("..") || !rule.match(relative)) continue;
+      reason = rule.negate ? null : rule.reason;
+    }
+    if (reason) return reason;
+    if (GENERATED_PATH.test(file)) return "generated";
+    const header = read(file).slice(0, 1000).split("\n").slice(0, 5).join("\n");
+    return GENERATED_HEADER.test(header) ? "generated" : null;
+  };
+
+  const ignores = (file, read = readFile) => {
+    const relative = path.relative(projectRoot, path.resolve(projectRoot, file)).split(path.sep).join("/");
+    if (skippedFiles.has(relative)) return true;
+    const reason = reasonFor(relative, read);
+    if (reason) skippedFiles.set(relative, reason);
+    return reason !== null;
+  };
+
+  return {
+    root: projectRoot,
+    ignores,
+    filter: (files, read) => files.filter((file) => !ignores(file, read)),
+    skipped() {
+      const counts = {};
+      for (const reason of skippedFiles.values()) counts[reason] = (counts[reason] || 0) + 1;
+      return counts;
+    },
+  };
+}
+
+/**
+ * gitignore-style pattern to a test on a path relative to the pattern's
+ * base directory. Also used for CODEOWNERS, which shares the syntax.
+ *
+ * @param {string} pattern - e.g. `/build/`, `*.log`, `docs/**\/*.md`
+ * @returns {(file: string) => boolean}
+ */
+export function createPatternMatcher(pattern) {
+  const anchored = pattern.startsWith("/") || pattern.slice(0, -1).includes("/");
+  const directory = pattern.endsWith("/");
+  const body = pattern
+    .replace(/^\/|\/$/g, "")
+    .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map((part) => ({ "**/": "(?:.*/)?", "/**": "(?:/.*)?", "**": ".*", "*": "[^/]*", "?": "[^/]" })[part] ||
+      part.replace(/[.+^${}()|[\]\\]/g, "\\$&"))
+    .join("");
+  const regex = new RegExp(`${anchored ? "^" : "(?:^|/)"}${body}${directory ? "/.*" : "(?:/.*)?"}$`);
+  return (file) => regex.test(file);
+}
+
+/**
+ * Every `.gitignore` inside the project, plus those in parent directories
+ * up to the repository root (a workspace package inherits the root rules).
+ * Parents come first so deeper files override them.
+ */
+function readGitignoreRules(projectRoot) {
+  const parents = [];
+  let dir = projectRoot;
+  while (!fs.existsSync(path.join(dir, ".git"))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      parents.length = 0; // not in a repository: only the project's own files apply
+      break;
+    }
+    dir = parent;
+    parents.unshift(dir);
+  }
+
+  const nested = globSync("**/.gitignore", {
+    cwd: projectRoot,
+    dot: true,
+    ignore: ["**/node_modules/**", "**/.git/**"],
+    posix: true,
+  }).sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b));
+
+  return [
+    ...parents.flatMap((parent) => readRules(path.join(parent, ".gitignore"), parent, ".gitignore")),
+    ...nested.flatMap((file) => readRules(path.join(projectRoot, file), path.join(projectRoot, path.dirname(file)), ".gitignore")),
+  ];
+}
+
+function readRules(filePath, base, reason) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, "utf-8").split("\n").map((line) => parseRule(line, base, reason));
+}
+
+function parseRule(line, base, reason) {
+  const trimmed = line.replace(/\r$/, "").replace(/(?<!\\)\s+$/, "");
+  if (!trimmed || trimmed.startsWith("#")) return null;
+  const negate = trimmed.startsWith("!");
+  const pattern = trimmed.replace(/^!/, "").replace(/^\\([#!])/, "$1");
+  return { base, negate, reason, match: createPatternMatcher(pattern) };
+}
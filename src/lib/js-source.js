@@ -0,0 +1,221 @@
+/**
+ * Lightweight helpers for reading JavaScript/TypeScript source without a
+ * full parser. They understand strings, template literals, comments and
+ * regex literals well enough to find real code structure.
+ */
+
+const REGEX_PRECEDERS = new Set(["(", ",", "=", ":", "[", "!", "&", "|", "?", "{", "}", ";", "+", "-", "*", "%", "<", ">", "~", "^"]);
+
+/**
+ * Blank out comments while keeping offsets and line numbers intact
+ *
+ * @param {string} src - Source code
+ * @returns {string}
+ */
+export function stripComments(src) {
+  let out = "";
+  let i = 0;
+  let lastSignificant = "";
+
+  while (i < src.length) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    if (ch === "/" && next === "/") {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      out += " ".repeat(stop - i);
+      i = stop;
+      continue;
+    }
+
+    if (ch === "/" && next === "*") {
+      const end = src.indexOf("*/", i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      out += src.slice(i, stop).replace(/[^\n]/g, " ");
+      i = stop;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === "`") {
+      const stop = skipString(src, i);
+      out += src.slice(i, stop);
+      i = stop;
+      lastSignificant = ch;
+      continue;
+    }
+
+    if (ch === "/" && (lastSignificant === "" || REGEX_PRECEDERS.has(lastSignificant))) {
+      const stop = skipRegex(src, i);
+      out += src.slice(i, stop);
+      i = stop;
+      lastSignificant = "/";
+      continue;
+    }
+
+    if (!/\s/.test(ch)) lastSignificant = ch;
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Return the index just past the string literal starting at `start`
+ */
+export function skipString(src, start) {
+  const quote = src[start];
+  let i = start + 1;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) return i + 1;
+    if (quote === "`" && ch === "$" && src[i + 1] === "{") {
+      i = findClosing(src, i + 1) + 1;
+      continue;
+    }
+    if (quote !== "`" && ch === "\n") return i;
+    i++;
+  }
+
+  return src.length;
+}
+
+function skipRegex(src, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === "\n") return start + 1; // not a regex after all
+    if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      i++;
+      while (/[a-z]/i.test(src[i] || "")) i++;
+      return i;
+    }
+    i++;
+  }
+
+  return start + 1;
+}
+
+/**
+ * Find the bracket that closes the one at `openIndex`. Expects comments to
+ * have been stripped already.
+ *
+ * @param {string} src - Source code
+ * @param {number} openIndex - Index of "(", "[" or "{"
+ * @returns {number} Index of the matching closing bracket, or -1
+ */
+export function findClosing(src, openIndex) {
+  const pairs = { "(": ")", "[": "]", "{": "}" };
+  const stack = [];
+  let i = openIndex;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = skipString(src, i);
+      continue;
+    }
+    if (pairs[ch]) {
+      stack.push(pairs[ch]);
+    } else if (ch === ")" || ch === "]" || ch === "}") {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * Split on a separator that isn't nested inside brackets or strings
+ *
+ * @param {string} src - Source code (comments stripped)
+ * @param {string} [separator=","]
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+export function splitTopLevel(src, separator = ",") {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = skipString(src, i);
+      continue;
+    }
+    if (ch === "(" || ch === "[" || ch === "{") depth++;
+    else if (ch === ")" || ch === "]" || ch === "}") depth--;
+    else if (depth === 0 && src.startsWith(separator, i)) {
+      parts.push(src.slice(start, i));
+      start = i + separator.length;
+      i = start;
+      continue;
+    }
+    i++;
+  }
+  parts.push(src.slice(start));
+
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the top-level entries of an object literal body (without braces).
+ * Shorthand properties get their own name as value; spreads and methods
+ * are returned with `key: null` / their method body.
+ *
+ * @param {string} body - Text between `{` and `}`
+ * @returns {Array<{key: string|null, value: string}>}
+ */
+export function parseObjectEntries(body) {
+  return splitTopLevel(body).map((entry) => {
+    if (entry.startsWith("...")) return { key: null, value: entry.slice(3).trim() };
+
+    const keyed = entry.match(/^(?:(["'])(.*?)\1|\[([^\]]+)\]|([\w$]+))\s*:\s*([\s\S]*)$/);
+    if (keyed) {
+      return { key: keyed[2] ?? keyed[3] ?? keyed[4], value: keyed[5].trim() };
+    }
+
+    const method = entry.match(/^(?:async\s+)?([\w$]+)\s*\(/);
+    if (method) return { key: method[1], value: entry };
+
+    return { key: entry, value: entry };
+  });
+}
+
+/**
+ * Return the arguments of the call whose "(" is at `openIndex`
+ *
+ * @param {string} src - Source code (comments stripped)
+ * @param {number} openIndex - Index of the opening parenthesis
+ * @returns {{args: string[], end: number}|null} `end` is the index of ")"
+ */
+export function readCallArguments(src, openIndex) {
+  const close = findClosing(src, openIndex);
+  if (close === -1) return null;
+  return { args: splitTopLevel(src.slice(openIndex + 1, close)), end: close };
+}
+
+/**
+ * Return the value of a string literal, or null if `text` isn't one
+ */
+export function stringLiteral(text) {
+  const match = (text || "").trim().match(/^(["'`])([^]*)\1$/);
+  return match && !(match[1] === "`" && match[2].includes("${")) ? match[2] : null;
+}
@@ -0,0 +1,9 @@
+/**
+ * Escape pipes and newlines so a value can sit inside a Markdown table cell
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeTableCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
@@ -0,0 +1,133 @@
+import readline from "readline";
+
+// Newest first; a client asking for another version gets the newest
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * A Model Context Protocol server: JSON-RPC 2.0 requests in, responses
+ * out. Only the parts this tool needs — resources (list and read) and tools
+ * (list and call), no subscriptions, prompts or sampling.
+ *
+ * @param {Object} server
+ * @param {{name: string, version: string}} server.info - Reported on initialize
+ * @param {string} [server.instructions] - Hint for the client's model on how to use the server
+ * @param {Array<{name: string, description: string, inputSchema: Object, handler: Function}>} server.tools -
+ *   `handler(args)` returns a string or a JSON-serializable value; a thrown
+ *   Error is reported as a failed tool call
+ * @param {{list: Function, read: Function}} server.resources - `list()` returns
+ *   `{uri, name, mimeType}` entries; `read(uri)` returns `{uri, mimeType, text}`
+ *   and throws for unknown URIs
+ * @returns {{handle: (message: Object) => Promise<Object|null>}} Handles one
+ *   message and returns the response, or null for notifications
+ */
+export function createMcpServer({ info, instructions, tools, resources }) {
+  const methods = {
+    initialize: (params) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { resources: {}, tools: {} },
+      serverInfo: info,
+      ...(instructions ? { instructions } : {}),
+    }),
+    ping: () => ({}),
+    "resources/list": () => ({ resources: resources.list() }),
+    "resources/templates/list": () => ({ resourceTemplates: [] }),
+    "resources/read": (params) => {
+      if (typeof params.uri !== "string") throw rpcError(INVALID_PARAMS, "uri is required");
+      try {
+        return { contents: [resources.read(params.uri)] };
+      } catch (error) {
+        throw rpcError(RESOURCE_NOT_FOUND, error.message);
+      }
+    },
+    "tools/list": () => ({
+      tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    }),
+    "tools/call": async (params) => {
+      const tool = tools.find((t) => t.name === params.name);
+      if (!tool) throw rpcError(INVALID_PARAMS, `Unknown tool "${params.name}"`);
+      try {
+        const result = await tool.handler(params.arguments || {});
+        const text = typeof result === "string" ? result : JSON.stringify(result, null, 2);
+        return { content: [{ type: "text", text }] };
+      } catch (error) {
+        return { content: [{ type: "text", text: error.message }], isError: true };
+      }
+    },
+  };
+
+  async function handle(message) {
+    if (!message || typeof message !== "object" || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      return errorResponse(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, "Invalid request");
+    }
+    const notification = message.id === undefined;
+    // notifications/initialized, notifications/cancelled and the like need no answer
+    if (notification) return null;
+
+    const method = methods[message.method];
+    if (!method) return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    try {
+      return { jsonrpc: "2.0", id: message.id, result: await method(message.params || {}) };
+    } catch (error) {
+      return errorResponse(message.id, typeof error.code === "number" ? error.code : INTERNAL_ERROR, error.message);
+    }
+  }
+
+  return { handle };
+}
+
+/**
+ * Serve over stdio: one JSON message per line on stdin, responses on
+ * stdout. Anything else the process prints must go to stderr.
+ *
+ * @param {{handle: Function}} server - From `createMcpServer`
+ * @returns {Promise<void>} Resolves when stdin closes
+ */
+export function serveStdio(server) {
+  const send = (response) => {
+    if (response) process.stdout.write(JSON.stringify(response) + "\n");
+  };
+
+  return new Promise((resolve) => {
+    const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+    // Answer in arrival order even when a handler is slow
+    let queue = Promise.resolve();
+
+    lines.on("line", (line) => {
+      if (!line.trim()) return;
+      queue = queue.then(async () => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          send(errorResponse(null, PARSE_ERROR, "Parse error"));
+          return;
+        }
+        if (Array.isArray(message)) {
+          const responses = (await Promise.all(message.map(server.handle))).filter(Boolean);
+          if (responses.length > 0) send(responses);
+        } else {
+          send(await server.handle(message));
+        }
+      });
+    });
+    lines.on("close", () => queue.then(resolve));
+  });
+}
+
+/**
+ * Error answered with its own JSON-RPC code instead of an internal error
+ */
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: "2.0", id, error: { code, message } };
+}
@@ -0,0 +1,129 @@
+/**
+ * Managed regions let `scan` own clearly delimited parts of a context file
+ * while leaving everything outside them to humans and AI prompts.
+ *
+ *   <!-- context-graph:begin tech-stack -->
+ *   ...generated content...
+ *   <!-- context-graph:end tech-stack -->
+ */
+
+const REGION_PATTERN =
+  /<!-- context-graph:begin ([\w-]+) -->\n?([\s\S]*?)\n?<!-- context-graph:end \1 -->/g;
+
+/**
+ * Wrap generated content in begin/end markers
+ *
+ * @param {string} id - Region identifier, unique within a file
+ * @param {string} body - Generated content
+ * @returns {string}
+ */
+export function region(id, body) {
+  return `<!-- context-graph:begin ${id} -->\n${body.trim()}\n<!-- context-graph:end ${id} -->`;
+}
+
+/**
+ * Find all managed regions in a file
+ *
+ * @param {string} content - File content
+ * @returns {Map<string, {start: number, end: number, body: string}>}
+ */
+export function parseRegions(content) {
+  const regions = new Map();
+  for (const match of content.matchAll(REGION_PATTERN)) {
+    regions.set(match[1], {
+      start: match.index,
+      end: match.index + match[0].length,
+      body: match[2],
+    });
+  }
+  return regions;
+}
+
+/**
+ * Merge freshly generated content into an existing file. Only managed
+ * regions are replaced; regions the existing file doesn't have yet are
+ * inserted under their heading (or appended) so hand-written text survives.
+ *
+ * Files with no managed regions at all predate region markers, so we can't
+ * tell generated text from written text and leave them untouched.
+ *
+ * @param {string} existing - Current file content
+ * @param {string} generated - Newly generated content
+ * @returns {{content: string, status: string, changed: string[], added: string[]}}
+ */
+export function mergeRegions(existing, generated) {
+  const existingRegions = parseRegions(existing);
+  const generatedRegions = parseRegions(generated);
+
+  if (existingRegions.size === 0) {
+    return { content: existing, status: "skipped", changed: [], added: [] };
+  }
+
+  const changed = [];
+  const added = [];
+  let content = existing;
+
+  // Replace from the end so earlier offsets stay valid
+  const replacements = [...existingRegions.entries()]
+    .filter(([id]) => generatedRegions.has(id))
+    .sort((a, b) => b[1].start - a[1].start);
+
+  for (const [id, current] of replacements) {
+    const next = generatedRegions.get(id);
+    if (current.body.trim() === next.body.trim()) continue;
+    content =
+      content.slice(0, current.start) +
+      region(id, next.body) +
+      content.slice(current.end);
+    changed.unshift(id);
+  }
+
+  for (const [id, next] of generatedRegions) {
+    if (existingRegions.has(id)) continue;
+    content = insertRegion(content, generated, id, next);
+    added.push(id);
+  }
+
+  const status = changed.length > 0 || added.length > 0 ? "updated" : "unchanged";
+  return { content, status, changed, added };
+}
+
+/**
+ * Insert a new region below the heading that precedes it in the generated
+ * file, falling back to appending heading and region at the end
+ */
+function insertRegion(content, generated, id, next) {
+  const block = region(id, next.body);
+  const heading = findPrecedingHeading(generated, next.start);
+
+  if (heading) {
+    const lines = content.split("\n");
+    // A heading inside another managed region is generated text, not an anchor
+    let inside = null;
+    const index = lines.findIndex((line) => {
+      const marker = line.match(/^<!-- context-graph:(begin|end) ([\w-]+) -->$/);
+      if (marker) {
+        if (marker[1] === "begin" && inside === null) inside = marker[2];
+        else if (marker[1] === "end" && marker[2] === inside) inside = null;
+        return false;
+      }
+      return inside === null && line.trim() === heading;
+    });
+    if (index !== -1) {
+      lines.splice(index + 1, 0, "", block);
+      return lines.join("\n");
+    }
+  }
+
+  const tail = heading ? `${heading}\n\n${block}` : block;
+  return `${content.replace(/\s*$/, "")}\n\n${tail}\n`;
+}
+
+function findPrecedingHeading(content, offset) {
+  const lines = content.slice(0, offset).split("\n").reverse();
+  for (const line of lines) {
+    if (line.trim() === "") continue;
+    return /^#{1,6}\s/.test(line) ? line.trim() : null;
+  }
+  return null;
+}
@@ -0,0 +1,113 @@
+import fs from "fs";
+import path from "path";
+import { glob, globSync } from "glob";
+
+export const SOURCE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+const DEFAULT_IGNORE = [
+  "**/node_modules/**",
+  "**/.git/**",
+  "**/.next/**",
+  "**/.expo/**",
+  "**/.turbo/**",
+  "**/dist/**",
+  "**/build/**",
+  "**/out/**",
+  "**/coverage/**",
+  "**/ios/Pods/**",
+  "**/android/build/**",
+  "**/*.d.ts",
+];
+
+/**
+ * Collect every JS/TS source file under the project root and return an
+ * index that caches file contents, so each scanner reads a file at most once.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {Object} [ignore] - Filter from `createIgnoreFilter`, for .gitignore,
+ *   .contextgraphignore, config globs and generated code
+ * @param {string} [output] - Context directory relative to the project root,
+ *   skipped so generated docs are never scanned as source
+ * @returns {Promise<{root: string, files: string[], ignore: Object|null, output: string, read: (file: string) => string}>}
+ *   `files` are paths relative to the project root
+ */
+export async function createSourceIndex(projectRoot, ignore = null, output = "context") {
+  const found = await glob("**/*.{ts,tsx,js,jsx,mjs,cjs}", {
+    cwd: projectRoot,
+    nodir: true,
+    ignore: ignoreGlobs(output),
+    posix: true,
+  });
+
+  const cache = new Map();
+  const read = (file) => {
+    if (!cache.has(file)) {
+      try {
+        cache.set(file, fs.readFileSync(path.join(projectRoot, file), "utf-8"));
+      } catch {
+        cache.set(file, "");
+      }
+    }
+    return cache.get(file);
+  };
+  const files = ignore ? ignore.filter(found, read) : found;
+  files.sort();
+
+  return { root: projectRoot, files, ignore, output, read };
+}
+
+/**
+ * Build output, dependencies and the context directory itself
+ */
+function ignoreGlobs(output) {
+  return [...DEFAULT_IGNORE, `${toPosixPath(path.normalize(output)).replace(/\/$/, "")}/**`];
+}
+
+/**
+ * Normalize a relative path to forward slashes
+ */
+export function toPosixPath(p) {
+  return p.split(path.sep).join("/");
+}
+
+/**
+ * Find non-source project files (e.g. `*.graphql`) with the same ignore
+ * rules as the source index
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {string} pattern - Glob relative to the project root
+ * @param {Object} [ignore] - Filter from `createIgnoreFilter`
+ * @param {string} [output] - Context directory relative to the project root
+ * @returns {string[]} Sorted paths relative to the project root
+ */
+export function findProjectFiles(projectRoot, pattern, ignore = null, output = "context") {
+  const files = globSync(pattern, {
+    cwd: projectRoot,
+    nodir: true,
+    ignore: ignoreGlobs(output),
+    posix: true,
+  });
+  return (ignore ? ignore.filter(files) : files).sort();
+}
+
+/**
+ * Build a lookup from file path to owning domain, using the longest
+ * matching domain directory
+ *
+ * @param {Object<string, string[]>} domainPaths - Domain name to relative paths
+ * @returns {(file: string) => string|null}
+ */
+export function createDomainMatcher(domainPaths) {
+  const entries = [];
+  for (const [domain, paths] of Object.entries(domainPaths)) {
+    for (const p of paths) entries.push([p, domain]);
+  }
+  entries.sort((a, b) => b[0].length - a[0].length);
+
+  return (file) => {
+    for (const [p, domain] of entries) {
+      if (file === p || file.startsWith(p + "/")) return domain;
+    }
+    return null;
+  };
+}
@@ -0,0 +1,150 @@
+import { findClosing, splitTopLevel, parseObjectEntries, readCallArguments } from "./js-source.js";
+
+const SCHEMA_DECLARATION = /\b(?:export\s+)?const\s+([\w$]+)(?:\s*:\s*[^=]+)?\s*=\s*(([\w$]+)\s*\.)/g;
+const WRAPPERS = new Set(["optional", "nullable", "nullish", "default", "catch"]);
+
+/**
+ * Find `const name = z.…` schema declarations, including ones derived from
+ * an earlier schema (`const Update = Create.partial()`)
+ *
+ * @param {string} code - Source code (comments stripped)
+ * @returns {Map<string, string>} Schema name to its expression
+ */
+export function collectZodSchemas(code) {
+  const schemas = new Map();
+
+  for (const match of code.matchAll(SCHEMA_DECLARATION)) {
+    if (match[3] !== "z" && !schemas.has(match[3])) continue;
+    const start = match.index + match[0].length - match[2].length;
+    schemas.set(match[1], readExpression(code, start));
+  }
+
+  return schemas;
+}
+
+/**
+ * Read a member/call chain starting at `start`, e.g. `z.object({...}).strict()`
+ */
+export function readExpression(code, start) {
+  let i = start;
+  while (i < code.length) {
+    const rest = code.slice(i);
+    const token = rest.match(/^\s*(?:\.\s*)?[\w$]+\s*/);
+    if (!token) break;
+    i += token[0].length;
+    if (code[i] === "(") {
+      const close = findClosing(code, i);
+      if (close === -1) break;
+      i = close + 1;
+    }
+    if (!/^\s*\./.test(code.slice(i))) break;
+  }
+  return code.slice(start, i).trim();
+}
+
+/**
+ * Describe a zod schema expression as a compact TypeScript-like shape,
+ * e.g. `{ email: string, age?: number }`
+ *
+ * @param {string} expression - Schema expression, or the name of a known schema
+ * @param {Map<string, string>} schemas - Known schemas from collectZodSchemas
+ * @param {number} [depth=0]
+ * @returns {string}
+ */
+export function describeZodSchema(expression, schemas, depth = 0) {
+  const expr = (expression || "").trim();
+  if (depth > 4) return "…";
+  if (/^[\w$]+$/.test(expr)) {
+    return schemas.has(expr) ? describeZodSchema(schemas.get(expr), schemas, depth + 1) : expr;
+  }
+
+  // Either `z.type(...)…` or a schema name followed by modifiers, e.g. `userSchema.partial()`
+  const calls = chainCalls(expr);
+  const rootIndex = calls.length > 0 && calls[0].name === "z" ? 1 : 0;
+  const root = calls[rootIndex];
+  if (!root) return "unknown";
+
+  let base = root.args === null
+    ? describeZodSchema(root.name, schemas, depth + 1)
+    : describeZodCall(root, schemas, depth);
+  let optional = false;
+  for (const call of calls.slice(rootIndex + 1)) {
+    if (WRAPPERS.has(call.name)) optional = true;
+    else if (call.name === "array") base = arrayOf(base);
+    else if (call.name === "partial") base = base.replace(/(\w+): /g, "$1?: ");
+    else if (call.name === "extend" || call.name === "merge") {
+      const extra = describeZodCall({ name: "object", args: call.args }, schemas, depth);
+      base = base.endsWith("}") && extra.startsWith("{") ? `${base.slice(0, -2)}, ${extra.slice(2)}` : `${base} & ${extra}`;
+    }
+  }
+
+  return optional ? `${base} | undefined` : base;
+}
+
+function describeZodCall(call, schemas, depth) {
+  const args = call.args || [];
+  switch (call.name) {
+    case "object":
+    case "strictObject":
+    case "looseObject": {
+      const body = (args[0] || "").trim();
+      if (!body.startsWith("{")) return "object";
+      const fields = parseObjectEntries(body.slice(1, -1))
+        .filter((e) => e.key)
+        .map((e) => {
+          const type = describeZodSchema(e.value, schemas, depth + 1);
+          return type.endsWith(" | undefined")
+            ? `${e.key}?: ${type.slice(0, -" | undefined".length)}`
+            : `${e.key}: ${type}`;
+        });
+      return `{ ${fields.join(", ")} }`;
+    }
+    case "array":
+      return arrayOf(describeZodSchema(args[0], schemas, depth + 1));
+    case "enum": {
+      const values = (args[0] || "").match(/["'`]([^"'`]+)["'`]/g);
+      return values ? values.map((v) => `"${v.slice(1, -1)}"`).join(" | ") : "enum";
+    }
+    case "literal":
+      return args[0] || "literal";
+    case "union":
+      return splitTopLevel((args[0] || "").replace(/^\[|\]$/g, ""))
+        .map((a) => describeZodSchema(a, schemas, depth + 1))
+        .join(" | ");
+    case "record":
+      return `Record<string, ${describeZodSchema(args[args.length - 1], schemas, depth + 1)}>`;
+    case "nativeEnum":
+      return args[0] || "enum";
+    default:
+      return call.name;
+  }
+}
+
+function arrayOf(type) {
+  return type.includes(" | ") ? `(${type})[]` : `${type}[]`;
+}
+
+/**
+ * Split `z.string().min(1).optional()` into [{name: "z"}, {name: "string", args: []}, …]
+ */
+function chainCalls(expr) {
+  const calls = [];
+  let i = 0;
+  while (i < expr.length) {
+    const token = expr.slice(i).match(/^\s*\.?\s*([\w$]+)\s*/);
+    if (!token) break;
+    i += token[0].length;
+    let args = null;
+    if (expr[i] === "(") {
+      const call = readCallArguments(expr, i);
+      if (!call) break;
+      args = call.args;
+      i = call.end + 1;
+    }
+    calls.push({ name: token[1], args });
+  }
+  // z.coerce.number() -> treat as z.number()
+  const coerce = calls.findIndex((c) => c.name === "coerce" && c.args === null);
+  if (coerce !== -1) calls.splice(coerce, 1);
+  return calls;
+}
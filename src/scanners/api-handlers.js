@@ -0,0 +1,183 @@
+import { stripComments, findClosing } from "../lib/js-source.js";
+import { collectZodSchemas, describeZodSchema, readExpression } from "../lib/zod.js";
+
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+const METHOD_PATTERN = HTTP_METHODS.join("|");
+const APP_METHOD_EXPORT = new RegExp(
+  `\\bexport\\s+(?:(?:async\\s+)?function\\s*\\*?\\s*(${METHOD_PATTERN})\\b|(?:const|let|var)\\s+(${METHOD_PATTERN})\\b)`,
+  "g"
+);
+const PARSE_CALL = /\.\s*(?:safeParseAsync|safeParse|parseAsync|parse)\s*\(/g;
+
+/**
+ * Extract HTTP endpoints from Next.js route handlers (`app/**\/route.ts`)
+ * and Pages Router API routes (`pages/api/**`): methods, URL, runtime and
+ * the zod schemas used to validate requests and responses.
+ *
+ * @param {{read: Function}} sourceIndex
+ * @param {{app: Object[], pages: Object[]}} routes - From scanNextRoutes
+ * @param {Object<string, string[]>} imports - Resolved imports per file, used to find shared schemas
+ * @returns {Array<{method: string, path: string, file: string, framework: string, runtime: string|null, request: string[], response: string[]}>}
+ */
+export function scanApiHandlers(sourceIndex, routes, imports) {
+  const endpoints = [];
+  const handlers = [
+    ...routes.app.filter((r) => r.type === "route handler").map((r) => ({ ...r, framework: "Next.js App Router" })),
+    ...routes.pages.filter((r) => r.type === "API route").map((r) => ({ ...r, framework: "Next.js Pages Router" })),
+  ];
+
+  for (const route of handlers) {
+    const code = stripComments(sourceIndex.read(route.file));
+    const schemas = new Map();
+    for (const imported of imports[route.file] || []) {
+      for (const [name, expr] of collectZodSchemas(stripComments(sourceIndex.read(imported)))) {
+        schemas.set(name, expr);
+      }
+    }
+    for (const [name, expr] of collectZodSchemas(code)) schemas.set(name, expr);
+
+    const runtime = readRuntime(code);
+    const bodies = route.framework === "Next.js App Router"
+      ? appRouterMethods(code)
+      : pagesRouterMethods(code).map((method) => ({ method, body: code }));
+
+    for (const { method, body } of bodies) {
+      endpoints.push({
+        method,
+        path: route.path,
+        file: route.file,
+        framework: route.framework,
+        runtime,
+        ...validationSchemas(body, schemas),
+      });
+    }
+  }
+
+  return endpoints;
+}
+
+/**
+ * `export const runtime = "edge"` (App Router) or
+ * `export const config = { runtime: "edge" }` (Pages Router)
+ */
+function readRuntime(code) {
+  const match = code.match(/\bexport\s+const\s+runtime\s*=\s*["'`]([\w-]+)["'`]/) ||
+    code.match(/\bexport\s+const\s+config\s*=\s*\{[^}]*\bruntime\s*:\s*["'`]([\w-]+)["'`]/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Exported method handlers with the source of each handler. Handlers
+ * exported through an export list share the whole file as their body.
+ */
+function appRouterMethods(code) {
+  const methods = [];
+
+  const matches = [...code.matchAll(APP_METHOD_EXPORT)];
+  matches.forEach((match, index) => {
+    // Function declarations end at their closing brace; handlers assigned
+    // to a const run until the next exported method
+    let end = index + 1 < matches.length ? matches[index + 1].index : code.length;
+    if (match[1]) {
+      const params = code.indexOf("(", match.index + match[0].length);
+      const paramsEnd = params === -1 ? -1 : findClosing(code, params);
+      const bodyOpen = paramsEnd === -1 ? -1 : code.indexOf("{", paramsEnd);
+      const bodyClose = bodyOpen === -1 ? -1 : findClosing(code, bodyOpen);
+      if (bodyClose !== -1) end = bodyClose + 1;
+    }
+    methods.push({ method: match[1] || match[2], body: code.slice(match.index, end) });
+  });
+
+  const exported = [
+    ...code.matchAll(/\bexport\s*\{([^}]*)\}/g),
+    ...code.matchAll(/\bexport\s+const\s*\{([^}]*)\}\s*=/g),
+  ];
+  for (const match of exported) {
+    for (const part of match[1].split(",")) {
+      const name = part.trim().split(/\s+as\s+/).pop().trim();
+      if (HTTP_METHODS.includes(name) && !methods.some((m) => m.method === name)) {
+        methods.push({ method: name, body: code });
+      }
+    }
+  }
+
+  return methods.sort((a, b) => HTTP_METHODS.indexOf(a.method) - HTTP_METHODS.indexOf(b.method));
+}
+
+/**
+ * Pages Router API routes branch on `req.method`; a handler without
+ * branches accepts every method
+ */
+function pagesRouterMethods(code) {
+  const methods = new Set();
+  const comparisons = new RegExp(`\\b[\\w$]+\\.method\\s*[!=]==?\\s*["'\`](${METHOD_PATTERN})["'\`]`, "g");
+  for (const match of code.matchAll(comparisons)) methods.add(match[1]);
+
+  for (const match of code.matchAll(/\bswitch\s*\(\s*[\w$]+\.method\s*\)\s*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    const body = code.slice(open, findClosing(code, open));
+    for (const label of body.matchAll(new RegExp(`\\bcase\\s+["'\`](${METHOD_PATTERN})["'\`]`, "g"))) {
+      methods.add(label[1]);
+    }
+  }
+
+  // e.g. `allowedMethods: ["GET", "POST"]` or `.includes(req.method)`
+  for (const match of code.matchAll(/\[([^\]]*)\]\s*\.\s*includes\s*\(\s*[\w$]+\.method\s*\)/g)) {
+    for (const literal of match[1].matchAll(new RegExp(`["'\`](${METHOD_PATTERN})["'\`]`, "g"))) {
+      methods.add(literal[1]);
+    }
+  }
+
+  return methods.size > 0
+    ? [...methods].sort((a, b) => HTTP_METHODS.indexOf(a) - HTTP_METHODS.indexOf(b))
+    : ["ANY"];
+}
+
+/**
+ * Classify zod `.parse()` calls in a handler. Parsing inside a
+ * `json(...)` / `Response(...)` call validates the response; anything
+ * else validates input.
+ *
+ * @param {string} body - Handler source
+ * @param {Map<string, string>} schemas - Known schemas
+ * @returns {{request: string[], response: string[]}} Described schemas
+ */
+export function validationSchemas(body, schemas) {
+  const request = [];
+  const response = [];
+
+  for (const match of body.matchAll(PARSE_CALL)) {
+    const receiver = parseReceiver(body, match.index);
+    if (!receiver) continue;
+    const { expression, start } = receiver;
+    if (!schemas.has(expression) && !/^z\s*\./.test(expression)) continue;
+
+    const shape = describeZodSchema(expression, schemas);
+    const description = /^[\w$]+$/.test(expression) ? `${expression} ${shape}` : shape;
+    const isResponse = /(?:\.json|Response)\s*\(\s*(?:await\s+)?$/.test(body.slice(Math.max(0, start - 40), start));
+    const target = isResponse ? response : request;
+    if (!target.includes(description)) target.push(description);
+  }
+
+  return { request, response };
+}
+
+/**
+ * Find the schema expression a `.parse(` call is made on: either a plain
+ * identifier or an inline `z.…` chain
+ */
+function parseReceiver(body, dotIndex) {
+  const before = body.slice(0, dotIndex);
+  const identifier = before.match(/([\w$]+)\s*$/);
+  if (identifier && !before.slice(0, before.length - identifier[0].length).match(/[.)\]]\s*$/)) {
+    return { expression: identifier[1], start: before.length - identifier[0].length };
+  }
+
+  // Inline schema: walk back to the nearest `z.` that reads up to this call
+  for (const match of [...before.matchAll(/\bz\s*\.\s*[\w$]+\s*\(/g)].reverse()) {
+    if (match.index + readExpression(body, match.index).length > dotIndex) {
+      return { expression: body.slice(match.index, dotIndex).trim(), start: match.index };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,260 @@
+import path from "path";
+import { stripComments, findClosing, splitTopLevel } from "../lib/js-source.js";
+import { parseExports } from "./imports.js";
+
+const FUNCTION_COMPONENT = /\b(?:async\s+)?function\s+([A-Z][\w$]*)\s*(<[^()]*>)?\s*\(/g;
+const CONST_COMPONENT = /\b(?:const|let)\s+([A-Z][\w$]*)\s*(?::\s*([^=]+?))?\s*=\s*/g;
+const CLASS_COMPONENT = /\bclass\s+([A-Z][\w$]*)\s+extends\s+(?:React\s*\.\s*)?(?:Pure)?Component\s*(?:<([^{]*?)>)?\s*\{/g;
+const WRAPPER = /^(?:React\s*\.\s*)?(memo|forwardRef|observer)\s*(?:<([^()]*)>)?\s*\(\s*/;
+const FC_TYPE = /^(?:React\s*\.\s*)?(?:FC|VFC|FunctionComponent|NextPage)\s*<([\s\S]+)>$/;
+const SUPPORT_FILE = /\.(test|spec|stories|story)\.[jt]sx?$/;
+
+/**
+ * Inventory every exported React component: how it is exported, its props
+ * type and fields, `"use client"`, `forwardRef`/`memo` wrappers and the
+ * tests and stories that sit next to it.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {Object<string, string>} fileDomains - File to domain
+ * @returns {Array<{name: string, file: string, directory: string, domain: string|null, exportType: string, client: boolean, wrappers: string[], props: {type: string|null, fields: string[]}|null, tests: string[], stories: string[]}>}
+ */
+export function scanComponents(sourceIndex, fileDomains) {
+  const support = sourceIndex.files.filter((f) => SUPPORT_FILE.test(f));
+  const components = [];
+
+  for (const file of sourceIndex.files) {
+    if (SUPPORT_FILE.test(file) || !/\.[jt]sx?$/.test(file)) continue;
+    const raw = sourceIndex.read(file);
+    // Components live in JSX files, or plain files that render JSX
+    if (!/\.[jt]sx$/.test(file) && !/<\/|\/>|createElement\s*\(/.test(raw)) continue;
+    const code = stripComments(raw);
+    const declarations = readDeclarations(code);
+    if (declarations.size === 0 && !/\bexport\s+default\s+(?:async\s+)?(?:function\s*\(|\()/.test(code)) continue;
+
+    const exported = new Map(); // local name -> Set of "named" / "default"
+    const addExport = (local, type) => {
+      if (!exported.has(local)) exported.set(local, new Set());
+      exported.get(local).add(type);
+    };
+    for (const [name, local] of parseExports(code)) {
+      if (declarations.has(local)) addExport(local, name === "default" ? "default" : "named");
+    }
+    const defaultDeclaration = code.match(/\bexport\s+default\s+(?:async\s+)?(?:function|class)\s+([A-Z][\w$]*)/);
+    if (defaultDeclaration && declarations.has(defaultDeclaration[1])) addExport(defaultDeclaration[1], "default");
+    // export default memo(Button) / forwardRef(Input)
+    const wrappedDefault = code.match(/\bexport\s+default\s+(?:React\s*\.\s*)?(memo|forwardRef|observer)\s*\(\s*([A-Z][\w$]*)\s*[,)]/);
+    if (wrappedDefault && declarations.has(wrappedDefault[2])) {
+      addExport(wrappedDefault[2], "default");
+      declarations.get(wrappedDefault[2]).wrappers.push(wrappedDefault[1]);
+    }
+    // export default function () {} is named after its file
+    const anonymous = code.match(/\bexport\s+default\s+(?:async\s+)?function\s*\(/);
+    if (anonymous) {
+      const name = pascalCase(path.basename(file, path.extname(file)) === "index" ? path.basename(path.dirname(file)) : path.basename(file, path.extname(file)));
+      declarations.set(name, { params: readParams(code, anonymous.index + anonymous[0].length - 1), generics: null, wrappers: [] });
+      addExport(name, "default");
+    }
+
+    const client = /^\s*(?:(["'])use client\1)/.test(code);
+    const stem = path.basename(file).replace(/\.[jt]sx?$/, "");
+    for (const [name, types] of exported) {
+      const declaration = declarations.get(name);
+      const related = (pattern) => support.filter((s) => isColocated(s, file, [stem, name]) && pattern.test(s));
+      components.push({
+        name,
+        file,
+        directory: path.posix.dirname(file),
+        domain: fileDomains[file] || null,
+        exportType: [...types].sort().reverse().join(", "),
+        client,
+        wrappers: declaration.wrappers,
+        props: describeProps(declaration, code),
+        tests: related(/\.(test|spec)\./),
+        stories: related(/\.(stories|story)\./),
+      });
+    }
+  }
+
+  return components.sort((a, b) => a.directory.localeCompare(b.directory) || a.name.localeCompare(b.name));
+}
+
+/**
+ * PascalCase functions, arrow components (optionally wrapped in
+ * memo/forwardRef) and class components, with their props sources
+ */
+function readDeclarations(code) {
+  const declarations = new Map();
+
+  for (const match of code.matchAll(FUNCTION_COMPONENT)) {
+    const open = match.index + match[0].length - 1;
+    declarations.set(match[1], { params: readParams(code, open), generics: null, wrappers: [] });
+  }
+
+  for (const match of code.matchAll(CONST_COMPONENT)) {
+    const [, name, annotation] = match;
+    let i = match.index + match[0].length;
+    const wrappers = [];
+    let generics = null;
+    for (let wrapper = code.slice(i).match(WRAPPER); wrapper; wrapper = code.slice(i).match(WRAPPER)) {
+      wrappers.push(wrapper[1]);
+      if (wrapper[2]) generics = { wrapper: wrapper[1], args: splitTopLevel(wrapper[2]) };
+      i += wrapper[0].length;
+    }
+
+    const rest = code.slice(i);
+    const arrow = rest.match(/^(?:async\s*)?(?:<[^()]*>\s*)?\(/);
+    const fn = rest.match(/^(?:async\s+)?function\b[^(]*\(/);
+    const bareParam = rest.match(/^(?:async\s+)?([\w$]+)\s*=>/);
+    let params = null;
+    if (arrow || fn) {
+      const open = i + (arrow || fn)[0].length - 1;
+      const close = findClosing(code, open);
+      if (close === -1) continue;
+      if (arrow && !/^\s*(?::[^=]+?)?=>/.test(code.slice(close + 1))) continue;
+      params = code.slice(open + 1, close);
+    } else if (bareParam) {
+      params = bareParam[1];
+    } else {
+      continue;
+    }
+
+    const fc = annotation ? annotation.trim().match(FC_TYPE) : null;
+    declarations.set(name, { params, generics, wrappers, fcProps: fc ? fc[1].trim() : null });
+  }
+
+  for (const match of code.matchAll(CLASS_COMPONENT)) {
+    const generics = match[2] ? splitTopLevel(match[2]) : [];
+    declarations.set(match[1], { params: null, generics: null, wrappers: [], fcProps: generics[0] || null });
+  }
+
+  return declarations;
+}
+
+function readParams(code, open) {
+  const close = findClosing(code, open);
+  return close === -1 ? null : code.slice(open + 1, close);
+}
+
+/**
+ * Props type and fields from the first parameter, a `FC<Props>`
+ * annotation or `forwardRef<Ref, Props>` / `memo<Props>` generics
+ */
+function describeProps(declaration, code) {
+  const first = declaration.params ? splitTopLevel(declaration.params)[0] || "" : "";
+  let type = null;
+  let destructured = [];
+
+  if (first.startsWith("{")) {
+    const close = findClosing(first, 0);
+    destructured = splitTopLevel(first.slice(1, close))
+      .map((part) => part.match(/^(\.\.\.)?([\w$]+)/))
+      .filter(Boolean)
+      .map((m) => `${m[1] || ""}${m[2]}`);
+    const annotation = first.slice(close + 1).match(/^\s*:\s*([\s\S]+)$/);
+    if (annotation) type = annotation[1].trim();
+  } else {
+    const annotation = first.match(/^[\w$]+\s*:\s*([\s\S]+)$/);
+    if (annotation) type = annotation[1].trim();
+  }
+
+  if (!type && declaration.fcProps) type = declaration.fcProps;
+  if (!type && declaration.generics) {
+    const { wrapper, args } = declaration.generics;
+    type = wrapper === "forwardRef" ? args[1] || null : args[0] || null;
+  }
+
+  if (!type) return destructured.length > 0 ? { type: null, fields: destructured } : null;
+  const fields = resolveTypeFields(type, code, 0);
+  return { type: /^[\w$.]+(?:<.*>)?$/.test(type) ? type : null, fields: fields || destructured };
+}
+
+/**
+ * Members of a props type declared in the same file: interfaces, type
+ * aliases, intersections and `PropsWithChildren<…>`. Types from other
+ * modules are listed by name.
+ */
+function resolveTypeFields(type, code, depth) {
+  const text = type.trim();
+  if (depth > 3) return [text];
+
+  if (text.startsWith("{")) return typeMembers(text.slice(1, findClosing(text, 0)));
+
+  const parts = splitTopLevel(text, "&");
+  if (parts.length > 1) return parts.flatMap((part) => resolveTypeFields(part, code, depth + 1) || [part]);
+
+  const children = text.match(/^(?:React\s*\.\s*)?PropsWithChildren\s*<([\s\S]+)>$/);
+  if (children) return [...(resolveTypeFields(children[1], code, depth + 1) || [children[1].trim()]), "children?: ReactNode"];
+
+  const name = text.match(/^([\w$]+)$/);
+  if (!name) return null;
+
+  const iface = code.match(new RegExp(`\\binterface\\s+${name[1]}\\s*(?:<[^{]*>)?\\s*(?:extends\\s+([^{]+?))?\\s*\\{`));
+  if (iface) {
+    const open = iface.index + iface[0].length - 1;
+    const members = typeMembers(code.slice(open + 1, findClosing(code, open)));
+    const bases = iface[1] ? splitTopLevel(iface[1]).map((base) => `…${base}`) : [];
+    return [...members, ...bases];
+  }
+
+  const alias = code.match(new RegExp(`\\btype\\s+${name[1]}\\s*(?:<[^=]*>)?\\s*=\\s*`));
+  if (alias) {
+    const start = alias.index + alias[0].length;
+    const end = typeEnd(code, start);
+    return resolveTypeFields(code.slice(start, end), code, depth + 1);
+  }
+
+  return null;
+}
+
+/**
+ * `a: string; b?: number` members of an object type body
+ */
+function typeMembers(body) {
+  const members = [];
+  // Commas also separate members, except inside generics like Record<K, V>
+  const parts = splitTopLevel(body.replace(/\n/g, ";"), ";").flatMap((p) => (p.includes("<") ? [p] : splitTopLevel(p, ",")));
+  for (const part of parts) {
+    const member = part.replace(/^readonly\s+/, "").replace(/\s+/g, " ").trim();
+    if (!member) continue;
+    // Union and intersection continuations on the next line
+    if (/^[|&]/.test(member) && members.length > 0) {
+      members[members.length - 1] += ` ${member}`;
+      continue;
+    }
+    members.push(member);
+  }
+  return members.map((m) => m.replace(/:\s*[|&]\s*/, ": "));
+}
+
+/**
+ * End of a type alias: the first `;` or blank-line-separated statement at
+ * depth 0
+ */
+function typeEnd(code, start) {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === "{" || ch === "(" || ch === "[" || ch === "<") depth++;
+    else if (ch === "}" || ch === ")" || ch === "]" || (ch === ">" && code[i - 1] !== "=")) depth--;
+    else if (depth === 0 && ch === ";") return i;
+    else if (depth === 0 && ch === "\n" && !/^\s*[|&]/.test(code.slice(i + 1)) && !/[|&=]\s*$/.test(code.slice(start, i))) return i;
+  }
+  return code.length;
+}
+
+/**
+ * Tests and stories count as co-located when they sit in the same
+ * directory (or its `__tests__` / `__stories__` folder) and share the
+ * component's file or export name
+ */
+function isColocated(supportFile, file, names) {
+  const dir = path.posix.dirname(file);
+  const supportDir = path.posix.dirname(supportFile);
+  if (supportDir !== dir && supportDir !== `${dir}/__tests__` && supportDir !== `${dir}/__stories__`) return false;
+  const stem = path.posix.basename(supportFile).replace(SUPPORT_FILE, "");
+  return names.includes(stem);
+}
+
+function pascalCase(name) {
+  return name.replace(/(^|[-_.\s]+)(\w)/g, (_, __, ch) => ch.toUpperCase());
+}
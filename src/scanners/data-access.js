@@ -0,0 +1,81 @@
+import { stripComments } from "../lib/js-source.js";
+
+const PRISMA_READS = ["findUnique", "findUniqueOrThrow", "findFirst", "findFirstOrThrow", "findMany", "count", "aggregate", "groupBy"];
+const PRISMA_WRITES = ["create", "createMany", "createManyAndReturn", "update", "updateMany", "upsert", "delete", "deleteMany"];
+const MONGOOSE_READS = ["find", "findOne", "findById", "countDocuments", "estimatedDocumentCount", "exists", "aggregate", "distinct"];
+const MONGOOSE_WRITES = ["create", "insertMany", "updateOne", "updateMany", "replaceOne", "deleteOne", "deleteMany", "findOneAndUpdate", "findByIdAndUpdate", "findOneAndDelete", "findByIdAndDelete", "bulkWrite"];
+const SUPABASE_FROM = /\.\s*from\s*\(\s*["'`]([\w.]+)["'`]\s*\)/g;
+const FIRESTORE_REF = /\b(?:collection|collectionGroup|doc)\s*\(\s*[\w$.]+\s*,\s*["'`](\w+)["'`]/g;
+
+/**
+ * Find which source files read and write which tables: Supabase
+ * `.from("table")` chains, Prisma delegates (`prisma.user.findMany`),
+ * Drizzle queries (`db.insert(users)`, `db.select().from(users)`,
+ * `db.query.users`), Mongoose model statics and Firestore collection
+ * references, matched against the models the data-model scanners found.
+ *
+ * @param {{files: string[], read: Function}} sourceIndex
+ * @param {{models: Object[], collections: Object[]}} dataModel - From the backend structure
+ * @returns {Array<{file: string, table: string, access: string}>} `table` is the model
+ *   or collection name, `access` is "read" or "write"
+ */
+export function scanDataAccess(sourceIndex, dataModel) {
+  const { models, collections } = dataModel;
+  if (models.length === 0 && collections.length === 0) return [];
+
+  const tables = new Map(); // lowercase table name -> model name
+  for (const model of models) {
+    tables.set((model.tableName || model.name).toLowerCase(), model.name);
+    tables.set(model.name.toLowerCase(), model.name);
+  }
+  const prisma = new Map(models.filter((m) => m.source === "prisma").map((m) => [m.name[0].toLowerCase() + m.name.slice(1), m.name]));
+  const drizzle = new Map(models.filter((m) => m.source === "drizzle").map((m) => [m.name, m.name]));
+  const mongoose = new Map(models.filter((m) => m.source === "mongoose").map((m) => [m.name, m.name]));
+  const firestore = new Set(collections.map((c) => c.collection));
+
+  const access = new Map(); // "file\0table\0access"
+  const record = (file, table, kind) => access.set(`${file}\0${table}\0${kind}`, { file, table, access: kind });
+
+  for (const file of sourceIndex.files) {
+    const code = stripComments(sourceIndex.read(file));
+
+    if (/\.\s*from\s*\(\s*["'`]/.test(code)) {
+      for (const match of code.matchAll(SUPABASE_FROM)) {
+        const table = tables.get(match[1].replace(/^public\./, "").toLowerCase());
+        if (!table) continue;
+        // The rest of the query chain, up to the statement end or the next query
+        const rest = code.slice(match.index + match[0].length);
+        const chain = rest.slice(0, rest.search(/;|\.\s*from\s*\(|$/));
+        if (/\.\s*select\s*\(/.test(chain)) record(file, table, "read");
+        if (/\.\s*(?:insert|update|upsert|delete)\s*\(/.test(chain)) record(file, table, "write");
+      }
+    }
+
+    for (const [delegates, reads, writes] of [[prisma, PRISMA_READS, PRISMA_WRITES], [mongoose, MONGOOSE_READS, MONGOOSE_WRITES]]) {
+      if (delegates.size === 0) continue;
+      const pattern = new RegExp(`\\b([\\w$]+)\\s*\\.\\s*(${[...reads, ...writes].join("|")})\\s*\\(`, "g");
+      for (const match of code.matchAll(pattern)) {
+        const table = delegates.get(match[1]);
+        if (table) record(file, table, writes.includes(match[2]) ? "write" : "read");
+      }
+    }
+
+    if (drizzle.size > 0) {
+      for (const match of code.matchAll(/\.\s*(from|insert|update|delete)\s*\(\s*([\w$]+)\s*\)|\.\s*query\s*\.\s*([\w$]+)\s*\./g)) {
+        const table = drizzle.get(match[2] || match[3]);
+        if (table) record(file, table, match[1] && match[1] !== "from" ? "write" : "read");
+      }
+    }
+
+    if (firestore.size > 0) {
+      const referenced = [...code.matchAll(FIRESTORE_REF)].map((m) => m[1]).filter((name) => firestore.has(name));
+      // The modular SDK takes references as arguments, so access is per file
+      for (const table of new Set(referenced)) {
+        if (/\b(?:getDocs?|getCountFromServer|onSnapshot)\s*\(/.test(code)) record(file, table, "read");
+        if (/\b(?:setDoc|addDoc|updateDoc|deleteDoc)\s*\(/.test(code)) record(file, table, "write");
+      }
+    }
+  }
+
+  return [...access.values()].sort((a, b) => a.file.localeCompare(b.file) || a.table.localeCompare(b.table) || a.access.localeCompare(b.access));
+}
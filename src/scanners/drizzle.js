@@ -0,0 +1,276 @@
+import {
+  stripComments,
+  findClosing,
+  parseObjectEntries,
+  readCallArguments,
+  stringLiteral,
+} from "../lib/js-source.js";
+
+const TABLE_BUILDERS = /\b(?:export\s+)?const\s+([\w$]+)\s*=\s*(pgTable|mysqlTable|sqliteTable|[\w$]+\.table)\s*\(/g;
+const ENUM_BUILDERS = /\b(?:export\s+)?const\s+([\w$]+)\s*=\s*(?:pgEnum|mysqlEnum|[\w$]+\.enum)\s*\(/g;
+const RELATIONS_CALL = /\b(?:export\s+)?const\s+[\w$]+\s*=\s*relations\s*\(/g;
+
+/**
+ * Statically extract Drizzle ORM tables, enums and relations from the
+ * project's source files.
+ *
+ * Models use the normalized shape documented in prisma.js so DATA_MODEL.md
+ * renders them the same way.
+ *
+ * @param {{files: string[], read: Function}} sourceIndex
+ * @returns {{models: Object[], enums: Object[], relations: Object[], files: string[]}}
+ */
+export function scanDrizzleSchema(sourceIndex) {
+  const sources = sourceIndex.files
+    .map((file) => ({ file, code: sourceIndex.read(file) }))
+    .filter(({ code }) => /\b(pgTable|mysqlTable|sqliteTable|pgEnum|mysqlEnum|pgSchema)\s*\(/.test(code))
+    .map(({ file, code }) => ({ file, code: stripComments(code) }));
+
+  const enums = new Map(); // variable name -> { name, values }
+  for (const { code } of sources) {
+    for (const match of code.matchAll(ENUM_BUILDERS)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      // Skip look-alikes such as z.enum([...]), which take no name
+      const name = call && stringLiteral(call.args[0]);
+      if (!name) continue;
+      const values = (call.args[1] || "").match(/["'`]([^"'`]+)["'`]/g) || [];
+      enums.set(match[1], { name, values: values.map((v) => v.slice(1, -1)) });
+    }
+  }
+
+  const tables = [];
+  for (const { code } of sources) {
+    for (const match of code.matchAll(TABLE_BUILDERS)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      if (!call) continue;
+      const table = parseTable(match[1], call.args, enums);
+      if (table) tables.push(table);
+    }
+  }
+
+  const byVariable = new Map(tables.map((t) => [t.variable, t]));
+  const relations = [];
+
+  for (const table of tables) {
+    for (const fk of table.foreignKeys) {
+      const target = byVariable.get(fk.table);
+      relations.push(buildRelation(table, fk.columns, target ? target.model.name : fk.table, fk.references, fk.name));
+    }
+  }
+
+  // relations() only adds relations that aren't already backed by a foreign key
+  for (const { code } of sources) {
+    for (const match of code.matchAll(RELATIONS_CALL)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      if (!call || call.args.length < 2) continue;
+      const source = byVariable.get(call.args[0]);
+      if (!source) continue;
+
+      const arrow = call.args[1].indexOf("=>");
+      const bodyStart = call.args[1].indexOf("{", arrow);
+      if (arrow === -1 || bodyStart === -1) continue;
+      const bodyEnd = findClosing(call.args[1], bodyStart);
+      const entries = parseObjectEntries(call.args[1].slice(bodyStart + 1, bodyEnd));
+
+      for (const { key, value } of entries) {
+        const one = value.match(/^one\s*\(/);
+        if (!one) continue;
+        const oneCall = readCallArguments(value, value.indexOf("("));
+        if (!oneCall) continue;
+        const target = byVariable.get(oneCall.args[0]);
+        const config = oneCall.args[1] || "";
+        const fields = columnRefs(config.match(/fields\s*:\s*\[([^\]]*)\]/), source);
+        const references = target ? columnRefs(config.match(/references\s*:\s*\[([^\]]*)\]/), target) : [];
+        if (!target || fields.length === 0) continue;
+
+        const exists = relations.some(
+          (r) => r.from === source.model.name && r.to === target.model.name && r.fromFields.join() === fields.join()
+        );
+        if (!exists) {
+          relations.push(buildRelation(source, fields, target.model.name, references, key));
+        }
+      }
+    }
+  }
+
+  return {
+    models: tables.map((t) => t.model),
+    enums: [...enums.values()],
+    relations,
+    files: sources.map((s) => s.file),
+  };
+}
+
+function parseTable(variable, args, enums) {
+  const tableName = stringLiteral(args[0]);
+  if (!tableName || !args[1]) return null;
+
+  // Columns are either an object literal or a callback returning one
+  let columnsSource = args[1].trim();
+  if (!columnsSource.startsWith("{")) {
+    const brace = columnsSource.indexOf("{", columnsSource.indexOf("=>"));
+    if (brace === -1) return null;
+    columnsSource = columnsSource.slice(brace, findClosing(columnsSource, brace) + 1);
+  }
+
+  const model = {
+    name: variable,
+    source: "drizzle",
+    tableName,
+    fields: [],
+    primaryKey: [],
+    uniques: [],
+    indexes: [],
+  };
+  const table = { variable, model, foreignKeys: [] };
+
+  for (const { key, value } of parseObjectEntries(columnsSource.slice(1, -1))) {
+    if (!key) continue;
+    const field = parseColumn(key, value, enums);
+    if (field.primaryKey) model.primaryKey.push(key);
+    if (field.reference) {
+      table.foreignKeys.push({ columns: [key], ...field.reference, name: key });
+      field.foreignKey = true;
+    }
+    delete field.reference;
+    model.fields.push(field);
+  }
+
+  if (args[2]) parseTableExtras(args[2], table);
+  return table;
+}
+
+function parseColumn(key, value, enums) {
+  // A shared mysqlEnum is used as the column itself: `role: roleEnum.notNull()`
+  const enumVariable = value.match(/^([\w$]+)\s*(?:\.|$)/);
+  const shared = enumVariable && enums.has(enumVariable[1]);
+  const builder = shared ? enumVariable : value.match(/^(?:[\w$]+\.)?([\w$]+)\s*\(/);
+  const builderName = builder ? builder[1] : "unknown";
+  const enumDef = enums.get(builderName);
+  const chain = shared ? value.slice(builderName.length) : value.slice(value.indexOf(")") + 1);
+  const has = (method) => new RegExp(`\\.${method}\\s*\\(`).test(value);
+
+  let type = enumDef ? enumDef.name : builderName;
+  if (builderName === "mysqlEnum") {
+    const values = value.match(/\[([^\]]*)\]/);
+    type = values ? `enum(${values[1].replace(/["'`\s]/g, "").split(",").join(" | ")})` : "enum";
+  }
+
+  let defaultValue = null;
+  const defaultCall = value.match(/\.default\s*\(/);
+  if (defaultCall) {
+    const call = readCallArguments(value, defaultCall.index + defaultCall[0].length - 1);
+    defaultValue = call ? call.args.join(", ") : null;
+  } else if (has("defaultNow")) {
+    defaultValue = "now()";
+  } else if (has("defaultRandom")) {
+    defaultValue = "random()";
+  } else if (has("\\$defaultFn") || has("\\$default")) {
+    defaultValue = "(generated in code)";
+  } else if (has("generatedAlwaysAsIdentity") || has("generatedByDefaultAsIdentity") || /^(big)?serial$/.test(builderName) || has("autoincrement")) {
+    defaultValue = "autoincrement";
+  }
+
+  let reference = null;
+  const references = value.match(/\.references\s*\(/);
+  if (references) {
+    const call = readCallArguments(value, references.index + references[0].length - 1);
+    const target = call && call.args[0].match(/=>\s*(?:\(\s*)?([\w$]+)\.([\w$]+)/);
+    if (target) {
+      const onDelete = call.args[1] && call.args[1].match(/onDelete\s*:\s*["'`]([\w ]+)["'`]/);
+      reference = {
+        table: target[1],
+        references: [target[2]],
+        onDelete: onDelete ? onDelete[1].toUpperCase() : null,
+      };
+    }
+  }
+
+  const primaryKey = has("primaryKey");
+  return {
+    name: key,
+    type,
+    list: has("array"),
+    optional: !has("notNull") && !primaryKey,
+    default: defaultValue,
+    primaryKey,
+    unique: has("unique"),
+    foreignKey: false,
+    attributes: [...chain.matchAll(/\.([\w$]+)\s*\(/g)].map((m) => m[1]),
+    reference,
+  };
+}
+
+/**
+ * Parse the third pgTable argument: composite keys, indexes, uniques and
+ * foreign keys, returned either as an object or (newer API) as an array
+ */
+function parseTableExtras(source, table) {
+  const { model } = table;
+  const localColumns = (text) =>
+    [...(text || "").matchAll(/\b[\w$]+\.([\w$]+)/g)].map((m) => m[1]);
+
+  const calls = /\b(primaryKey|index|uniqueIndex|unique|foreignKey)\s*\(/g;
+  for (const match of source.matchAll(calls)) {
+    const call = readCallArguments(source, match.index + match[0].length - 1);
+    if (!call) continue;
+    const after = source.slice(call.end + 1);
+    const on = after.match(/^\s*\.on\s*\(/);
+    const onArgs = on ? readCallArguments(after, after.indexOf("(")) : null;
+    const name = stringLiteral(call.args[0]);
+
+    if (match[1] === "primaryKey") {
+      const columns = call.args[0] && call.args[0].startsWith("{")
+        ? localColumns((call.args[0].match(/columns\s*:\s*\[([^\]]*)\]/) || [])[1])
+        : call.args.flatMap((a) => localColumns(a));
+      if (columns.length > 0) model.primaryKey = columns;
+    } else if (match[1] === "foreignKey") {
+      const config = call.args[0] || "";
+      const columns = localColumns((config.match(/\bcolumns\s*:\s*\[([^\]]*)\]/) || [])[1]);
+      const foreign = [...((config.match(/foreignColumns\s*:\s*\[([^\]]*)\]/) || [])[1] || "").matchAll(/([\w$]+)\.([\w$]+)/g)];
+      if (columns.length > 0 && foreign.length > 0) {
+        table.foreignKeys.push({
+          columns,
+          table: foreign[0][1],
+          references: foreign.map((f) => f[2]),
+          onDelete: null,
+          name: (config.match(/name\s*:\s*["'`]([^"'`]+)/) || [])[1] || columns.join("_"),
+        });
+        for (const column of columns) {
+          const field = model.fields.find((f) => f.name === column);
+          if (field) field.foreignKey = true;
+        }
+      }
+    } else if (onArgs) {
+      const columns = onArgs.args.flatMap((a) => localColumns(a));
+      if (match[1] === "unique") model.uniques.push(columns);
+      else model.indexes.push({ name, fields: columns, unique: match[1] === "uniqueIndex" });
+    }
+  }
+}
+
+function columnRefs(listMatch, table) {
+  if (!listMatch) return [];
+  return [...listMatch[1].matchAll(/([\w$]+)\.([\w$]+)/g)]
+    .filter((m) => m[1] === table.variable)
+    .map((m) => m[2]);
+}
+
+function buildRelation(table, columns, to, references, name) {
+  const { model } = table;
+  const fields = columns.map((c) => model.fields.find((f) => f.name === c)).filter(Boolean);
+  const isUnique =
+    (columns.length === 1 && fields.some((f) => f.unique || (f.primaryKey && model.primaryKey.length === 1))) ||
+    model.uniques.some((u) => u.length === columns.length && u.every((c) => columns.includes(c))) ||
+    model.indexes.some((i) => i.unique && i.fields.length === columns.length && i.fields.every((c) => columns.includes(c)));
+
+  return {
+    from: model.name,
+    fromFields: columns,
+    to,
+    toFields: references,
+    cardinality: isUnique ? "one-to-one" : "many-to-one",
+    optional: fields.some((f) => f.optional),
+    name,
+  };
+}
@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { stripComments } from "../lib/js-source.js";
+import { findProjectFiles } from "../lib/source-files.js";
+
+// Only template files are read; real .env files hold secrets and are never opened
+const EXAMPLE_FILES = "**/{.env.example,.env.*.example,.env.sample,.env.*.sample,.env.template,.env.*.template,env.example}";
+const PUBLIC_PREFIXES = ["NEXT_PUBLIC_", "EXPO_PUBLIC_", "VITE_", "REACT_APP_", "NUXT_PUBLIC_", "GATSBY_", "PUBLIC_"];
+const SECRET_NAME = /SECRET|PRIVATE|SERVICE_ROLE|PASSWORD|TOKEN|API_KEY$/;
+const BUILTIN = new Set(["NODE_ENV", "NEXT_RUNTIME", "CI", "PORT", "MODE", "DEV", "PROD", "SSR", "BASE_URL", "TZ"]);
+// Provided to every Supabase edge function by the platform
+const SUPABASE_EDGE_BUILTIN = new Set(["SUPABASE_URL", "SUPABASE_ANON_KEY", "SUPABASE_SERVICE_ROLE_KEY", "SUPABASE_DB_URL"]);
+
+const USAGES = [
+  { runtime: "node", pattern: /\bprocess\s*\.\s*env\s*(?:\?\.|\.)\s*([A-Za-z_]\w*)/g },
+  { runtime: "node", pattern: /\bprocess\s*\.\s*env\s*\[\s*["'`]([A-Za-z_]\w*)["'`]\s*\]/g },
+  { runtime: "vite", pattern: /\bimport\s*\.\s*meta\s*\.\s*env\s*(?:\?\.|\.)\s*([A-Za-z_]\w*)/g },
+  { runtime: "deno", pattern: /\bDeno\s*\.\s*env\s*\.\s*get\s*\(\s*["'`]([A-Za-z_]\w*)["'`]/g },
+];
+
+/**
+ * Collect environment variables read in code (`process.env`,
+ * `import.meta.env`, `Deno.env.get`) and Expo `extra` config keys, and
+ * compare them with the names documented in `.env.example`-style files.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {Object<string, string>} fileDomains - File to domain
+ * @returns {{variables: Array<{name: string, files: string[], domains: string[], runtimes: string[], exposure: string, documented: string[], description: string|null, builtin: boolean}>, exampleFiles: string[], expoExtra: Array<{key: string, files: string[]}>, issues: {undocumented: string[], unused: string[], exposedSecrets: string[], serverOnlyInClient: Array<{name: string, files: string[]}>}}}
+ */
+export function scanEnvironment(sourceIndex, fileDomains) {
+  const variables = new Map();
+  const expoExtra = new Map();
+  const clientFiles = new Set();
+
+  const use = (name, file, runtime) => {
+    if (!variables.has(name)) {
+      variables.set(name, { name, files: [], domains: [], runtimes: [], documented: [], description: null });
+    }
+    const variable = variables.get(name);
+    if (!variable.files.includes(file)) variable.files.push(file);
+    if (!variable.runtimes.includes(runtime)) variable.runtimes.push(runtime);
+    const domain = fileDomains[file];
+    if (domain && !variable.domains.includes(domain)) variable.domains.push(domain);
+  };
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\benv\b|Constants/.test(raw)) continue;
+    const code = stripComments(raw);
+    if (/^\s*(["'])use client\1/.test(code)) clientFiles.add(file);
+
+    for (const { runtime, pattern } of USAGES) {
+      for (const match of code.matchAll(pattern)) use(match[1], file, runtime);
+    }
+    // const { DATABASE_URL, PORT = 3000 } = process.env
+    for (const match of code.matchAll(/\b(?:const|let|var)\s*\{([^}]*)\}\s*=\s*process\s*\.\s*env\b/g)) {
+      for (const part of match[1].split(",")) {
+        const name = part.trim().match(/^([A-Za-z_]\w*)/);
+        if (name) use(name[1], file, "node");
+      }
+    }
+    for (const match of code.matchAll(/\bConstants\s*\.\s*(?:expoConfig|manifest2?|manifest)\s*\??\.\s*extra\s*\??\.\s*([A-Za-z_]\w*)/g)) {
+      if (!expoExtra.has(match[1])) expoExtra.set(match[1], []);
+      if (!expoExtra.get(match[1]).includes(file)) expoExtra.get(match[1]).push(file);
+    }
+  }
+
+  const exampleFiles = findProjectFiles(sourceIndex.root, EXAMPLE_FILES, sourceIndex.ignore, sourceIndex.output);
+  const documented = new Map();
+  for (const file of exampleFiles) {
+    for (const { name, description } of readExampleNames(path.join(sourceIndex.root, file))) {
+      if (!documented.has(name)) documented.set(name, { files: [], description: null });
+      const entry = documented.get(name);
+      entry.files.push(file);
+      entry.description = entry.description || description;
+    }
+  }
+
+  for (const [name, entry] of documented) {
+    if (!variables.has(name)) continue;
+    variables.get(name).documented = entry.files;
+    variables.get(name).description = entry.description;
+  }
+
+  const list = [...variables.values()]
+    .map((v) => ({
+      ...v,
+      files: v.files.sort(),
+      exposure: exposureOf(v),
+      builtin: BUILTIN.has(v.name) || (v.runtimes.every((r) => r === "deno") && SUPABASE_EDGE_BUILTIN.has(v.name)) || /^VERCEL_|^npm_/.test(v.name),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const isPublic = (name) => PUBLIC_PREFIXES.some((prefix) => name.startsWith(prefix));
+  const issues = {
+    undocumented: exampleFiles.length > 0 ? list.filter((v) => v.documented.length === 0 && !v.builtin).map((v) => v.name) : [],
+    unused: [...documented.keys()].filter((name) => !variables.has(name)).sort(),
+    exposedSecrets: list.filter((v) => isPublic(v.name) && SECRET_NAME.test(v.name)).map((v) => v.name),
+    serverOnlyInClient: list
+      .filter((v) => !isPublic(v.name) && !v.builtin && v.files.some((f) => clientFiles.has(f)))
+      .map((v) => ({ name: v.name, files: v.files.filter((f) => clientFiles.has(f)) })),
+  };
+
+  return {
+    variables: list,
+    exampleFiles,
+    expoExtra: [...expoExtra.entries()].map(([key, files]) => ({ key, files: files.sort() })).sort((a, b) => a.key.localeCompare(b.key)),
+    issues,
+  };
+}
+
+/**
+ * Variable names (and the comment above each) from an example file.
+ * Values are ignored.
+ */
+function readExampleNames(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, "utf-8");
+  } catch {
+    return [];
+  }
+
+  const names = [];
+  let comment = [];
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("#")) {
+      const text = trimmed.replace(/^#+\s*/, "");
+      // Commented-out assignments document a variable too
+      const disabled = text.match(/^(?:export\s+)?([A-Za-z_]\w*)\s*=/);
+      if (disabled) {
+        names.push({ name: disabled[1], description: comment.join(" ") || null });
+        comment = [];
+      } else if (text) {
+        comment.push(text);
+      }
+      continue;
+    }
+    const assignment = trimmed.match(/^(?:export\s+)?([A-Za-z_]\w*)\s*=/);
+    if (assignment) names.push({ name: assignment[1], description: comment.join(" ") || null });
+    comment = [];
+  }
+  return names;
+}
+
+function exposureOf(variable) {
+  const prefix = PUBLIC_PREFIXES.find((p) => variable.name.startsWith(p));
+  if (prefix) return `client (\`${prefix}\`)`;
+  if (variable.runtimes.length === 1 && variable.runtimes[0] === "deno") return "edge function";
+  return "server";
+}
@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { stripComments, findClosing } from "../lib/js-source.js";
+
+const RULE_STATEMENT = /\b(match)\s+(\/\S+)\s*\{|\b(function)\s+[\w$]+\s*\([^)]*\)\s*\{|\b(allow)\s+([\w\s,]+?)\s*(?::\s*if\s+([^;]*?))?\s*;/g;
+
+/**
+ * Read Firestore security rules and composite indexes. File locations come
+ * from the `firestore` entry in firebase.json, falling back to the
+ * Firebase CLI defaults.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @returns {{collections: Array<{path: string, collection: string, rules: Array<{operations: string[], condition: string}>, fields: string[], indexes: Array<{fields: string[], queryScope: string}>}>, files: string[]}}
+ */
+export function scanFirestore(projectRoot) {
+  let rulesFile = "firestore.rules";
+  let indexesFile = "firestore.indexes.json";
+
+  const firebaseConfig = readJson(path.join(projectRoot, "firebase.json"));
+  const firestoreConfig = Array.isArray(firebaseConfig?.firestore)
+    ? firebaseConfig.firestore[0]
+    : firebaseConfig?.firestore;
+  if (firestoreConfig?.rules) rulesFile = firestoreConfig.rules;
+  if (firestoreConfig?.indexes) indexesFile = firestoreConfig.indexes;
+
+  const collections = new Map();
+  const files = [];
+  const collectionFor = (documentPath) => {
+    if (!collections.has(documentPath)) {
+      collections.set(documentPath, {
+        path: documentPath,
+        collection: collectionId(documentPath),
+        rules: [],
+        fields: [],
+        indexes: [],
+      });
+    }
+    return collections.get(documentPath);
+  };
+
+  const rulesPath = path.join(projectRoot, rulesFile);
+  if (fs.existsSync(rulesPath)) {
+    files.push(rulesFile);
+    const rules = parseFirestoreRules(fs.readFileSync(rulesPath, "utf-8"));
+    for (const rule of rules) {
+      const entry = collectionFor(rule.path);
+      entry.rules.push({ operations: rule.operations, condition: rule.condition });
+      for (const fieldName of referencedFields(rule.condition)) {
+        if (!entry.fields.includes(fieldName)) entry.fields.push(fieldName);
+      }
+    }
+  }
+
+  const indexes = readJson(path.join(projectRoot, indexesFile));
+  if (indexes) {
+    files.push(indexesFile);
+    for (const index of indexes.indexes || []) {
+      if (!index.collectionGroup) continue;
+      const owners = [...collections.values()].filter((c) => c.collection === index.collectionGroup);
+      const targets = owners.length > 0 ? owners : [collectionFor(index.collectionGroup)];
+      const fields = (index.fields || []).map((f) =>
+        f.arrayConfig ? `${f.fieldPath} (array ${f.arrayConfig.toLowerCase()})` : `${f.fieldPath}${f.order === "DESCENDING" ? " desc" : ""}`
+      );
+      for (const target of targets) {
+        target.indexes.push({ fields, queryScope: index.queryScope || "COLLECTION" });
+      }
+    }
+  }
+
+  return {
+    collections: [...collections.values()].sort((a, b) => a.path.localeCompare(b.path)),
+    files,
+  };
+}
+
+/**
+ * Flatten nested `match` blocks into one entry per `allow` statement with
+ * its full document path. Helper `function` bodies are skipped.
+ *
+ * @param {string} content - firestore.rules source
+ * @returns {Array<{path: string, operations: string[], condition: string}>}
+ */
+export function parseFirestoreRules(content) {
+  const rules = [];
+  const src = stripComments(content);
+  const service = src.match(/\bservice\s+cloud\.firestore\s*\{/);
+  if (!service) return rules;
+
+  const open = service.index + service[0].length - 1;
+  walkBlock(src.slice(open + 1, findClosing(src, open)), "", rules);
+  return rules;
+}
+
+function walkBlock(body, prefix, rules) {
+  const pattern = new RegExp(RULE_STATEMENT.source, "g");
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    if (match[1] || match[3]) {
+      const open = match.index + match[0].length - 1;
+      const close = findClosing(body, open);
+      if (close === -1) return;
+      if (match[1]) walkBlock(body.slice(open + 1, close), joinPath(prefix, match[2]), rules);
+      pattern.lastIndex = close + 1;
+      continue;
+    }
+
+    if (!prefix) continue;
+    rules.push({
+      path: prefix,
+      operations: match[5].split(",").map((op) => op.trim()).filter(Boolean),
+      condition: match[6] ? match[6].replace(/\s+/g, " ").trim() : "true",
+    });
+  }
+}
+
+/**
+ * Join match paths, dropping the `/databases/{database}/documents` root
+ */
+function joinPath(prefix, segment) {
+  const joined = `${prefix}/${segment.replace(/^\/+/, "")}`.replace(/^\/+/, "");
+  return joined.replace(/^databases\/\{[^}]+\}\/documents\/?/, "");
+}
+
+/**
+ * `users/{userId}/posts/{postId}` -> `posts`
+ */
+function collectionId(documentPath) {
+  const segments = documentPath.split("/").filter((s) => s && !s.startsWith("{"));
+  return segments[segments.length - 1] || documentPath;
+}
+
+/**
+ * Document fields named in a rule condition, which is the closest thing
+ * Firestore has to a declared schema
+ */
+function referencedFields(condition) {
+  const names = new Set();
+  for (const match of condition.matchAll(/\b(?:request\.)?resource\.data\.([\w$]+)(?![\w$]|\s*\()/g)) {
+    names.add(match[1]);
+  }
+  for (const match of condition.matchAll(/\.(?:hasAll|hasOnly|hasAny)\s*\(\s*\[([^\]]*)\]/g)) {
+    for (const literal of match[1].matchAll(/["']([^"']+)["']/g)) names.add(literal[1]);
+  }
+  return [...names];
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
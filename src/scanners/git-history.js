@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { createDomainMatcher, toPosixPath } from "../lib/source-files.js";
+import { createPatternMatcher } from "../lib/ignore.js";
+
+const MAX_COMMITS = 2000;
+// Commits touching more files than this are bulk renames or formatting runs
+const MAX_COMMIT_FILES = 30;
+// A large history can take git a long time to diff; scan without it instead
+const GIT_TIMEOUT_MS = 30000;
+const CODEOWNERS_FILES = ["CODEOWNERS", ".github/CODEOWNERS", "docs/CODEOWNERS", ".gitlab/CODEOWNERS"];
+
+/**
+ * Derive ownership and churn per domain from the local git history (no
+ * network): top contributors, last change, the most changed files and the
+ * files that change together. Owners from a CODEOWNERS file take
+ * precedence over commit counts.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {Object<string, string[]>} domainPaths - Domain name to relative paths
+ * @param {Object<string, string>} fileDomains - File to domain
+ * @returns {Object<string, {owners: string[], ownerSource: string, contributors: Array<{name: string, commits: number}>, lastChanged: string|null, hotspots: Array<{file: string, commits: number, lines: number}>, coChanges: Array<{files: string[], commits: number}>}>|null}
+ *   Null when the project isn't a git repository
+ */
+export function scanGitHistory(projectRoot, domainPaths, fileDomains) {
+  const commits = readCommits(projectRoot);
+  if (!commits) return null;
+
+  const domainOf = createDomainMatcher(domainPaths);
+  const codeowners = readCodeowners(projectRoot);
+  const domains = {};
+  const domainEntry = (domain) => {
+    if (!domains[domain]) {
+      domains[domain] = { authors: new Map(), lastChanged: null, files: new Map(), pairs: new Map() };
+    }
+    return domains[domain];
+  };
+
+  for (const commit of commits) {
+    const touched = new Map(); // domain -> files
+    for (const change of commit.files) {
+      const domain = domainOf(change.file);
+      if (!domain) continue;
+      if (!touched.has(domain)) touched.set(domain, []);
+      touched.get(domain).push(change);
+    }
+
+    for (const [domain, changes] of touched) {
+      const entry = domainEntry(domain);
+      entry.authors.set(commit.author, (entry.authors.get(commit.author) || 0) + 1);
+      // git log lists newest first
+      entry.lastChanged = entry.lastChanged || commit.date;
+      for (const { file, lines } of changes) {
+        const stats = entry.files.get(file) || { commits: 0, lines: 0 };
+        entry.files.set(file, { commits: stats.commits + 1, lines: stats.lines + lines });
+      }
+      if (commit.files.length > MAX_COMMIT_FILES) continue;
+      // Pairs with at least one file in the domain; the partner may live elsewhere
+      for (const { file } of changes) {
+        for (const other of commit.files) {
+          if (other.file === file || (domainOf(other.file) === domain && other.file < file)) continue;
+          const key = [file, other.file].sort().join("\0");
+          entry.pairs.set(key, (entry.pairs.get(key) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  const exists = (file) => fs.existsSync(path.join(projectRoot, file));
+  const result = {};
+  for (const domain of Object.keys(domainPaths)) {
+    const entry = domains[domain] || domainEntry(domain);
+    const contributors = [...entry.authors.entries()]
+      .map(([name, count]) => ({ name, commits: count }))
+      .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+    const owners = codeowners ? domainCodeowners(codeowners, domain, fileDomains) : [];
+
+    result[domain] = {
+      owners: owners.length > 0 ? owners : contributors.slice(0, 1).map((c) => c.name),
+      ownerSource: owners.length > 0 ? codeowners.file : contributors.length > 0 ? "git history" : null,
+      contributors: contributors.slice(0, 5),
+      lastChanged: entry.lastChanged,
+      hotspots: [...entry.files.entries()]
+        .filter(([file]) => exists(file))
+        .map(([file, stats]) => ({ file, ...stats }))
+        .sort((a, b) => b.commits - a.commits || b.lines - a.lines || a.file.localeCompare(b.file))
+        .slice(0, 5),
+      coChanges: [...entry.pairs.entries()]
+        .filter(([key, count]) => count >= 2 && key.split("\0").every(exists))
+        .map(([key, count]) => ({ files: key.split("\0"), commits: count }))
+        .sort((a, b) => b.commits - a.commits || a.files[0].localeCompare(b.files[0]))
+        .slice(0, 5),
+    };
+  }
+  return result;
+}
+
+/**
+ * Commits with author, date and per-file line counts, newest first. Paths
+ * are relative to the project root even inside a larger repository.
+ */
+function readCommits(projectRoot) {
+  const log = spawnSync(
+    "git",
+    ["log", "--no-merges", "--no-renames", "--relative", `--max-count=${MAX_COMMITS}`, "--numstat", "--format=%x1e%an%x1f%aI"],
+    { cwd: projectRoot, encoding: "utf-8", maxBuffer: 64 * 1024 * 1024, timeout: GIT_TIMEOUT_MS }
+  );
+  if (log.status !== 0 || log.error) return null;
+
+  const commits = [];
+  for (const record of log.stdout.split("\x1e").slice(1)) {
+    const [header, ...lines] = record.split("\n");
+    const [author, date] = header.split("\x1f");
+    const files = [];
+    for (const line of lines) {
+      const [added, deleted, file] = line.split("\t");
+      if (!file) continue;
+      // Binary files report "-" for both counts
+      files.push({ file, lines: (Number(added) || 0) + (Number(deleted) || 0) });
+    }
+    if (files.length > 0) commits.push({ author, date: date.slice(0, 10), files });
+  }
+  return commits;
+}
+
+/**
+ * CODEOWNERS rules in file order; the last matching rule wins. The file
+ * lives at the repository root, which for a workspace package is above the
+ * project root, and its patterns match repository-relative paths.
+ */
+function readCodeowners(projectRoot) {
+  const top = spawnSync("git", ["rev-parse", "--show-toplevel"], { cwd: projectRoot, encoding: "utf-8", timeout: GIT_TIMEOUT_MS });
+  const repoRoot = top.status === 0 && !top.error ? top.stdout.trim() : projectRoot;
+  const file = CODEOWNERS_FILES.find((f) => fs.existsSync(path.join(repoRoot, f)));
+  if (!file) return null;
+
+  const prefix = toPosixPath(path.relative(fs.realpathSync(repoRoot), fs.realpathSync(projectRoot)));
+  const rules = [];
+  for (const line of fs.readFileSync(path.join(repoRoot, file), "utf-8").split("\n")) {
+    const trimmed = line.replace(/#.*$/, "").trim();
+    if (!trimmed || trimmed.startsWith("[")) continue; // GitLab section headers
+    const [pattern, ...owners] = trimmed.split(/\s+/);
+    rules.push({ match: createPatternMatcher(pattern), owners });
+  }
+  return { file, rules, prefix };
+}
+
+/**
+ * Owners of most of a domain's source files
+ */
+function domainCodeowners(codeowners, domain, fileDomains) {
+  const counts = new Map();
+  for (const [file, fileDomain] of Object.entries(fileDomains)) {
+    if (fileDomain !== domain) continue;
+    const repoPath = codeowners.prefix ? `${codeowners.prefix}/${file}` : file;
+    const rule = codeowners.rules.filter((r) => r.match(repoPath)).pop();
+    if (!rule || rule.owners.length === 0) continue;
+    const key = rule.owners.join(" ");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return top ? top[0].split(" ") : [];
+}
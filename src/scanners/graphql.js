@@ -0,0 +1,423 @@
+import fs from "fs";
+import path from "path";
+import { stripComments, skipString, findClosing } from "../lib/js-source.js";
+import { findProjectFiles } from "../lib/source-files.js";
+
+const TAGGED_TEMPLATE = /\b(gql|graphql)\s*(?:\(\s*)?`/g;
+const DEFINITION = /^(?:extend\s+)?(query|mutation|subscription|fragment|type|interface|input|enum|union|scalar|schema|directive)\b/;
+const INTROSPECTION_FILES = ["schema.json", "graphql.schema.json", "introspection.json", "schema.introspection.json"];
+const BUILTIN_SCALARS = new Set(["ID", "String", "Int", "Float", "Boolean"]);
+const CODEGEN_HOOKS = "Query|LazyQuery|SuspenseQuery|Mutation|Subscription";
+
+/**
+ * Catalog GraphQL documents: named operations and fragments from
+ * `.graphql`/`.gql` files and `gql`/`graphql` tagged templates, plus the
+ * schema types from SDL or an introspection result when one is present.
+ * Operations are linked to the types they touch and to the domains that
+ * define or use them.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {(file: string) => string|null} domainOf - File to owning domain
+ * @returns {{operations: Array<{name: string, kind: string, file: string, variables: string|null, rootFields: string[], fragments: string[], types: string[], domains: string[]}>, fragments: Array<{name: string, on: string, file: string, types: string[], domains: string[]}>, types: Array<{name: string, kind: string, fields: Array<{name: string, type: string}>, values: string[], members: string[], interfaces: string[]}>, schemaFiles: string[]}}
+ */
+export function scanGraphql(sourceIndex, domainOf) {
+  const operations = [];
+  const fragments = [];
+  const typeMap = new Map();
+  const schemaFiles = new Set();
+  const roots = { query: "Query", mutation: "Mutation", subscription: "Subscription" };
+
+  const collect = (file, source, variable) => {
+    const document = parseGraphqlDocument(source);
+    for (const op of document.operations) operations.push({ ...op, file, variable });
+    for (const fragment of document.fragments) fragments.push({ ...fragment, file, variable });
+    for (const type of document.types) mergeType(typeMap, type);
+    Object.assign(roots, document.roots);
+    if (document.types.length > 0) schemaFiles.add(file);
+  };
+
+  for (const file of findProjectFiles(sourceIndex.root, "**/*.{graphql,gql,graphqls}", sourceIndex.ignore, sourceIndex.output)) {
+    collect(file, readFile(sourceIndex.root, file));
+  }
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\b(?:gql|graphql)\s*(?:\(\s*)?`/.test(raw)) continue;
+    const code = stripComments(raw);
+    for (const match of code.matchAll(TAGGED_TEMPLATE)) {
+      const start = match.index + match[0].length - 1;
+      const body = code.slice(start + 1, skipString(code, start) - 1).replace(/\$\{[^}]*\}/g, " ");
+      const declared = code.slice(Math.max(0, match.index - 80), match.index).match(/\b(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*$/);
+      collect(file, body, declared ? declared[1] : null);
+    }
+  }
+
+  for (const file of findProjectFiles(sourceIndex.root, `**/{${INTROSPECTION_FILES.join(",")}}`, sourceIndex.ignore, sourceIndex.output)) {
+    const types = parseIntrospection(readFile(sourceIndex.root, file));
+    if (!types) continue;
+    for (const type of types) mergeType(typeMap, type);
+    schemaFiles.add(file);
+  }
+
+  // Resolve the types each document touches, through the schema when known
+  const fragmentsByName = new Map(fragments.map((f) => [f.name, f]));
+  for (const fragment of fragments) {
+    const touched = new Set([fragment.on]);
+    walkSelection(fragment.selection, fragment.on, typeMap, fragmentsByName, touched, new Set([fragment.name]));
+    fragment.types = [...touched].sort();
+  }
+  for (const op of operations) {
+    const root = roots[op.kind];
+    const touched = new Set(typeMap.has(root) || typeMap.size === 0 ? [root] : []);
+    walkSelection(op.selection, root, typeMap, fragmentsByName, touched, new Set());
+    op.types = [...touched].sort();
+    op.rootFields = op.selection.filter((n) => n.name).map((n) => n.name);
+    op.fragments = collectSpreads(op.selection);
+  }
+
+  linkDomains(sourceIndex, [...operations, ...fragments], domainOf);
+  // Fragments also belong to the domains of the operations that spread them
+  for (const op of operations) {
+    for (const name of op.fragments) {
+      const fragment = fragmentsByName.get(name);
+      if (!fragment) continue;
+      for (const domain of op.domains) {
+        if (!fragment.domains.includes(domain)) fragment.domains.push(domain);
+      }
+    }
+  }
+
+  const strip = ({ selection, variable, ...rest }) => rest;
+  return {
+    operations: operations.map(strip).sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name)),
+    fragments: fragments.map(strip).sort((a, b) => a.name.localeCompare(b.name)),
+    types: [...typeMap.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    schemaFiles: [...schemaFiles].sort(),
+  };
+}
+
+/**
+ * Parse a GraphQL document into named operations, fragments, type
+ * definitions and `schema { query: ... }` root overrides. Anonymous
+ * operations are skipped.
+ *
+ * @param {string} source - GraphQL document
+ * @returns {{operations: Object[], fragments: Object[], types: Object[], roots: Object<string, string>}}
+ */
+export function parseGraphqlDocument(source) {
+  const src = blankCommentsAndStrings(source);
+  const result = { operations: [], fragments: [], types: [], roots: {} };
+  let i = 0;
+
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const space = rest.match(/^[\s,]+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    const head = rest.match(DEFINITION);
+    if (!head) {
+      // Anonymous `{ ... }` query or something unrecognized
+      const close = rest[0] === "{" ? findClosing(src, i) : -1;
+      i = close === -1 ? i + 1 : close + 1;
+      continue;
+    }
+
+    const keyword = head[1];
+    if (keyword === "scalar" || keyword === "union" || keyword === "directive") {
+      const end = nextDefinition(src, i + head[0].length);
+      const text = src.slice(i, end);
+      if (keyword === "scalar") {
+        const name = text.match(/scalar\s+(\w+)/);
+        if (name) result.types.push(createType(name[1], "scalar"));
+      } else if (keyword === "union") {
+        const union = text.match(/union\s+(\w+)[^=]*=\s*([\w\s|]*)/);
+        if (union) {
+          result.types.push({ ...createType(union[1], "union"), members: union[2].split("|").map((m) => m.trim()).filter(Boolean) });
+        }
+      }
+      i = end;
+      continue;
+    }
+
+    const open = blockStart(src, i);
+    if (open === -1) break;
+    const close = findClosing(src, open);
+    if (close === -1) break;
+    const header = src.slice(i, open);
+    const body = src.slice(open + 1, close);
+    i = close + 1;
+
+    if (keyword === "query" || keyword === "mutation" || keyword === "subscription") {
+      const name = header.match(/^(?:query|mutation|subscription)\s+(\w+)/);
+      if (!name) continue;
+      const variables = header.match(/\(([\s\S]*)\)/);
+      result.operations.push({
+        name: name[1],
+        kind: keyword,
+        variables: variables ? variables[1].replace(/\s+/g, " ").trim() : null,
+        selection: parseSelection(body),
+      });
+    } else if (keyword === "fragment") {
+      const fragment = header.match(/^fragment\s+(\w+)\s+on\s+(\w+)/);
+      if (fragment) result.fragments.push({ name: fragment[1], on: fragment[2], selection: parseSelection(body) });
+    } else if (keyword === "schema") {
+      for (const root of body.matchAll(/\b(query|mutation|subscription)\s*:\s*(\w+)/g)) {
+        result.roots[root[1]] = root[2];
+      }
+    } else {
+      const name = header.match(/^(?:extend\s+)?\w+\s+(\w+)/);
+      if (!name) continue;
+      const type = createType(name[1], keyword);
+      const interfaces = header.match(/\bimplements\s+([\w\s&,]+)/);
+      if (interfaces) type.interfaces = interfaces[1].split(/[\s&,]+/).filter(Boolean);
+      if (keyword === "enum") {
+        type.values = [...removeDirectives(body).matchAll(/\b[A-Za-z_]\w*\b/g)].map((m) => m[0]);
+      } else {
+        type.fields = [...removeDirectives(removeParens(body)).matchAll(/(\w+)\s*:\s*([\w[\]!]+)/g)]
+          .map((m) => ({ name: m[1], type: m[2] }));
+      }
+      result.types.push(type);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a selection set body into a tree of fields, fragment spreads and
+ * inline fragments
+ */
+function parseSelection(body) {
+  const nodes = [];
+  let i = 0;
+
+  while (i < body.length) {
+    const rest = body.slice(i);
+    const space = rest.match(/^[\s,]+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    if (rest.startsWith("...")) {
+      const inline = rest.match(/^\.\.\.\s*(?:on\s+(\w+))?\s*(?:@\w+\s*(?:\([^)]*\))?\s*)*\{/);
+      if (inline) {
+        const open = i + inline[0].length - 1;
+        const close = findClosing(body, open);
+        nodes.push({ inlineType: inline[1] || null, selection: parseSelection(body.slice(open + 1, close)) });
+        i = close === -1 ? body.length : close + 1;
+        continue;
+      }
+      const spread = rest.match(/^\.\.\.\s*(\w+)/);
+      if (spread) nodes.push({ spread: spread[1] });
+      i += spread ? spread[0].length : 3;
+      continue;
+    }
+
+    const field = rest.match(/^(\w+)(?:\s*:\s*(\w+))?/);
+    if (!field) {
+      i++;
+      continue;
+    }
+    i += field[0].length;
+    const node = { name: field[2] || field[1], selection: null };
+
+    // Skip arguments and directives, then read a nested selection set
+    for (;;) {
+      const next = body.slice(i).match(/^\s*(@\w+)?\s*/);
+      i += next[0].length;
+      if (body[i] === "(") {
+        const close = findClosing(body, i);
+        i = close === -1 ? body.length : close + 1;
+      } else if (!next[1]) {
+        break;
+      }
+    }
+    if (body[i] === "{") {
+      const close = findClosing(body, i);
+      node.selection = parseSelection(body.slice(i + 1, close === -1 ? body.length : close));
+      i = close === -1 ? body.length : close + 1;
+    }
+    nodes.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * Add the named types reached by a selection set to `touched`
+ */
+function walkSelection(nodes, typeName, typeMap, fragmentsByName, touched, visiting) {
+  for (const node of nodes) {
+    if (node.spread) {
+      const fragment = fragmentsByName.get(node.spread);
+      if (!fragment || visiting.has(fragment.name)) continue;
+      touched.add(fragment.on);
+      visiting.add(fragment.name);
+      walkSelection(fragment.selection, fragment.on, typeMap, fragmentsByName, touched, visiting);
+      visiting.delete(fragment.name);
+    } else if (node.selection && !node.name) {
+      const inlineType = node.inlineType || typeName;
+      if (node.inlineType) touched.add(node.inlineType);
+      walkSelection(node.selection, inlineType, typeMap, fragmentsByName, touched, visiting);
+    } else if (node.name) {
+      const type = typeMap.get(typeName);
+      const field = type && type.fields.find((f) => f.name === node.name);
+      const fieldType = field ? namedType(field.type) : null;
+      if (fieldType && !BUILTIN_SCALARS.has(fieldType)) touched.add(fieldType);
+      if (node.selection) walkSelection(node.selection, fieldType, typeMap, fragmentsByName, touched, visiting);
+    }
+  }
+}
+
+function collectSpreads(nodes, spreads = []) {
+  for (const node of nodes) {
+    if (node.spread && !spreads.includes(node.spread)) spreads.push(node.spread);
+    if (node.selection) collectSpreads(node.selection, spreads);
+  }
+  return spreads;
+}
+
+/**
+ * Attribute documents to the domain of the file that defines them, and to
+ * the domains of files that use them through their variable name or the
+ * names graphql-codegen generates (`GetUserDocument`, `useGetUserQuery`)
+ */
+function linkDomains(sourceIndex, documents, domainOf) {
+  const byIdentifier = new Map();
+  for (const doc of documents) {
+    doc.domains = [];
+    const owner = domainOf(doc.file);
+    if (owner) doc.domains.push(owner);
+    const identifiers = [`${doc.name}Document`, `${doc.name}FragmentDoc`];
+    if (doc.kind) identifiers.push(...CODEGEN_HOOKS.split("|").map((suffix) => `use${doc.name}${suffix}`));
+    if (doc.variable) identifiers.push(doc.variable);
+    for (const identifier of identifiers) {
+      if (!byIdentifier.has(identifier)) byIdentifier.set(identifier, []);
+      byIdentifier.get(identifier).push(doc);
+    }
+  }
+  if (byIdentifier.size === 0) return;
+
+  const escaped = [...byIdentifier.keys()].map((id) => id.replace(/\$/g, "\\$"));
+  const pattern = new RegExp(`(?<![\\w$])(?:${escaped.join("|")})(?![\\w$])`, "g");
+  for (const file of sourceIndex.files) {
+    const domain = domainOf(file);
+    if (!domain) continue;
+    for (const match of stripComments(sourceIndex.read(file)).matchAll(pattern)) {
+      for (const doc of byIdentifier.get(match[0])) {
+        if (!doc.domains.includes(domain)) doc.domains.push(domain);
+      }
+    }
+  }
+}
+
+/**
+ * Read types from an introspection result (`{ data: { __schema } }` or
+ * `{ __schema }`). Returns null when the file is not one.
+ */
+function parseIntrospection(content) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  const schema = (json && json.data && json.data.__schema) || (json && json.__schema);
+  if (!schema || !Array.isArray(schema.types)) return null;
+
+  const typeRef = (ref) => {
+    if (!ref) return "";
+    if (ref.kind === "NON_NULL") return `${typeRef(ref.ofType)}!`;
+    if (ref.kind === "LIST") return `[${typeRef(ref.ofType)}]`;
+    return ref.name;
+  };
+
+  return schema.types
+    .filter((t) => t.name && !t.name.startsWith("__") && !BUILTIN_SCALARS.has(t.name))
+    .map((t) => ({
+      ...createType(t.name, t.kind === "INPUT_OBJECT" ? "input" : t.kind === "OBJECT" ? "type" : t.kind.toLowerCase()),
+      fields: (t.fields || t.inputFields || []).map((f) => ({ name: f.name, type: typeRef(f.type) })),
+      values: (t.enumValues || []).map((v) => v.name),
+      members: (t.possibleTypes && t.kind === "UNION" ? t.possibleTypes : []).map((p) => p.name),
+      interfaces: (t.interfaces || []).map((i) => i.name),
+    }));
+}
+
+function createType(name, kind) {
+  return { name, kind, fields: [], values: [], members: [], interfaces: [] };
+}
+
+/**
+ * `extend type Query { ... }` adds fields to an existing type
+ */
+function mergeType(typeMap, type) {
+  const existing = typeMap.get(type.name);
+  if (!existing) {
+    typeMap.set(type.name, type);
+    return;
+  }
+  for (const key of ["fields", "values", "members", "interfaces"]) {
+    for (const item of type[key]) {
+      const id = typeof item === "string" ? item : item.name;
+      if (!existing[key].some((e) => (typeof e === "string" ? e : e.name) === id)) existing[key].push(item);
+    }
+  }
+}
+
+function namedType(type) {
+  return type.replace(/[[\]!]/g, "");
+}
+
+function blockStart(src, start) {
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    if (src[i] === "(") depth++;
+    else if (src[i] === ")") depth--;
+    else if (src[i] === "{" && depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Definitions without a body run until the next definition keyword
+ */
+function nextDefinition(src, start) {
+  const next = src.slice(start).search(/\n\s*(?:extend\s+)?(?:query|mutation|subscription|fragment|type|interface|input|enum|union|scalar|schema|directive)\b/);
+  return next === -1 ? src.length : start + next;
+}
+
+function removeParens(src) {
+  let previous;
+  let out = src;
+  do {
+    previous = out;
+    out = out.replace(/\([^()]*\)/g, "");
+  } while (out !== previous);
+  return out;
+}
+
+function removeDirectives(src) {
+  return src.replace(/@\w+(?:\s*\([^)]*\))?/g, "");
+}
+
+/**
+ * Blank `#` comments and string literals (descriptions, default values)
+ */
+function blankCommentsAndStrings(src) {
+  return src
+    .replace(/"""[\s\S]*?"""/g, (m) => m.replace(/[^\n]/g, " "))
+    .replace(/"(?:[^"\\\n]|\\.)*"/g, (m) => " ".repeat(m.length))
+    .replace(/#[^\n]*/g, (m) => " ".repeat(m.length));
+}
+
+function readFile(root, file) {
+  try {
+    return fs.readFileSync(path.join(root, file), "utf-8");
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,275 @@
+import { stripComments, skipString, findClosing, splitTopLevel } from "../lib/js-source.js";
+import { createBindingResolver, parseBindings } from "./imports.js";
+
+const HOOK_DEFINITION = /\b(export\s+(?:default\s+)?)?(?:(?:async\s+)?function\s+(use[A-Z0-9][\w$]*)\s*(<[^()]*>)?\s*\(|(?:const|let)\s+(use[A-Z0-9][\w$]*)\s*(?::\s*([^=]+?))?\s*=\s*)/g;
+const HOOK_CALL = /(?<![\w$.])(use[A-Z0-9][\w$]*)\s*(?:<[^()]*>)?\s*\(/g;
+const API_CALLS = [
+  [/\b[\w$]+\s*\.\s*from\s*\(\s*["'`]([\w-]+)["'`]\s*\)/g, (m) => `supabase.from("${m[1]}")`],
+  [/\b[\w$]+\s*\.\s*rpc\s*\(\s*["'`]([\w-]+)["'`]/g, (m) => `supabase.rpc("${m[1]}")`],
+  [/\b[\w$]+\s*\.\s*auth\s*\.\s*([\w$]+)\s*\(/g, (m) => `supabase.auth.${m[1]}`],
+  [/\b[\w$]+\s*\.\s*storage\s*\.\s*from\s*\(\s*["'`]([\w-]+)["'`]/g, (m) => `supabase.storage("${m[1]}")`],
+  [/(?<![\w$.])fetch\s*\(/g, () => "fetch"],
+  [/\baxios\s*(?:\.\s*(\w+))?\s*\(/g, (m) => (m[1] ? `axios.${m[1]}` : "axios")],
+];
+
+/**
+ * Catalog custom hooks: signature (parameters and return type, annotated or
+ * inferred from the returned object), the hooks and APIs each one wraps,
+ * its JSDoc summary and the files that call it.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {Object<string, string>} fileDomains - File to domain
+ * @returns {Array<{name: string, file: string, domain: string|null, exported: boolean, params: string, returns: string|null, wraps: string[], summary: string|null, callers: string[]}>}
+ */
+export function scanHooks(sourceIndex, fileDomains) {
+  const hooks = [];
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\buse[A-Z0-9]/.test(raw)) continue;
+    const code = stripComments(raw);
+
+    for (const match of code.matchAll(HOOK_DEFINITION)) {
+      // Only top-level definitions: nothing but whitespace before on the line
+      const lineStart = code.lastIndexOf("\n", match.index) + 1;
+      if (code.slice(lineStart, match.index).trim() !== "") continue;
+
+      const name = match[2] || match[4];
+      const afterName = match.index + match[0].length;
+      const definition = match[2]
+        ? readFunction(code, afterName - 1, match[3])
+        : readAssignedFunction(code, afterName, match[5]);
+      if (!definition) continue;
+
+      hooks.push({
+        name,
+        file,
+        domain: fileDomains[file] || null,
+        defaultExport: /default/.test(match[1] || ""),
+        exported: Boolean(match[1]) || new RegExp(`\\bexport\\s*(?:default\\s+${name}\\b|\\{[^}]*\\b${name}\\b[^}]*\\})`).test(code),
+        params: definition.params,
+        returns: definition.returns,
+        wraps: wrappedCalls(definition.body, name),
+        summary: jsDocSummary(raw, match.index),
+        callers: [],
+      });
+    }
+  }
+
+  linkCallers(sourceIndex, hooks);
+
+  return hooks.map(({ defaultExport, ...hook }) => hook).sort((a, b) => a.name.localeCompare(b.name) || a.file.localeCompare(b.file));
+}
+
+/**
+ * `function useX<T>(params): Ret { ... }` with `open` at the "(" of the
+ * parameter list
+ */
+function readFunction(code, open, generics) {
+  const paramsEnd = findClosing(code, open);
+  if (paramsEnd === -1) return null;
+  const bodyOpen = functionBodyStart(code, paramsEnd + 1);
+  if (bodyOpen === -1) return null;
+  const bodyClose = findClosing(code, bodyOpen);
+  const annotation = code.slice(paramsEnd + 1, bodyOpen).match(/^\s*:\s*([\s\S]+?)\s*$/);
+  const body = code.slice(bodyOpen + 1, bodyClose === -1 ? code.length : bodyClose);
+
+  return {
+    params: `${generics || ""}(${compact(code.slice(open + 1, paramsEnd))})`,
+    returns: annotation ? compact(annotation[1]) : inferReturn(body),
+    body,
+  };
+}
+
+/**
+ * `const useX = (params): Ret => ...`, `const useX: Type = ...` or an alias
+ * such as `const useAppDispatch = useDispatch.withTypes<AppDispatch>()`
+ */
+function readAssignedFunction(code, start, typeAnnotation) {
+  const rest = code.slice(start);
+  const arrow = rest.match(/^(?:async\s*)?(<[^()]*>)?\s*\(/);
+  if (arrow) {
+    const open = start + arrow[0].length - 1;
+    const paramsEnd = findClosing(code, open);
+    if (paramsEnd === -1) return null;
+    const head = code.slice(paramsEnd + 1).match(/^\s*(?::\s*([\s\S]+?))?\s*=>\s*/);
+    if (!head) return null;
+    const bodyStart = paramsEnd + 1 + head[0].length;
+    let body;
+    let returns = head[1] ? compact(head[1]) : null;
+    if (code[bodyStart] === "{") {
+      const close = findClosing(code, bodyStart);
+      body = code.slice(bodyStart + 1, close === -1 ? code.length : close);
+      if (!returns) returns = inferReturn(body);
+    } else {
+      // Expression body runs to the end of the statement
+      const end = expressionEnd(code, bodyStart);
+      body = code.slice(bodyStart, end);
+      if (!returns) returns = describeReturned(body.trim());
+    }
+    return { params: `${arrow[1] || ""}(${compact(code.slice(open + 1, paramsEnd))})`, returns: returns || (typeAnnotation ? compact(typeAnnotation) : null), body };
+  }
+
+  const fn = rest.match(/^(?:async\s+)?function\b[^(]*/);
+  if (fn) return readFunction(code, start + fn[0].length, null);
+
+  // Alias of another hook
+  const alias = rest.match(/^([\w$.]*use[A-Z][\w$.]*)/);
+  if (alias) {
+    const end = expressionEnd(code, start);
+    return { params: "", returns: typeAnnotation ? compact(typeAnnotation) : null, body: code.slice(start, end) };
+  }
+  return null;
+}
+
+/**
+ * Describe the top-level `return` of a hook body, e.g. `{ data, isLoading }`
+ * or `[value, setValue]`
+ */
+function inferReturn(body) {
+  let depth = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = skipString(body, i) - 1;
+      continue;
+    }
+    if (ch === "{" || ch === "(" || ch === "[") depth++;
+    else if (ch === "}" || ch === ")" || ch === "]") depth--;
+    else if (depth === 0 && /^return\b/.test(body.slice(i, i + 7)) && !/[\w$]/.test(body[i - 1] || "")) {
+      const start = i + "return".length;
+      return describeReturned(body.slice(start, expressionEnd(body, start)).trim());
+    }
+  }
+  return null;
+}
+
+function describeReturned(expr) {
+  const value = expr.replace(/\s+as\s+const\s*$/, "").trim();
+  const bracket = value.match(/^\(?\s*([{[])/);
+  if (bracket) {
+    const open = value.indexOf(bracket[1]);
+    const close = findClosing(value, open);
+    if (close === -1) return null;
+    const parts = splitTopLevel(value.slice(open + 1, close)).map((part) => {
+      const key = part.match(/^(?:\.\.\.)?([\w$]+)/);
+      return part.startsWith("...") ? `...${key ? key[1] : ""}` : key ? key[1] : part;
+    });
+    return bracket[1] === "{" ? `{ ${parts.join(", ")} }` : `[${parts.join(", ")}]`;
+  }
+  const call = value.match(/^(?:await\s+)?([\w$.]+)\s*(?:<[^()]*>)?\s*\(/);
+  if (call) return `ReturnType<typeof ${call[1]}>`;
+  return null;
+}
+
+/**
+ * Hooks called inside the body plus data APIs (Supabase, fetch, axios)
+ */
+function wrappedCalls(body, self) {
+  const wraps = [];
+  const add = (name) => {
+    if (name !== self && !wraps.includes(name)) wraps.push(name);
+  };
+  for (const match of body.matchAll(HOOK_CALL)) add(match[1]);
+  // Typed aliases, e.g. `useDispatch.withTypes<AppDispatch>()`
+  const alias = body.trim().match(/^([\w$]*use[A-Z][\w$]*)\s*\.\s*withTypes\b/);
+  if (alias) add(alias[1]);
+  if (/^use[A-Z][\w$]*$/.test(body.trim())) add(body.trim());
+  for (const [pattern, describe] of API_CALLS) {
+    for (const match of body.matchAll(pattern)) add(describe(match));
+  }
+  return wraps;
+}
+
+/**
+ * First paragraph of the JSDoc block directly above `index`
+ */
+function jsDocSummary(raw, index) {
+  const before = raw.slice(0, index);
+  const doc = before.match(/\/\*\*([\s\S]*?)\*\/\s*$/);
+  if (!doc) return null;
+  const lines = doc[1]
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*\s?/, "").trim());
+  const summary = [];
+  for (const line of lines) {
+    if (line.startsWith("@")) break;
+    if (line === "" && summary.length > 0) break;
+    if (line) summary.push(line);
+  }
+  return summary.length > 0 ? summary.join(" ") : null;
+}
+
+/**
+ * Record the files that import and call each hook
+ */
+function linkCallers(sourceIndex, hooks) {
+  if (hooks.length === 0) return;
+  const resolveBinding = createBindingResolver(sourceIndex);
+  const byDefinition = new Map(hooks.map((h) => [`${h.file}#${h.name}`, h]));
+  // `export default function useX()` is registered as "default"
+  for (const hook of hooks.filter((h) => h.defaultExport)) byDefinition.set(`${hook.file}#default`, hook);
+  const isDefinition = (file, name) => byDefinition.has(`${file}#${name}`);
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\buse[A-Z0-9]/.test(raw)) continue;
+    const code = stripComments(raw);
+    const bindings = parseBindings(code);
+    const called = new Set([...code.matchAll(HOOK_CALL)].map((m) => m[1]));
+
+    for (const name of called) {
+      const found = bindings.has(name) ? resolveBinding(file, name, isDefinition) : null;
+      const hook = found ? byDefinition.get(`${found.file}#${found.name}`) : byDefinition.get(`${file}#${name}`);
+      if (hook && hook.file !== file && !hook.callers.includes(file)) hook.callers.push(file);
+    }
+  }
+
+  for (const hook of hooks) hook.callers.sort();
+}
+
+/**
+ * Index of the body "{" after a parameter list, skipping a return type
+ * annotation that may itself contain object types (`): { a: string } {`)
+ */
+function functionBodyStart(code, start) {
+  let depth = 0;
+  let previous = "";
+  for (let i = start; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === "{" && depth === 0 && previous !== "" && !/[:|&<,(]/.test(previous)) return i;
+    if (ch === "{" && depth === 0 && previous === "") return i;
+    if (ch === "{" || ch === "(" || ch === "[" || ch === "<") depth++;
+    else if (ch === "}" || ch === ")" || ch === "]" || (ch === ">" && code[i - 1] !== "=")) depth--;
+    if (!/\s/.test(ch)) previous = ch;
+  }
+  return -1;
+}
+
+/**
+ * End of the expression starting at `start`: the first `;` or newline
+ * outside brackets that isn't followed by a continuation
+ */
+function expressionEnd(code, start) {
+  let depth = 0;
+  let i = start;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = skipString(code, i);
+      continue;
+    }
+    if (ch === "(" || ch === "[" || ch === "{") depth++;
+    else if (ch === ")" || ch === "]" || ch === "}") {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0 && ch === ";") return i;
+    else if (depth === 0 && ch === "\n" && !/^\s*[.?:&|+\-*/]/.test(code.slice(i + 1)) && !/[=(,?:&|+\-*/]\s*$/.test(code.slice(start, i))) return i;
+    i++;
+  }
+  return code.length;
+}
+
+function compact(text) {
+  return text.replace(/\s+/g, " ").replace(/\(\s+/g, "(").replace(/\s+\)/g, ")").trim();
+}
@@ -0,0 +1,407 @@
+import fs from "fs";
+import path from "path";
+import { stripComments } from "../lib/js-source.js";
+import { SOURCE_EXTENSIONS, createDomainMatcher } from "../lib/source-files.js";
+
+const STATIC_IMPORT = /\b(import|export)\s+(?:type\s+)?([\w*${}\s,]*?)\s*\bfrom\s*(['"])([^'"\n]+)\3/g;
+const SIDE_EFFECT_IMPORT = /\bimport\s*(['"])([^'"\n]+)\1/g;
+const DYNAMIC_IMPORT = /\b(?:import|require)\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g;
+
+/**
+ * Parse import, re-export, dynamic import and require statements
+ *
+ * @param {string} src - Source code
+ * @returns {{imports: Array<{specifier: string, names: string[]|null}>, reExports: Array<{specifier: string, names: Object<string, string>|null}>, isBarrel: boolean}}
+ *   `names` is null when every export of the target may be used
+ */
+export function parseImports(src) {
+  const code = stripComments(src);
+  const imports = [];
+  const reExports = [];
+  let remaining = code;
+
+  for (const match of code.matchAll(STATIC_IMPORT)) {
+    const [statement, keyword, clause, , specifier] = match;
+    remaining = remaining.replace(statement, "");
+
+    if (keyword === "import") {
+      imports.push({ specifier, names: parseImportClause(clause) });
+    } else {
+      const names = parseExportClause(clause);
+      reExports.push({ specifier, names });
+      imports.push({ specifier, names: names ? Object.values(names) : null });
+    }
+  }
+
+  for (const match of code.matchAll(SIDE_EFFECT_IMPORT)) {
+    imports.push({ specifier: match[2], names: [] });
+    remaining = remaining.replace(match[0], "");
+  }
+
+  for (const match of code.matchAll(DYNAMIC_IMPORT)) {
+    imports.push({ specifier: match[2], names: null });
+  }
+
+  // A barrel only re-exports; anything else left over means real code
+  const leftover = remaining
+    .replace(/(['"])use (client|server|strict)\1;?/g, "")
+    .replace(/export\s*\{\s*\};?/g, "");
+  const isBarrel = reExports.length > 0 && /^[\s;]*$/.test(leftover);
+
+  return { imports, reExports, isBarrel };
+}
+
+function parseImportClause(clause) {
+  if (/\*\s+as\s+/.test(clause)) return null;
+
+  const names = [];
+  const braced = clause.match(/\{([^}]*)\}/);
+  const beforeBrace = clause.replace(/\{[^}]*\}/, "").replace(/,/g, "").trim();
+  if (beforeBrace && beforeBrace !== "type") names.push("default");
+
+  if (braced) {
+    for (const part of braced[1].split(",")) {
+      const name = part.trim().replace(/^type\s+/, "").split(/\s+as\s+/)[0].trim();
+      if (name) names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Map exported names to the names imported from the source module
+ */
+function parseExportClause(clause) {
+  const braced = clause.match(/\{([^}]*)\}/);
+  if (!braced) return null; // export * / export * as ns
+
+  const names = {};
+  for (const part of braced[1].split(",")) {
+    const [imported, exported] = part.trim().replace(/^type\s+/, "").split(/\s+as\s+/);
+    if (imported) names[(exported || imported).trim()] = imported.trim();
+  }
+  return names;
+}
+
+/**
+ * Read `compilerOptions.paths` and `baseUrl` from tsconfig.json or
+ * jsconfig.json, following relative `extends` chains
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @returns {{baseUrl: string|null, paths: Array<{pattern: string, targets: string[]}>}}
+ *   Directories are relative to the project root
+ */
+export function loadPathAliases(projectRoot) {
+  for (const name of ["tsconfig.json", "jsconfig.json"]) {
+    const configPath = path.join(projectRoot, name);
+    if (fs.existsSync(configPath)) {
+      const options = readCompilerOptions(configPath, new Set());
+      const toRelative = (dir) => path.relative(projectRoot, dir).split(path.sep).join("/");
+
+      const baseUrl = options.baseUrl ? toRelative(options.baseUrl) : null;
+      const pathsBase = options.baseUrl || options.pathsDir;
+      const paths = Object.entries(options.paths || {}).map(([pattern, targets]) => ({
+        pattern,
+        targets: targets.map((t) => toRelative(path.join(pathsBase, t))),
+      }));
+
+      return { baseUrl, paths };
+    }
+  }
+
+  return { baseUrl: null, paths: [] };
+}
+
+function readCompilerOptions(configPath, seen) {
+  if (seen.has(configPath) || !fs.existsSync(configPath)) return {};
+  seen.add(configPath);
+
+  let config;
+  try {
+    const raw = stripComments(fs.readFileSync(configPath, "utf-8"));
+    config = JSON.parse(raw.replace(/,(\s*[}\]])/g, "$1"));
+  } catch {
+    return {};
+  }
+
+  const configDir = path.dirname(configPath);
+  let inherited = {};
+  if (typeof config.extends === "string" && config.extends.startsWith(".")) {
+    let parentPath = path.resolve(configDir, config.extends);
+    if (!parentPath.endsWith(".json")) parentPath += ".json";
+    inherited = readCompilerOptions(parentPath, seen);
+  }
+
+  const own = config.compilerOptions || {};
+  const options = { ...inherited };
+  if (own.baseUrl) options.baseUrl = path.resolve(configDir, own.baseUrl);
+  if (own.paths) {
+    options.paths = own.paths;
+    options.pathsDir = configDir;
+  }
+  return options;
+}
+
+/**
+ * Create a resolver from import specifiers to project files
+ *
+ * @param {Set<string>} fileSet - Known source files, relative to the project root
+ * @param {{baseUrl: string|null, paths: Array<{pattern: string, targets: string[]}>}} aliases
+ * @returns {(specifier: string, fromFile: string) => string|null}
+ */
+export function createResolver(fileSet, aliases) {
+  const tryFile = (candidate) => {
+    const base = path.posix.normalize(candidate).replace(/^\.\//, "");
+    const stems = [base];
+    // TS ESM projects import "./foo.js" for "./foo.ts"
+    if (/\.(m|c)?jsx?$/.test(base)) stems.push(base.replace(/\.(m|c)?jsx?$/, ""));
+
+    for (const stem of stems) {
+      if (fileSet.has(stem)) return stem;
+      for (const ext of SOURCE_EXTENSIONS) {
+        if (fileSet.has(stem + ext)) return stem + ext;
+      }
+      for (const ext of SOURCE_EXTENSIONS) {
+        if (fileSet.has(`${stem}/index${ext}`)) return `${stem}/index${ext}`;
+      }
+    }
+    return null;
+  };
+
+  const aliasEntries = [...aliases.paths].sort(
+    (a, b) => b.pattern.replace("*", "").length - a.pattern.replace("*", "").length
+  );
+
+  return (specifier, fromFile) => {
+    if (specifier.startsWith(".")) {
+      return tryFile(path.posix.join(path.posix.dirname(fromFile), specifier));
+    }
+
+    for (const { pattern, targets } of aliasEntries) {
+      const star = pattern.indexOf("*");
+      let captured = null;
+      if (star === -1) {
+        if (specifier === pattern) captured = "";
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length) {
+          captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+        }
+      }
+      if (captured === null) continue;
+
+      for (const target of targets) {
+        const resolved = tryFile(target.replace("*", captured));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (aliases.baseUrl !== null) {
+      return tryFile(path.posix.join(aliases.baseUrl, specifier));
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Local names bound by imports and requires
+ *
+ * @param {string} code - Source code (comments stripped)
+ * @returns {Map<string, {specifier: string, imported: string}>}
+ */
+export function parseBindings(code) {
+  const bindings = new Map();
+
+  for (const match of code.matchAll(/\bimport\s+(?!type\b)([\w$]+)?\s*,?\s*(?:\{([^}]*)\})?\s*from\s*["']([^"']+)["']/g)) {
+    if (match[1]) bindings.set(match[1], { specifier: match[3], imported: "default" });
+    for (const part of (match[2] || "").split(",")) {
+      const [imported, local] = part.trim().replace(/^type\s+/, "").split(/\s+as\s+/);
+      if (imported) bindings.set((local || imported).trim(), { specifier: match[3], imported: imported.trim() });
+    }
+  }
+
+  for (const match of code.matchAll(/\b(?:const|let|var)\s+(?:([\w$]+)|\{([^}]*)\})\s*=\s*(?:await\s+import|require)\s*\(\s*["']([^"']+)["']\s*\)(\.default)?/g)) {
+    if (match[1]) bindings.set(match[1], { specifier: match[3], imported: "default" });
+    for (const part of (match[2] || "").split(",")) {
+      const [imported, local] = part.trim().split(/\s*:\s*/);
+      if (imported) bindings.set((local || imported).trim(), { specifier: match[3], imported: imported.trim() });
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Exported name to local name (`default` for default exports). Inline
+ * default exports map to the local name "default".
+ *
+ * @param {string} code - Source code (comments stripped)
+ * @returns {Map<string, string>}
+ */
+export function parseExports(code) {
+  const exports = new Map();
+
+  const defaultExport = code.match(/\bexport\s+default\s+(?:fp\s*\(\s*)?([\w$]+)\s*\)?\s*;?\s*(?:$|\n)/) ||
+    code.match(/\bmodule\.exports\s*=\s*([\w$]+)\s*;?\s*(?:$|\n)/);
+  if (defaultExport) exports.set("default", defaultExport[1]);
+  // Inline default exports are registered under the name "default"
+  if (!defaultExport && /\b(?:export\s+default|module\.exports\s*=)/.test(code)) exports.set("default", "default");
+
+  for (const match of code.matchAll(/\bexport\s+(?:const|let|var|(?:async\s+)?function)\s+([\w$]+)/g)) {
+    exports.set(match[1], match[1]);
+  }
+  // export const { add, remove: removeItem } = slice.actions
+  for (const match of code.matchAll(/\bexport\s+(?:const|let|var)\s*\{([^}]*)\}\s*=/g)) {
+    for (const part of match[1].split(",")) {
+      const [key, local] = part.trim().split(/\s*:\s*/);
+      const name = (local || key || "").replace(/\s*=[\s\S]*$/, "").trim();
+      if (/^[\w$]+$/.test(name)) exports.set(name, name);
+    }
+  }
+  for (const match of code.matchAll(/\bexport\s*\{([^}]*)\}(?!\s*from)/g)) {
+    for (const part of match[1].split(",")) {
+      const [local, exported] = part.trim().split(/\s+as\s+/);
+      if (local) exports.set((exported || local).trim(), local.trim());
+    }
+  }
+  for (const match of code.matchAll(/\b(?:module\.)?exports\.([\w$]+)\s*=\s*([\w$]+)/g)) {
+    exports.set(match[1], match[2]);
+  }
+
+  return exports;
+}
+
+/**
+ * Create a function that follows a local name through imports and
+ * re-exports to the module that defines it
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @returns {(file: string, name: string, isDefinition: (file: string, name: string) => boolean) => {file: string, name: string}|null}
+ */
+export function createBindingResolver(sourceIndex) {
+  const resolve = createResolver(new Set(sourceIndex.files), loadPathAliases(sourceIndex.root));
+  const modules = new Map();
+  const moduleInfo = (file) => {
+    if (!modules.has(file)) {
+      const code = stripComments(sourceIndex.read(file));
+      modules.set(file, {
+        bindings: parseBindings(code),
+        exports: parseExports(code),
+        reExports: parseImports(code).reExports,
+      });
+    }
+    return modules.get(file);
+  };
+
+  const findExport = (file, exported, isDefinition, seen) => {
+    const info = moduleInfo(file);
+    if (info.exports.has(exported)) return follow(file, info.exports.get(exported), isDefinition, seen);
+    for (const reExport of info.reExports) {
+      if (reExport.names !== null && !(exported in reExport.names)) continue;
+      const target = resolve(reExport.specifier, file);
+      if (!target) continue;
+      const found = findExport(target, reExport.names ? reExport.names[exported] : exported, isDefinition, seen);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const follow = (file, name, isDefinition, seen = new Set()) => {
+    const key = `${file}#${name}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+    if (isDefinition(file, name)) return { file, name };
+
+    const binding = moduleInfo(file).bindings.get(name);
+    const target = binding && resolve(binding.specifier, file);
+    return target ? findExport(target, binding.imported, isDefinition, seen) : null;
+  };
+
+  return follow;
+}
+
+/**
+ * Resolve imports across the source tree and derive a domain-to-domain
+ * dependency graph. Imports that land on a barrel file outside any domain
+ * are followed through its re-exports to the files that define the symbols.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {Object<string, string[]>} domainPaths - Domain name to relative paths
+ * @returns {{imports: Object<string, string[]>, fileDomains: Object<string, string>, edges: Array<{from: string, to: string, count: number}>}}
+ */
+export function analyzeImports(sourceIndex, domainPaths) {
+  const fileSet = new Set(sourceIndex.files);
+  const resolve = createResolver(fileSet, loadPathAliases(sourceIndex.root));
+  const domainOf = createDomainMatcher(domainPaths);
+
+  const parsed = new Map();
+  const parse = (file) => {
+    if (!parsed.has(file)) parsed.set(file, parseImports(sourceIndex.read(file)));
+    return parsed.get(file);
+  };
+
+  const expandBarrel = (file, names, visited) => {
+    if (visited.has(file)) return [];
+    visited.add(file);
+
+    const info = parse(file);
+    if (domainOf(file) || !info.isBarrel) return [file];
+
+    const results = [];
+    for (const reExport of info.reExports) {
+      const target = resolve(reExport.specifier, file);
+      if (!target) continue;
+
+      let forwarded = null;
+      if (names !== null) {
+        if (reExport.names === null) {
+          forwarded = names;
+        } else {
+          forwarded = names.filter((n) => n in reExport.names).map((n) => reExport.names[n]);
+          if (forwarded.length === 0) continue;
+        }
+      }
+      results.push(...expandBarrel(target, forwarded, visited));
+    }
+    return results;
+  };
+
+  const imports = {};
+  const fileDomains = {};
+  const edgeCounts = new Map();
+
+  for (const file of sourceIndex.files) {
+    const fromDomain = domainOf(file);
+    if (fromDomain) fileDomains[file] = fromDomain;
+
+    const targets = new Set();
+    for (const imp of parse(file).imports) {
+      const target = resolve(imp.specifier, file);
+      if (!target) continue;
+      targets.add(target);
+
+      if (!fromDomain) continue;
+      const toDomains = new Set(
+        expandBarrel(target, imp.names, new Set()).map(domainOf).filter(Boolean)
+      );
+      for (const toDomain of toDomains) {
+        if (toDomain === fromDomain) continue;
+        const key = `${fromDomain}\0${toDomain}`;
+        edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+      }
+    }
+    if (targets.size > 0) imports[file] = [...targets].sort();
+  }
+
+  const edges = [...edgeCounts.entries()]
+    .map(([key, count]) => {
+      const [from, to] = key.split("\0");
+      return { from, to, count };
+    })
+    .sort((a, b) => a.from.localeCompare(b.from) || b.count - a.count);
+
+  return { imports, fileDomains, edges };
+}
@@ -0,0 +1,253 @@
+import {
+  stripComments,
+  findClosing,
+  splitTopLevel,
+  parseObjectEntries,
+  readCallArguments,
+  stringLiteral,
+} from "../lib/js-source.js";
+
+const SCHEMA_DECLARATION = /\b(?:const|let|var)\s+([\w$]+)(?:\s*:\s*[^=]+)?\s*=\s*new\s+(?:mongoose\.)?Schema(?:<[^>(]*>)?\s*\(/g;
+const MODEL_CALL = /\b(?:mongoose\.)?model(?:<[^>(]*>)?\s*\(/g;
+
+/**
+ * Statically extract Mongoose schemas registered with `mongoose.model()`:
+ * fields, refs, indexes and virtuals.
+ *
+ * Models use the normalized shape documented in prisma.js, plus a
+ * `virtuals` list, so DATA_MODEL.md renders them like any other model.
+ *
+ * @param {{files: string[], read: Function}} sourceIndex
+ * @returns {{models: Object[], relations: Object[], files: string[]}}
+ */
+export function scanMongooseSchemas(sourceIndex) {
+  const sources = sourceIndex.files
+    .map((file) => ({ file, code: sourceIndex.read(file) }))
+    .filter(({ code }) => /\bnew\s+(?:mongoose\.)?Schema\b/.test(code))
+    .map(({ file, code }) => ({ file, code: stripComments(code) }));
+
+  // Schema variables are usually file-local, so key them by file
+  const schemas = new Map();
+  const registrations = [];
+
+  for (const { file, code } of sources) {
+    for (const match of code.matchAll(SCHEMA_DECLARATION)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      if (call) schemas.set(`${file}\0${match[1]}`, parseSchema(call.args, code, match[1]));
+    }
+
+    for (const match of code.matchAll(MODEL_CALL)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      const name = call && stringLiteral(call.args[0]);
+      if (!name || !call.args[1]) continue;
+
+      let schema = schemas.get(`${file}\0${call.args[1]}`);
+      const inline = call.args[1].match(/^new\s+(?:mongoose\.)?Schema(?:<[^>(]*>)?\s*\(/);
+      if (!schema && inline) {
+        const inlineCall = readCallArguments(call.args[1], inline[0].length - 1);
+        if (inlineCall) schema = parseSchema(inlineCall.args, code, null);
+      }
+      if (schema) registrations.push({ name, schema, collection: stringLiteral(call.args[2]) });
+    }
+  }
+
+  const models = [];
+  const relations = [];
+  const seen = new Set();
+
+  for (const { name, schema, collection } of registrations) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    models.push({
+      name,
+      source: "mongoose",
+      tableName: collection || schema.collection || defaultCollectionName(name),
+      fields: schema.fields,
+      primaryKey: schema.fields.some((f) => f.name === "_id") ? ["_id"] : [],
+      uniques: [],
+      indexes: schema.indexes,
+      virtuals: schema.virtuals,
+    });
+
+    for (const field of schema.fields) {
+      if (!field.ref) continue;
+      relations.push({
+        from: name,
+        fromFields: [field.name],
+        to: field.ref,
+        toFields: ["_id"],
+        cardinality: field.list ? "many-to-many" : field.unique ? "one-to-one" : "many-to-one",
+        optional: field.optional,
+        name: field.name,
+      });
+    }
+  }
+
+  return { models, relations, files: sources.map((s) => s.file) };
+}
+
+/**
+ * Parse `new Schema(definition, options)` plus the `.index()` and
+ * `.virtual()` calls made on the schema variable
+ */
+function parseSchema(args, code, variable) {
+  const definition = (args[0] || "").trim();
+  const options = objectOptions(args[1]);
+  const fields = [];
+
+  if (options._id !== "false") {
+    fields.push(field("_id", "ObjectId", { primaryKey: true, optional: false, default: "auto" }));
+  }
+  if (definition.startsWith("{")) {
+    collectFields(definition.slice(1, -1), "", false, fields);
+  }
+
+  const timestamps = options.timestamps;
+  if (timestamps && timestamps !== "false") {
+    const names = timestamps.startsWith("{") ? objectOptions(timestamps) : {};
+    for (const key of ["createdAt", "updatedAt"]) {
+      if (names[key] === "false") continue;
+      fields.push(field(stringLiteral(names[key]) || key, "Date", { optional: false, default: "auto" }));
+    }
+  }
+
+  const indexes = fields
+    .filter((f) => f.attributes.includes("index") && !f.unique)
+    .map((f) => ({ name: null, fields: [f.name], unique: false }));
+  const virtuals = [];
+
+  if (variable) {
+    const escaped = variable.replace(/\$/g, "\\$");
+    for (const match of code.matchAll(new RegExp(`\\b${escaped}\\s*\\.\\s*(index|virtual)\\s*\\(`, "g"))) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      if (!call) continue;
+
+      if (match[1] === "index") {
+        const keys = (call.args[0] || "").trim();
+        if (!keys.startsWith("{")) continue;
+        const indexOptions = objectOptions(call.args[1]);
+        indexes.push({
+          name: stringLiteral(indexOptions.name),
+          fields: parseObjectEntries(keys.slice(1, -1))
+            .filter((e) => e.key)
+            .map((e) => (/^-1$/.test(e.value) ? `${e.key} desc` : stringLiteral(e.value) ? `${e.key} (${stringLiteral(e.value)})` : e.key)),
+          unique: indexOptions.unique === "true",
+        });
+      } else {
+        const name = stringLiteral(call.args[0]);
+        if (!name) continue;
+        const virtualOptions = objectOptions(call.args[1]);
+        virtuals.push({
+          name,
+          ref: stringLiteral(virtualOptions.ref),
+          localField: stringLiteral(virtualOptions.localField),
+          foreignField: stringLiteral(virtualOptions.foreignField),
+          justOne: virtualOptions.justOne === "true",
+        });
+      }
+    }
+  }
+
+  return { fields, indexes, virtuals, collection: stringLiteral(options.collection) };
+}
+
+/**
+ * Walk a schema definition object. Nested plain objects are subdocuments
+ * and are flattened into dotted paths (`address.city`).
+ */
+function collectFields(body, prefix, inList, fields) {
+  for (const { key, value } of parseObjectEntries(body)) {
+    if (!key) continue;
+    const name = `${prefix}${key}`;
+    let definition = value.trim();
+    let list = inList;
+
+    const array = definition.match(/^\[([\s\S]*)\]$/);
+    if (array) {
+      list = true;
+      definition = splitTopLevel(array[1])[0] || "Mixed";
+    }
+
+    if (!definition.startsWith("{")) {
+      fields.push(field(name, typeName(definition), { list }));
+      continue;
+    }
+
+    const options = objectOptions(definition);
+    if (!("type" in options) || options.type.startsWith("{")) {
+      // Subdocument: record the container, then its members
+      fields.push(field(name, "Object", { list, optional: true }));
+      collectFields(definition.slice(1, findClosing(definition, 0)), `${name}.`, list, fields);
+      continue;
+    }
+
+    let type = options.type.trim();
+    const typeArray = type.match(/^\[([\s\S]*)\]$/);
+    if (typeArray) {
+      list = true;
+      type = splitTopLevel(typeArray[1])[0] || "Mixed";
+    }
+
+    const required = options.required;
+    const enumValues = options.enum && options.enum.match(/["'`]([^"'`]+)["'`]/g);
+    fields.push(field(name, enumValues ? `enum(${enumValues.map((v) => v.slice(1, -1)).join(" | ")})` : typeName(type), {
+      list,
+      optional: !required || required === "false",
+      default: options.default ?? null,
+      unique: options.unique === "true",
+      ref: stringLiteral(options.ref) || (options.ref || "").match(/^([\w$]+)\.modelName$/)?.[1] || null,
+      attributes: Object.keys(options).filter((k) => k !== "type" && options[k] !== "false"),
+    }));
+  }
+}
+
+function field(name, type, overrides = {}) {
+  return {
+    name,
+    type,
+    list: false,
+    optional: true,
+    default: null,
+    primaryKey: false,
+    unique: false,
+    foreignKey: !!overrides.ref,
+    attributes: [],
+    ref: null,
+    ...overrides,
+  };
+}
+
+/**
+ * `Schema.Types.ObjectId` -> `ObjectId`, `String` -> `String`
+ */
+function typeName(definition) {
+  const literal = stringLiteral(definition);
+  if (literal) return literal;
+  const match = definition.match(/([\w$]+)\s*$/);
+  return match ? match[1] : "Mixed";
+}
+
+/**
+ * Turn an object literal into a key -> source text map
+ */
+function objectOptions(text) {
+  const source = (text || "").trim();
+  if (!source.startsWith("{")) return {};
+  const close = findClosing(source, 0);
+  return Object.fromEntries(
+    parseObjectEntries(source.slice(1, close === -1 ? undefined : close))
+      .filter((e) => e.key)
+      .map((e) => [e.key, e.value])
+  );
+}
+
+/**
+ * Mongoose's default collection name: lowercased and pluralized
+ */
+function defaultCollectionName(modelName) {
+  const lower = modelName.toLowerCase();
+  if (/[^aeiou]y$/.test(lower)) return `${lower.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(lower)) return `${lower}es`;
+  return `${lower}s`;
+}
@@ -0,0 +1,361 @@
+import fs from "fs";
+import path from "path";
+import { stripComments, skipString, findClosing, splitTopLevel, parseObjectEntries, stringLiteral } from "../lib/js-source.js";
+import { createBindingResolver, parseBindings, parseExports } from "./imports.js";
+
+const NAVIGATOR_FACTORY = /\b(?:const|let)\s+([\w$]+)\s*(?::[^=]+?)?=\s*create(NativeStack|Stack|BottomTab|Drawer|MaterialTopTab|MaterialBottomTab)Navigator\s*(?:<\s*([\w$]+)\s*>)?\s*\(/g;
+const NAVIGATOR_TYPES = {
+  NativeStack: "native stack",
+  Stack: "stack",
+  BottomTab: "bottom tabs",
+  Drawer: "drawer",
+  MaterialTopTab: "top tabs",
+  MaterialBottomTab: "material bottom tabs",
+};
+const EXPO_NAVIGATORS = ["Stack", "Tabs", "Drawer", "Slot", "NativeTabs"];
+// Files Expo Router treats specially rather than as screens
+const EXPO_SPECIAL = new Set(["+html", "+native-intent", "+middleware"]);
+const PLATFORM_SUFFIX = /\.(ios|android|native|web)$/;
+
+/**
+ * Reconstruct the app's navigation hierarchy: Expo Router file routes and
+ * their `_layout` navigators, React Navigation navigators with their
+ * screens and nesting, `*ParamList` types and the deep link config.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {{expoRouter?: boolean}} [options] - Read `app/` as Expo Router routes
+ * @returns {{expoRouter: {root: string, scheme: string|null, layouts: Object[], routes: Object[]}|null, navigators: Object[], paramLists: Object[], linking: {file: string, prefixes: string[], screens: Object[]}|null}}
+ *   `layouts`: { directory, file, navigator, parent, screens: [{name, title}] }
+ *   `routes`: { path, name, type, file, layout, params }
+ *   `navigators`: { id, name, type, file, paramList, host, screens: [{name, component, file, navigator, params}], root }
+ */
+export function scanNavigation(sourceIndex, options = {}) {
+  const paramLists = scanParamLists(sourceIndex);
+  const navigators = scanNavigators(sourceIndex, paramLists);
+  for (const list of paramLists) {
+    list.navigators = navigators.filter((n) => n.paramList === list.name).map((n) => n.name);
+  }
+
+  return {
+    expoRouter: options.expoRouter ? scanExpoRouter(sourceIndex) : null,
+    navigators,
+    paramLists,
+    linking: scanLinking(sourceIndex),
+  };
+}
+
+/**
+ * Expo Router: every file under `app/` is a route, `_layout` files decide
+ * which navigator renders the routes beside and below them
+ */
+function scanExpoRouter(sourceIndex) {
+  const { files } = sourceIndex;
+  const root = ["app", "src/app"].find((dir) => files.some((f) => f.startsWith(`${dir}/`) && /\/_layout\.[jt]sx?$/.test(f)));
+  if (!root) return null;
+
+  const layouts = [];
+  const routes = [];
+  const seen = new Set();
+  for (const file of files) {
+    if (!file.startsWith(`${root}/`) || !/\.[jt]sx?$/.test(file)) continue;
+    const relative = file.slice(root.length + 1).replace(/\.[jt]sx?$/, "").replace(PLATFORM_SUFFIX, "");
+    const parts = relative.split("/");
+    const base = parts[parts.length - 1];
+    const directory = parts.slice(0, -1).join("/");
+    if (EXPO_SPECIAL.has(base) || /\.(test|spec)$/.test(base) || parts.includes("__tests__")) continue;
+    // index.tsx and index.web.tsx are one route
+    if (seen.has(relative)) continue;
+    seen.add(relative);
+
+    if (base === "_layout") {
+      const code = stripComments(sourceIndex.read(file));
+      const tag = code.match(new RegExp(`<(${EXPO_NAVIGATORS.join("|")})\\b`));
+      layouts.push({
+        directory,
+        file,
+        navigator: tag ? tag[1] : /\bwithLayoutContext\s*\(/.test(code) ? "custom" : "Slot",
+        parent: null,
+        screens: tag ? readExpoScreens(code, tag[1]) : [],
+      });
+      continue;
+    }
+
+    const api = base.endsWith("+api");
+    const segments = [...parts.slice(0, -1), api ? base.slice(0, -4) : base]
+      .filter((s) => !/^\(.*\)$/.test(s) && s !== "index");
+    routes.push({
+      path: `/${segments.join("/")}`,
+      name: relative,
+      type: api ? "API route" : base === "+not-found" ? "not found" : "screen",
+      file,
+      layout: null,
+      params: parts.flatMap((p) => [...p.matchAll(/\[(\.\.\.)?([^\]]+)\]/g)].map((m) => `${m[1] || ""}${m[2]}`)),
+    });
+  }
+
+  // Each route and layout belongs to the closest layout above it
+  const owner = (dir) => {
+    for (let d = dir; ; d = d.includes("/") ? d.slice(0, d.lastIndexOf("/")) : "") {
+      if (layouts.some((l) => l.directory === d)) return d;
+      if (d === "") return null;
+    }
+  };
+  for (const layout of layouts) {
+    if (layout.directory !== "") {
+      const parentDir = layout.directory.includes("/") ? layout.directory.slice(0, layout.directory.lastIndexOf("/")) : "";
+      layout.parent = owner(parentDir);
+    }
+  }
+  for (const route of routes) {
+    const dir = route.name.includes("/") ? route.name.slice(0, route.name.lastIndexOf("/")) : "";
+    route.layout = owner(dir);
+    // Route names are relative to the navigator that renders them
+    if (route.layout) route.name = route.name.slice(route.layout.length + 1);
+  }
+
+  return {
+    root,
+    scheme: readExpoScheme(sourceIndex.root),
+    layouts: layouts.sort((a, b) => a.directory.localeCompare(b.directory)),
+    routes: routes.sort((a, b) => a.path.localeCompare(b.path) || a.file.localeCompare(b.file)),
+  };
+}
+
+/**
+ * `<Stack.Screen name="modal" options={{ title: "…" }} />` entries of a layout
+ */
+function readExpoScreens(code, navigator) {
+  const screens = [];
+  for (const match of code.matchAll(new RegExp(`<${navigator}\\s*\\.\\s*Screen\\b`, "g"))) {
+    const attributes = readTagAttributes(code, match.index + match[0].length);
+    if (!attributes.name) continue;
+    screens.push({ name: attributes.name, title: attributes.title, hidden: attributes.hidden });
+  }
+  return screens;
+}
+
+function readExpoScheme(projectRoot) {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, "app.json"), "utf-8"));
+    const scheme = (config.expo || config).scheme;
+    return Array.isArray(scheme) ? scheme[0] || null : scheme || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * React Navigation: `createXNavigator()` calls, the `<X.Screen>` elements
+ * rendered inside `<X.Navigator>` (or the static `screens` config) and
+ * which screens are themselves navigators
+ */
+function scanNavigators(sourceIndex, paramLists) {
+  const navigators = new Map(); // "file#variable" -> navigator
+  const candidates = [];
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/Navigator\b/.test(raw)) continue;
+    const code = stripComments(raw);
+    candidates.push({ file, code });
+
+    for (const match of code.matchAll(NAVIGATOR_FACTORY)) {
+      const [, name, kind, paramList] = match;
+      const navigator = {
+        id: `${file}#${name}`,
+        name,
+        type: NAVIGATOR_TYPES[kind],
+        file,
+        paramList: paramList || null,
+        host: null,
+        screens: [],
+        root: true,
+      };
+      // Static API: createNativeStackNavigator({ screens: { Home: HomeScreen } })
+      const open = match.index + match[0].length - 1;
+      const config = code.slice(open + 1, findClosing(code, open)).trim();
+      if (config.startsWith("{")) {
+        const screens = parseObjectEntries(config.slice(1, findClosing(config, 0))).find((e) => e.key === "screens");
+        if (screens && screens.value.startsWith("{")) {
+          for (const entry of parseObjectEntries(screens.value.slice(1, findClosing(screens.value, 0)))) {
+            if (!entry.key) continue;
+            const screen = entry.value.startsWith("{")
+              ? parseObjectEntries(entry.value.slice(1, findClosing(entry.value, 0))).find((e) => e.key === "screen")
+              : entry;
+            navigator.screens.push({ name: entry.key, component: screen && /^[\w$]+$/.test(screen.value) ? screen.value : null });
+          }
+        }
+      }
+      navigators.set(navigator.id, navigator);
+    }
+  }
+  if (navigators.size === 0) return [];
+
+  const resolveBinding = createBindingResolver(sourceIndex);
+  const hosts = new Map(); // "file#component" -> navigator ids it renders
+  const declares = (file, name) => name === "default" ||
+    new RegExp(`\\b(?:function|class|const|let|var)\\s+${name.replace(/\$/g, "\\$")}\\b`).test(sourceIndex.read(file));
+
+  for (const { file, code } of candidates) {
+    const bindings = parseBindings(code);
+    for (const match of code.matchAll(/<([\w$]+)\s*\.\s*Navigator\b/g)) {
+      const local = `${file}#${match[1]}`;
+      const found = navigators.has(local) ? { file, name: match[1] }
+        : bindings.has(match[1]) ? resolveBinding(file, match[1], (f, n) => navigators.has(`${f}#${n}`)) : null;
+      if (!found) continue;
+      const navigator = navigators.get(`${found.file}#${found.name}`);
+
+      const close = code.indexOf(`</${match[1]}.Navigator>`, match.index);
+      const body = code.slice(match.index, close === -1 ? code.length : close);
+      for (const screen of body.matchAll(new RegExp(`<${match[1]}\\s*\\.\\s*Screen\\b`, "g"))) {
+        const attributes = readTagAttributes(body, screen.index + screen[0].length);
+        if (attributes.name) navigator.screens.push({ name: attributes.name, component: attributes.component });
+      }
+
+      const host = enclosingComponent(code, match.index);
+      if (!host) continue;
+      navigator.host = { name: host, file };
+      for (const key of [`${file}#${host}`, ...(isDefaultExport(code, host) ? [`${file}#default`] : [])]) {
+        if (!hosts.has(key)) hosts.set(key, []);
+        hosts.get(key).push(navigator.id);
+      }
+    }
+  }
+
+  // A screen whose component renders a navigator (or is one, in the static
+  // API) nests that navigator
+  for (const navigator of navigators.values()) {
+    const sourceFile = navigator.host ? navigator.host.file : navigator.file;
+    const params = paramLists.find((p) => p.name === navigator.paramList);
+    for (const screen of navigator.screens) {
+      screen.file = null;
+      screen.navigator = null;
+      screen.params = params ? (params.params.find((p) => p.screen === screen.name) || {}).type || null : null;
+      if (!screen.component) continue;
+
+      const found = resolveBinding(sourceFile, screen.component, (f, n) => hosts.has(`${f}#${n}`) || navigators.has(`${f}#${n}`) || declares(f, n));
+      if (!found) continue;
+      screen.file = found.file;
+      const nested = navigators.has(`${found.file}#${found.name}`) ? [`${found.file}#${found.name}`] : hosts.get(`${found.file}#${found.name}`) || [];
+      screen.navigator = nested.find((id) => id !== navigator.id) || null;
+      if (screen.navigator) navigators.get(screen.navigator).root = false;
+    }
+  }
+
+  return [...navigators.values()].sort((a, b) => b.root - a.root || a.file.localeCompare(b.file) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Name of the component declared before `index`: the function that renders
+ * the navigator
+ */
+function enclosingComponent(code, index) {
+  const declarations = [...code.slice(0, index).matchAll(/\b(?:function\s+([A-Z][\w$]*)|(?:const|let)\s+([A-Z][\w$]*)\s*(?::[^=]+?)?=\s*(?:\([^)]*\)|[\w$]+)\s*=>)/g)];
+  const last = declarations[declarations.length - 1];
+  return last ? last[1] || last[2] : null;
+}
+
+function isDefaultExport(code, name) {
+  return parseExports(code).get("default") === name ||
+    new RegExp(`\\bexport\\s+default\\s+function\\s+${name}\\b`).test(code);
+}
+
+/**
+ * Attributes of the JSX tag whose attributes start at `start`: `name`,
+ * `component`, and the `title` / `href: null` from a literal `options`
+ */
+function readTagAttributes(code, start) {
+  let end = start;
+  while (end < code.length && code[end] !== ">") {
+    if (code[end] === "{") end = findClosing(code, end);
+    else if (code[end] === '"' || code[end] === "'") end = skipString(code, end) - 1;
+    if (end === -1) return {};
+    end++;
+  }
+  const text = code.slice(start, end);
+
+  const name = text.match(/\bname\s*=\s*(?:(["'])([^"']+)\1|\{\s*(?:(["'`])([^"'`]+)\3|([\w$.]+))\s*\})/);
+  const component = text.match(/\bcomponent\s*=\s*\{\s*([\w$]+)\s*\}/);
+  const title = text.match(/\b(?:title|tabBarLabel|drawerLabel)\s*:\s*(["'`])([^"'`]+)\1/);
+  return {
+    name: name ? name[2] || name[4] || name[5] : null,
+    component: component ? component[1] : null,
+    title: title ? title[2] : null,
+    hidden: /\bhref\s*:\s*null\b/.test(text),
+  };
+}
+
+/**
+ * `type RootStackParamList = { Home: undefined; Profile: { id: string } }`
+ * and the equivalent interfaces
+ */
+function scanParamLists(sourceIndex) {
+  const lists = [];
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!raw.includes("ParamList")) continue;
+    const code = stripComments(raw);
+    for (const match of code.matchAll(/\b(?:type\s+([\w$]*ParamList)\s*(?:<[^=]*>)?\s*=\s*\{|interface\s+([\w$]*ParamList)\s*(?:extends\s+[^{]+)?\{)/g)) {
+      const open = match.index + match[0].length - 1;
+      const body = code.slice(open + 1, findClosing(code, open));
+      const params = splitTopLevel(body.replace(/\n/g, ";"), ";")
+        .flatMap((part) => (part.includes("<") ? [part] : splitTopLevel(part, ",")))
+        .map((member) => member.match(/^(?:readonly\s+)?(?:(["'])(.+?)\1|([\w$]+))\??\s*:\s*([\s\S]+)$/))
+        .filter(Boolean)
+        .map((m) => ({ screen: m[2] || m[3], type: m[4].replace(/\s+/g, " ").trim() }));
+      lists.push({ name: match[1] || match[2], file, params, navigators: [] });
+    }
+  }
+  return lists.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The `linking` object passed to `NavigationContainer`: URL prefixes and
+ * the screen to path map, flattened with full paths
+ */
+function scanLinking(sourceIndex) {
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!raw.includes("prefixes")) continue;
+    const code = stripComments(raw);
+    const match = code.match(/\b(?:const|let)\s+[\w$]*[Ll]inking[\w$]*\s*(?::[^=]+?)?=\s*\{/) || code.match(/\blinking\s*=\s*\{\s*\{/);
+    if (!match) continue;
+
+    const open = match.index + match[0].length - 1;
+    const entries = parseObjectEntries(code.slice(open + 1, findClosing(code, open)));
+    const prefixes = entries.find((e) => e.key === "prefixes");
+    const config = entries.find((e) => e.key === "config");
+    const screens = [];
+    if (config && config.value.startsWith("{")) {
+      const configScreens = parseObjectEntries(config.value.slice(1, findClosing(config.value, 0))).find((e) => e.key === "screens");
+      if (configScreens) readLinkingScreens(configScreens.value, [], "", screens);
+    }
+
+    return {
+      file,
+      prefixes: prefixes && prefixes.value.startsWith("[")
+        ? splitTopLevel(prefixes.value.slice(1, -1)).map((p) => stringLiteral(p) || p)
+        : [],
+      screens,
+    };
+  }
+  return null;
+}
+
+function readLinkingScreens(value, parents, basePath, out) {
+  if (!value.startsWith("{")) return;
+  for (const entry of parseObjectEntries(value.slice(1, findClosing(value, 0)))) {
+    if (!entry.key) continue;
+    let own = stringLiteral(entry.value);
+    let nested = null;
+    if (own === null && entry.value.startsWith("{")) {
+      const options = parseObjectEntries(entry.value.slice(1, findClosing(entry.value, 0)));
+      const pathEntry = options.find((o) => o.key === "path");
+      own = pathEntry ? stringLiteral(pathEntry.value) : null;
+      nested = options.find((o) => o.key === "screens");
+    }
+    const fullPath = [basePath, own].filter(Boolean).join("/");
+    if (own !== null) out.push({ screen: entry.key, path: `/${fullPath}`, parents });
+    if (nested) readLinkingScreens(nested.value, [...parents, entry.key], fullPath, out);
+  }
+}
@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import { findClosing, stripComments } from "../lib/js-source.js";
+
+/**
+ * Locate and read the Prisma schema. Supports the classic single
+ * `prisma/schema.prisma` file and the multi-file `prisma/schema/` folder.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @returns {string|null} Combined schema source, or null if none exists
+ */
+export function readPrismaSchema(projectRoot) {
+  const schemaFile = path.join(projectRoot, "prisma", "schema.prisma");
+  if (fs.existsSync(schemaFile)) {
+    return fs.readFileSync(schemaFile, "utf-8");
+  }
+
+  const schemaDir = path.join(projectRoot, "prisma", "schema");
+  if (fs.existsSync(schemaDir) && fs.statSync(schemaDir).isDirectory()) {
+    const files = fs.readdirSync(schemaDir).filter((f) => f.endsWith(".prisma")).sort();
+    if (files.length > 0) {
+      return files.map((f) => fs.readFileSync(path.join(schemaDir, f), "utf-8")).join("\n");
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Prisma schema into models, enums and relations.
+ *
+ * Models use the same shape every data-model scanner produces, so DATA_MODEL.md
+ * can render them regardless of where they came from:
+ *   { name, source, tableName, fields: [{ name, type, list, optional, default, primaryKey, unique, foreignKey, attributes }],
+ *     primaryKey: string[], uniques: string[][], indexes: [{ name, fields, unique }] }
+ * Relations: { from, fromFields, to, toFields, cardinality, optional, name }
+ *
+ * @param {string} content - Prisma schema source
+ * @returns {{models: Object[], enums: Array<{name: string, values: string[]}>, relations: Object[]}}
+ */
+export function parsePrismaSchema(content) {
+  const src = stripComments(content);
+  const blocks = [];
+  const blockPattern = /^\s*(model|view|enum|type)\s+(\w+)\s*\{/gm;
+
+  for (const match of src.matchAll(blockPattern)) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosing(src, open);
+    if (close === -1) continue;
+    blocks.push({ kind: match[1], name: match[2], body: src.slice(open + 1, close) });
+  }
+
+  const enums = blocks
+    .filter((b) => b.kind === "enum")
+    .map((b) => ({
+      name: b.name,
+      values: b.body
+        .split("\n")
+        .map((line) => line.trim().split(/\s+/)[0])
+        .filter((v) => v && !v.startsWith("@")),
+    }));
+
+  // Composite `type` blocks are embedded documents, not relation targets
+  const modelNames = new Set(
+    blocks.filter((b) => b.kind === "model" || b.kind === "view").map((b) => b.name)
+  );
+  const models = blocks
+    .filter((b) => b.kind !== "enum")
+    .map((b) => parseModelBlock(b, modelNames));
+
+  return { models, enums, relations: collectRelations(models) };
+}
+
+function parseModelBlock(block, modelNames) {
+  const model = {
+    name: block.name,
+    source: "prisma",
+    tableName: block.name,
+    fields: [],
+    primaryKey: [],
+    uniques: [],
+    indexes: [],
+  };
+
+  for (const rawLine of block.body.split("\n")) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith("@@")) {
+      for (const attr of parseAttributes(line)) {
+        const fields = parseFieldList(attr.args);
+        if (attr.name === "@id") model.primaryKey = fields;
+        else if (attr.name === "@unique") model.uniques.push(fields);
+        else if (attr.name === "@index") model.indexes.push({ name: unquote(namedArg(attr.args, "map")), fields, unique: false });
+        else if (attr.name === "@map") model.tableName = unquote(attr.args);
+      }
+      continue;
+    }
+
+    const match = line.match(/^(\w+)\s+(Unsupported\("[^"]*"\)|[\w.]+)(\[\])?(\?)?\s*(.*)$/);
+    if (!match) continue;
+
+    const [, name, type, list, optional, rest] = match;
+    const attributes = parseAttributes(rest);
+    const attr = (n) => attributes.find((a) => a.name === n);
+    const relation = attr("relation");
+
+    const field = {
+      name,
+      type,
+      list: !!list,
+      optional: !!optional,
+      default: attr("default") ? attr("default").args : null,
+      primaryKey: !!attr("id"),
+      unique: !!attr("unique"),
+      foreignKey: false,
+      attributes: attributes.map((a) => `@${a.name}${a.args !== null ? `(${a.args})` : ""}`),
+    };
+
+    if (modelNames.has(type)) {
+      field.relation = {
+        model: type,
+        name: relation ? unquote(relation.args.split(",")[0]) || namedArg(relation.args, "name") : null,
+        fields: relation ? parseFieldList(namedArg(relation.args, "fields")) : [],
+        references: relation ? parseFieldList(namedArg(relation.args, "references")) : [],
+      };
+    }
+
+    if (field.primaryKey) model.primaryKey = [name];
+    model.fields.push(field);
+  }
+
+  for (const field of model.fields) {
+    if (field.relation) {
+      for (const fk of field.relation.fields) {
+        const target = model.fields.find((f) => f.name === fk);
+        if (target) target.foreignKey = true;
+      }
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Parse `@name` / `@name(args)` attributes, keeping nested parentheses intact
+ */
+function parseAttributes(text) {
+  const attributes = [];
+  const pattern = /@(@?[\w.]+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    let args = null;
+    const after = match.index + match[0].length;
+    if (text[after] === "(") {
+      const close = findClosing(text, after);
+      if (close !== -1) {
+        args = text.slice(after + 1, close).trim();
+        pattern.lastIndex = close + 1;
+      }
+    }
+    attributes.push({ name: match[1], args });
+  }
+
+  return attributes;
+}
+
+function namedArg(args, key) {
+  if (!args) return null;
+  const match = args.match(new RegExp(`\\b${key}\\s*:\\s*(\\[[^\\]]*\\]|"[^"]*"|[\\w.]+)`));
+  return match ? match[1] : null;
+}
+
+function parseFieldList(value) {
+  if (!value) return [];
+  const list = value.match(/\[([^\]]*)\]/);
+  return (list ? list[1] : "")
+    .split(",")
+    .map((f) => f.trim().replace(/\(.*$/, ""))
+    .filter(Boolean);
+}
+
+function unquote(value) {
+  const match = value && value.trim().match(/^"([^"]*)"$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Derive relation edges from the owning side of each `@relation`, plus
+ * implicit many-to-many relations (list fields on both sides, no foreign key)
+ */
+function collectRelations(models) {
+  const relations = [];
+  const byName = new Map(models.map((m) => [m.name, m]));
+  const seenImplicit = new Set();
+
+  for (const model of models) {
+    for (const field of model.fields) {
+      if (!field.relation) continue;
+      const target = byName.get(field.relation.model);
+
+      if (field.relation.fields.length > 0) {
+        const fk = field.relation.fields;
+        const isUnique =
+          (fk.length === 1 && model.fields.some((f) => f.name === fk[0] && (f.unique || f.primaryKey))) ||
+          model.uniques.some((u) => u.length === fk.length && u.every((f) => fk.includes(f)));
+        relations.push({
+          from: model.name,
+          fromFields: fk,
+          to: field.relation.model,
+          toFields: field.relation.references,
+          cardinality: isUnique ? "one-to-one" : "many-to-one",
+          optional: field.optional,
+          name: field.name,
+        });
+        continue;
+      }
+
+      if (!field.list || !target) continue;
+      const backRef = target.fields.find(
+        (f) => f.relation && f.relation.model === model.name && f.relation.name === field.relation.name
+      );
+      if (backRef && backRef.list) {
+        const key = [model.name, target.name].sort().join("\0") + `\0${field.relation.name || ""}`;
+        if (seenImplicit.has(key)) continue;
+        seenImplicit.add(key);
+        relations.push({
+          from: model.name,
+          fromFields: [],
+          to: target.name,
+          toFields: [],
+          cardinality: "many-to-many",
+          optional: true,
+          name: field.name,
+        });
+      }
+    }
+  }
+
+  return relations;
+}
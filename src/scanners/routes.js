@@ -0,0 +1,156 @@
+import { stripComments, findClosing, splitTopLevel, parseObjectEntries, stringLiteral } from "../lib/js-source.js";
+
+const APP_ROUTE_FILES = ["page", "route"];
+const APP_BOUNDARY_FILES = ["layout", "template", "loading", "error", "not-found", "default"];
+const PAGES_SPECIAL = new Set(["_app", "_document", "_error", "_middleware"]);
+
+/**
+ * Build the Next.js route tree from the App Router and Pages Router
+ * directories plus the middleware matcher.
+ *
+ * App Router route groups, parallel slots (`@slot`) and intercepting
+ * segments (`(.)`, `(..)`, `(...)`) are resolved to the URL they serve.
+ *
+ * @param {{files: string[], read: Function}} sourceIndex
+ * @returns {{app: Object[], segments: Object[], pages: Object[], middleware: {file: string, matchers: string[]}|null}}
+ *   `app`/`pages` entries: { path, type, file, slot?, intercepts? }
+ *   `segments`: App Router directories with layouts or boundaries
+ */
+export function scanNextRoutes(sourceIndex) {
+  const { files } = sourceIndex;
+  const appRoot = ["app", "src/app"].find((root) => files.some((f) => isAppFile(f, root)));
+  const pagesRoot = ["pages", "src/pages"].find((root) => files.some((f) => f.startsWith(`${root}/`)));
+
+  const app = [];
+  const segments = [];
+  if (appRoot) {
+    const directories = new Map();
+    for (const file of files) {
+      if (!isAppFile(file, appRoot)) continue;
+      const relative = file.slice(appRoot.length + 1);
+      const dir = relative.includes("/") ? relative.slice(0, relative.lastIndexOf("/")) : "";
+      if (dir.split("/").some((s) => s.startsWith("_"))) continue; // private folders
+      if (!directories.has(dir)) directories.set(dir, {});
+      directories.get(dir)[fileKind(file)] = file;
+    }
+
+    for (const [dir, special] of directories) {
+      const url = resolveAppPath(dir);
+      for (const kind of APP_ROUTE_FILES) {
+        if (!special[kind]) continue;
+        app.push({
+          path: url.path,
+          type: kind === "page" ? "page" : "route handler",
+          file: special[kind],
+          slot: url.slot,
+          intercepts: url.intercepts,
+        });
+      }
+
+      const boundaries = Object.fromEntries(
+        APP_BOUNDARY_FILES.filter((kind) => special[kind]).map((kind) => [kind, special[kind]])
+      );
+      if (Object.keys(boundaries).length > 0) {
+        segments.push({ path: url.path, directory: dir ? `${appRoot}/${dir}` : appRoot, ...boundaries });
+      }
+    }
+  }
+
+  const pages = [];
+  if (pagesRoot) {
+    for (const file of files) {
+      if (!file.startsWith(`${pagesRoot}/`)) continue;
+      const relative = file.slice(pagesRoot.length + 1).replace(/\.[cm]?[jt]sx?$/, "");
+      const parts = relative.split("/");
+      if (PAGES_SPECIAL.has(parts[0]) || parts.some((p) => p.startsWith("_"))) continue;
+      if (parts[parts.length - 1] === "index") parts.pop();
+      pages.push({
+        path: `/${parts.join("/")}`,
+        type: parts[0] === "api" ? "API route" : "page",
+        file,
+      });
+    }
+  }
+
+  const byPath = (a, b) => a.path.localeCompare(b.path) || a.file.localeCompare(b.file);
+  return {
+    app: app.sort(byPath),
+    segments: segments.sort((a, b) => a.directory.localeCompare(b.directory)),
+    pages: pages.sort(byPath),
+    middleware: scanMiddleware(sourceIndex, appRoot || pagesRoot),
+  };
+}
+
+function isAppFile(file, root) {
+  if (!file.startsWith(`${root}/`)) return false;
+  const kind = fileKind(file);
+  return APP_ROUTE_FILES.includes(kind) || APP_BOUNDARY_FILES.includes(kind);
+}
+
+function fileKind(file) {
+  return file.slice(file.lastIndexOf("/") + 1).replace(/\.[cm]?[jt]sx?$/, "");
+}
+
+/**
+ * Turn an app/ directory into the URL it serves
+ */
+function resolveAppPath(dir) {
+  const parts = [];
+  let slot = null;
+  let intercepts = false;
+
+  for (const segment of dir ? dir.split("/") : []) {
+    if (/^\(.*\)$/.test(segment) && !segment.startsWith("(.")) continue; // route group
+    if (segment.startsWith("@")) {
+      slot = segment;
+      continue;
+    }
+
+    const intercept = segment.match(/^(\(\.\)|(?:\(\.\.\))+|\(\.\.\.\))(.*)$/);
+    if (intercept) {
+      intercepts = true;
+      if (intercept[1] === "(...)") parts.length = 0;
+      else if (intercept[1] !== "(.)") parts.splice(parts.length - intercept[1].length / 4);
+      parts.push(intercept[2]);
+      continue;
+    }
+
+    parts.push(segment);
+  }
+
+  return { path: `/${parts.join("/")}`, slot, intercepts };
+}
+
+/**
+ * Read `export const config = { matcher }` from middleware.ts (or proxy.ts,
+ * its Next.js 16 name) next to the app or pages directory
+ */
+function scanMiddleware(sourceIndex, routerRoot) {
+  const base = routerRoot && routerRoot.startsWith("src/") ? "src/" : "";
+  const file = sourceIndex.files.find((f) =>
+    new RegExp(`^${base}(middleware|proxy)\\.[cm]?[jt]s$`).test(f)
+  );
+  if (!file) return null;
+
+  const code = stripComments(sourceIndex.read(file));
+  const matchers = [];
+  const config = code.match(/\bexport\s+const\s+config\s*(?::[^=]+)?=\s*\{/);
+  if (config) {
+    const open = config.index + config[0].length - 1;
+    const matcher = parseObjectEntries(code.slice(open + 1, findClosing(code, open)))
+      .find((e) => e.key === "matcher");
+    if (matcher) {
+      const value = matcher.value.trim();
+      const items = value.startsWith("[") ? splitTopLevel(value.slice(1, -1)) : [value];
+      for (const item of items) {
+        const source = item.startsWith("{")
+          ? (parseObjectEntries(item.slice(1, -1)).find((e) => e.key === "source") || {}).value
+          : item;
+        const literal = stringLiteral(source);
+        if (literal) matchers.push(literal);
+      }
+    }
+  }
+
+  return { file, matchers };
+}
@@ -0,0 +1,389 @@
+import { stripComments, findClosing, readCallArguments, stringLiteral } from "../lib/js-source.js";
+import { collectZodSchemas, describeZodSchema } from "../lib/zod.js";
+import { createBindingResolver } from "./imports.js";
+import { validationSchemas } from "./api-handlers.js";
+
+const ROUTE_METHODS = ["get", "post", "put", "patch", "delete", "options", "head", "all"];
+const SERVER_IMPORT = /(?:from\s*|require\s*\(\s*)["'](express|fastify|hono)(?:\/[\w/-]+)?["']/;
+const INSTANCE = /\b(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(new\s+)?(express\s*\.\s*Router|express|Router|[Ff]astify|Hono|OpenAPIHono)\s*(?:<[^>(]*>)?\s*\(/g;
+const FRAMEWORKS = {
+  express: "Express",
+  "express.Router": "Express",
+  Router: "Express",
+  fastify: "Fastify",
+  Fastify: "Fastify",
+  Hono: "Hono",
+  OpenAPIHono: "Hono",
+};
+
+/**
+ * Extract routes from Express, Fastify and Hono servers. Routers mounted
+ * with `use()`, `register()` or `route()` (also across files) are resolved
+ * so every endpoint gets its full path and the middleware that runs before it.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @returns {Array<{method: string, path: string, file: string, framework: string, runtime: null, middleware: string[], request: string[], response: string[]}>}
+ */
+export function scanServerRoutes(sourceIndex) {
+  const resolveBinding = createBindingResolver(sourceIndex);
+  const parsed = new Map();
+  const parseFile = (file) => {
+    if (!parsed.has(file)) {
+      parsed.set(file, null); // guard against import cycles
+      parsed.set(file, parseServerFile(file, stripComments(sourceIndex.read(file))));
+    }
+    return parsed.get(file);
+  };
+
+  for (const file of sourceIndex.files) {
+    if (SERVER_IMPORT.test(sourceIndex.read(file))) parseFile(file);
+  }
+
+  // Turn a mount target (local name or import) into an instance
+  const lookup = (file, name) => {
+    const found = resolveBinding(file, name, (f, n) => {
+      const info = parseFile(f);
+      return !!info && info.instances.has(n);
+    });
+    return found ? parseFile(found.file).instances.get(found.name) : null;
+  };
+
+  const instances = [...parsed.values()].filter(Boolean).flatMap((info) => [...info.instances.values()]);
+  const mounted = new Set();
+  for (const instance of instances) {
+    for (const mount of instance.mounts) {
+      mount.instance = lookup(instance.file, mount.target);
+      if (mount.instance) {
+        mounted.add(mount.instance);
+      } else if (mount.unresolved) {
+        // Not a router after all: `app.use(cors())`-style middleware or a Fastify plugin
+        instance.middleware.push({ path: mount.prefix || null, name: mount.unresolved, at: mount.at });
+      }
+    }
+    instance.middleware.sort((a, b) => a.at - b.at);
+  }
+
+  const endpoints = [];
+  const walk = (instance, prefix, middleware, stack) => {
+    if (stack.has(instance)) return;
+    stack.add(instance);
+    const base = joinPaths(prefix, instance.basePath);
+    const inherited = [...middleware, ...instance.middleware.filter((m) => !m.path).map((m) => m.name)];
+    const scoped = (routePath) =>
+      instance.middleware
+        .filter((m) => m.path && pathCovers(m.path, routePath))
+        .map((m) => m.name);
+
+    for (const route of instance.routes) {
+      const fullPath = joinPaths(base, route.path);
+      endpoints.push({
+        method: route.method,
+        path: fullPath,
+        file: instance.file,
+        framework: instance.framework,
+        runtime: null,
+        middleware: [...inherited, ...scoped(route.path), ...route.middleware],
+        request: route.request,
+        response: route.response,
+      });
+    }
+
+    for (const mount of instance.mounts) {
+      if (!mount.instance) continue;
+      walk(mount.instance, joinPaths(base, mount.prefix), [...inherited, ...scoped(mount.prefix)], stack);
+    }
+    stack.delete(instance);
+  };
+
+  for (const instance of instances) {
+    if (!mounted.has(instance)) walk(instance, "", [], new Set());
+  }
+
+  return endpoints.sort((a, b) => a.framework.localeCompare(b.framework) || a.path.localeCompare(b.path));
+}
+
+/**
+ * Collect instances, plugins, routes and mounts of one file
+ */
+function parseServerFile(file, code) {
+  const instances = new Map();
+  const schemas = collectZodSchemas(code);
+
+  const addInstance = (name, framework, scope) => {
+    instances.set(name, { file, name, framework, basePath: "", routes: [], mounts: [], middleware: [], scope });
+  };
+
+  for (const match of code.matchAll(INSTANCE)) {
+    const framework = FRAMEWORKS[match[3].replace(/\s+/g, "")];
+    // Express routers are called without `new`; `new Router()` is koa-router or similar
+    if (framework === "Express" && match[2] && match[3] !== "Router") continue;
+    addInstance(match[1], framework);
+    const call = readCallArguments(code, match.index + match[0].length - 1);
+    const basePath = call && code.slice(call.end + 1).match(/^\s*\.\s*basePath\s*\(\s*["'`]([^"'`]+)["'`]\s*\)/);
+    if (basePath) instances.get(match[1]).basePath = basePath[1];
+  }
+
+  // Fastify plugins: functions whose first parameter is the instance
+  for (const plugin of findFastifyPlugins(code)) {
+    addInstance(plugin.name, "Fastify", { param: plugin.param, start: plugin.start, end: plugin.end });
+  }
+
+  const callPattern = /\b([\w$]+)\s*\.\s*([\w$]+)\s*\(/g;
+  const all = [...instances.values()];
+  for (const match of code.matchAll(callPattern)) {
+    // A plugin parameter shadows a top-level instance of the same name
+    const instance =
+      all.find((i) => i.scope && i.scope.param === match[1] && match.index >= i.scope.start && match.index < i.scope.end) ||
+      all.find((i) => !i.scope && i.name === match[1]);
+    if (!instance) continue;
+
+    const method = match[2];
+    const open = match.index + match[0].length - 1;
+    const call = readCallArguments(code, open);
+    if (!call) continue;
+
+    if (ROUTE_METHODS.includes(method) && call.args.length >= 2) {
+      readRouteChain(code, instance, method, call, null, schemas);
+    } else if (method === "route" && call.args.length === 1 && stringLiteral(call.args[0]) !== null) {
+      // Express: router.route("/path").get(...).post(...)
+      readRouteChain(code, instance, null, call, stringLiteral(call.args[0]), schemas);
+    } else if (method === "route" && call.args[0] && call.args[0].trim().startsWith("{")) {
+      addFastifyRouteObject(instance, call.args[0], schemas);
+    } else if (method === "route" && call.args.length === 2) {
+      // Hono: app.route("/users", users)
+      instance.mounts.push({ prefix: stringLiteral(call.args[0]) || "", target: call.args[1].trim(), at: match.index });
+    } else if (method === "on" && instance.framework === "Hono" && call.args.length >= 3) {
+      addHonoOnRoutes(instance, call.args, schemas);
+    } else if (method === "use") {
+      addUse(instance, call.args, match.index);
+    } else if (method === "register") {
+      const options = call.args[1] || "";
+      const prefix = options.match(/\bprefix\s*:\s*["'`]([^"'`]+)["'`]/);
+      const target = call.args[0].trim().replace(/^import\s*\(\s*["'`][^"'`]+["'`]\s*\)$/, "");
+      if (!/^[\w$]+$/.test(target)) continue;
+      instance.mounts.push({ prefix: prefix ? prefix[1] : "", target, unresolved: `${target} (plugin)`, at: match.index });
+    } else if (method === "addHook") {
+      const hook = stringLiteral(call.args[0]);
+      if (hook && /^(onRequest|preParsing|preValidation|preHandler)$/.test(hook)) {
+        instance.middleware.push({ path: null, name: `${handlerName(call.args[1])} (${hook})`, at: match.index });
+      }
+    }
+  }
+
+  return { file, instances };
+}
+
+/**
+ * Read `inst.get("/x", mw, handler).post(...)` style chains. With a
+ * `basePath` (Express `route()`), the chained calls take no path argument.
+ */
+function readRouteChain(code, instance, firstMethod, firstCall, basePath, schemas) {
+  let method = firstMethod;
+  let call = firstCall;
+
+  while (call) {
+    if (method) {
+      const args = basePath === null ? call.args : [JSON.stringify(basePath), ...call.args];
+      const routePath = stringLiteral(args[0]);
+      if (routePath !== null && args.length >= 2) {
+        const handler = args[args.length - 1];
+        let middlewareArgs = args.slice(1, -1);
+        let options = null;
+        if (instance.framework === "Fastify" && middlewareArgs.length === 1 && middlewareArgs[0].trim().startsWith("{")) {
+          options = middlewareArgs[0];
+          middlewareArgs = [];
+        }
+        addRoute(instance, method, routePath, middlewareArgs, options, handler, schemas);
+      }
+    }
+
+    const rest = code.slice(call.end + 1);
+    const next = rest.match(/^\s*\.\s*([\w$]+)\s*\(/);
+    if (!next || !ROUTE_METHODS.includes(next[1])) break;
+    method = next[1];
+    call = readCallArguments(code, call.end + 1 + next[0].length - 1);
+    if (call === null) break;
+  }
+}
+
+function addRoute(instance, method, routePath, middlewareArgs, options, handler, schemas) {
+  const middleware = middlewareArgs.flatMap(middlewareNames);
+  const validation = validationSchemas(handler, schemas);
+
+  // Hono: zValidator("json", Schema) validates the request before the handler
+  for (const arg of middlewareArgs) {
+    const validator = arg.match(/^(?:zValidator|validator)\s*\(\s*["'`](\w+)["'`]\s*,\s*([\s\S]+)\)$/);
+    if (validator) {
+      const target = validator[2].trim();
+      const shape = describeZodSchema(target, schemas);
+      const description = /^[\w$]+$/.test(target) ? `${target} ${shape}` : shape;
+      validation.request.push(`${validator[1]}: ${description}`);
+    }
+  }
+
+  if (options) {
+    const fields = objectFields(options);
+    for (const hook of ["onRequest", "preValidation", "preHandler"]) {
+      if (fields[hook]) middleware.push(...middlewareNames(fields[hook]));
+    }
+  }
+
+  instance.routes.push({
+    method: method === "all" ? "ALL" : method.toUpperCase(),
+    path: routePath,
+    middleware,
+    ...validation,
+  });
+}
+
+/**
+ * Hono: app.on("PURGE", "/cache", handler) and app.on(["GET", "POST"],
+ * ["/a", "/b"], mw, handler), one route per method and path
+ */
+function addHonoOnRoutes(instance, args, schemas) {
+  const literals = (source) =>
+    source.trim().startsWith("[")
+      ? [...source.matchAll(/["'`]([^"'`]+)["'`]/g)].map((m) => m[1])
+      : [stringLiteral(source)].filter((value) => value !== null);
+
+  for (const method of literals(args[0])) {
+    for (const routePath of literals(args[1])) {
+      addRoute(instance, method.toLowerCase(), routePath, args.slice(2, -1), null, args[args.length - 1], schemas);
+    }
+  }
+}
+
+/**
+ * Fastify: fastify.route({ method, url, preHandler, handler })
+ */
+function addFastifyRouteObject(instance, source, schemas) {
+  const fields = objectFields(source);
+  const url = stringLiteral(fields.url || fields.path);
+  if (url === null || !fields.method) return;
+
+  const methods = fields.method.trim().startsWith("[")
+    ? [...fields.method.matchAll(/["'`](\w+)["'`]/g)].map((m) => m[1])
+    : [stringLiteral(fields.method)].filter(Boolean);
+  const hooks = ["onRequest", "preValidation", "preHandler"]
+    .filter((hook) => fields[hook])
+    .flatMap((hook) => middlewareNames(fields[hook]));
+
+  for (const method of methods) {
+    instance.routes.push({
+      method: method.toUpperCase(),
+      path: url,
+      middleware: hooks,
+      ...validationSchemas(fields.handler || "", schemas),
+    });
+  }
+}
+
+/**
+ * Express/Hono `use()`: a path prefix, middleware and mounted routers.
+ * Anything that isn't a known router is treated as middleware.
+ */
+function addUse(instance, args, at) {
+  if (args.length === 0) return;
+  let prefix = stringLiteral(args[0]);
+  const rest = prefix === null ? args : args.slice(1);
+  if (prefix !== null && instance.framework === "Hono") prefix = prefix.replace(/\/?\*$/, "") || null;
+
+  const last = rest[rest.length - 1].trim();
+  const mountsRouter = instance.framework === "Express" && /^[\w$]+$/.test(last);
+  const middleware = (mountsRouter ? rest.slice(0, -1) : rest).flatMap(middlewareNames);
+  instance.middleware.push(...middleware.map((name) => ({ path: prefix, name, at })));
+  if (mountsRouter) {
+    // The last identifier may be a router; that's decided once all files are parsed
+    instance.mounts.push({ prefix: prefix || "", target: last, unresolved: last, at });
+  }
+}
+
+/**
+ * Names of middleware passed as arguments: `auth`, `rateLimit({...})`, `[a, b]`
+ */
+function middlewareNames(arg) {
+  const text = (arg || "").trim();
+  if (text.startsWith("[")) {
+    return text.slice(1, -1).split(",").map((a) => a.trim()).filter(Boolean).flatMap(middlewareNames);
+  }
+  return [handlerName(text)];
+}
+
+function handlerName(text) {
+  const trimmed = (text || "").trim();
+  if (/^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(trimmed)) return "(inline)";
+  const name = trimmed.match(/^[\w$.]+/);
+  return name ? name[0] : "(inline)";
+}
+
+function objectFields(source) {
+  const text = source.trim();
+  const fields = {};
+  const close = findClosing(text, 0);
+  const body = text.slice(1, close === -1 ? undefined : close);
+  for (const match of body.matchAll(/(?:^|,)\s*([\w$]+)\s*:/g)) {
+    const start = match.index + match[0].length;
+    let depth = 0;
+    let i = start;
+    for (; i < body.length; i++) {
+      const ch = body[i];
+      if ("([{".includes(ch)) depth++;
+      else if (")]}".includes(ch)) depth--;
+      else if (ch === "," && depth === 0) break;
+    }
+    if (!(match[1] in fields)) fields[match[1]] = body.slice(start, i).trim();
+  }
+  // Shorthand `handler` / `preHandler`
+  for (const match of body.matchAll(/(?:^|,)\s*(handler|preHandler|onRequest)\s*(?=,|$)/g)) {
+    if (!(match[1] in fields)) fields[match[1]] = match[1];
+  }
+  return fields;
+}
+
+/**
+ * Fastify plugins: `async function routes(fastify, opts) {}`,
+ * `export default async (app) => {}` and `fp(async (app) => {})`
+ */
+function findFastifyPlugins(code) {
+  const plugins = [];
+  const patterns = [
+    /\b(?:async\s+)?function\s*([\w$]*)\s*\(\s*([\w$]+)\s*(?::\s*FastifyInstance\b[^,)]*)?(?:,[^)]*)?\)\s*(?::[^{]+)?\{/g,
+    /\b(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:fp\s*\(\s*)?(?:async\s*)?\(\s*([\w$]+)\s*(?::\s*FastifyInstance\b[^,)]*)?(?:,[^)]*)?\)\s*(?::[^=]+)?=>\s*\{/g,
+    /\bexport\s+default\s+()(?:fp\s*\(\s*)?(?:async\s*)?\(\s*([\w$]+)\s*(?::\s*FastifyInstance\b[^,)]*)?(?:,[^)]*)?\)\s*(?::[^=]+)?=>\s*\{/g,
+    /\bmodule\.exports\s*=\s*()(?:fp\s*\(\s*)?(?:async\s*)?\(\s*([\w$]+)\s*(?:,[^)]*)?\)\s*=>\s*\{/g,
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of code.matchAll(pattern)) {
+      const param = match[2];
+      const open = match.index + match[0].length - 1;
+      const end = findClosing(code, open);
+      if (end === -1) continue;
+      const body = code.slice(open, end);
+      // Only functions that register routes or plugins on their parameter
+      const usesParam = new RegExp(`\\b${param.replace(/\$/g, "\\$")}\\s*\\.\\s*(?:${ROUTE_METHODS.join("|")}|route|register|addHook)\\s*\\(`);
+      if (!usesParam.test(body)) continue;
+      const isDefault = /^\s*(?:export\s+default|module\.exports\s*=)/.test(match[0]) ||
+        /(?:export\s+default|module\.exports\s*=)\s*(?:fp\s*\(\s*)?$/.test(code.slice(Math.max(0, match.index - 40), match.index));
+      const name = isDefault ? "default" : match[1];
+      if (!name) continue;
+      plugins.push({ name, param, start: open, end });
+    }
+  }
+
+  return plugins;
+}
+
+/**
+ * Join URL path segments without doubling or dropping slashes
+ */
+function joinPaths(prefix, suffix) {
+  const joined = `${prefix || ""}/${suffix || ""}`.replace(/\/{2,}/g, "/");
+  return joined.length > 1 ? joined.replace(/\/$/, "") : "/";
+}
+
+function pathCovers(prefix, routePath) {
+  const base = joinPaths(prefix, "");
+  const target = joinPaths(routePath, "");
+  return base === "/" || target === base || target.startsWith(`${base}/`);
+}
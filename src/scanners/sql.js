@@ -0,0 +1,609 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Replay SQL migrations in order and return the resulting schema: tables,
+ * enums, row level security policies, functions and triggers.
+ *
+ * This is not a full SQL parser. It understands the DDL that Supabase
+ * migrations are made of and skips any statement it doesn't recognize.
+ */
+
+/**
+ * Read and replay every `.sql` file in a migrations directory. Files are
+ * applied in filename order, which for Supabase is timestamp order.
+ *
+ * @param {string} migrationsPath - Absolute path to supabase/migrations
+ * @returns {ReturnType<typeof replayMigrations>}
+ */
+export function scanSqlMigrations(migrationsPath) {
+  const files = fs
+    .readdirSync(migrationsPath)
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+
+  return replayMigrations(
+    files.map((f) => fs.readFileSync(path.join(migrationsPath, f), "utf-8"))
+  );
+}
+
+/**
+ * Apply migration sources in order
+ *
+ * @param {string[]} sources - SQL file contents, oldest first
+ * @returns {{models: Object[], enums: Object[], relations: Object[], security: {tables: Object[], functions: Object[], triggers: Object[]}}}
+ */
+export function replayMigrations(sources) {
+  const schema = {
+    tables: new Map(),
+    enums: new Map(),
+    functions: new Map(),
+    triggers: new Map(),
+    // Tables the migrations secure but don't create, e.g. Supabase's storage.objects
+    external: new Map(),
+  };
+
+  for (const source of sources) {
+    for (const statement of splitStatements(source)) {
+      applyStatement(schema, statement);
+    }
+  }
+
+  return toResult(schema);
+}
+
+/**
+ * Split SQL into statements, respecting strings, quoted identifiers,
+ * comments and dollar-quoted function bodies
+ *
+ * @param {string} sql
+ * @returns {string[]}
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = "";
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = sql.indexOf("*/", i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      current += " ";
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === ch && sql[j + 1] === ch) j += 2;
+        else if (sql[j] === ch) break;
+        else j++;
+      }
+      current += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    if (ch === "$") {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        const stop = end === -1 ? sql.length : end + tag[0].length;
+        current += sql.slice(i, stop);
+        i = stop;
+        continue;
+      }
+    }
+    if (ch === ";") {
+      if (current.trim()) statements.push(current.trim());
+      current = "";
+      i++;
+      continue;
+    }
+    current += ch;
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+const IDENTIFIER = String.raw`(?:"[^"]+"|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|[\w$]+))?`;
+
+/**
+ * Normalize a possibly schema-qualified identifier to "schema.name"
+ */
+function qualify(identifier) {
+  const parts = splitQualified(identifier);
+  return parts.length === 1 ? `public.${parts[0]}` : `${parts[0]}.${parts[1]}`;
+}
+
+function splitQualified(identifier) {
+  return (identifier.match(/"[^"]+"|[^.\s]+/g) || []).map(unquoteIdent);
+}
+
+function unquoteIdent(name) {
+  return name.startsWith('"') ? name.slice(1, -1) : name.toLowerCase();
+}
+
+function displayName(key) {
+  return key.startsWith("public.") ? key.slice("public.".length) : key;
+}
+
+function applyStatement(schema, statement) {
+  const sql = statement.replace(/\s+/g, " ").trim();
+  let m;
+
+  if ((m = sql.match(new RegExp(`^CREATE (?:(?:GLOBAL |LOCAL )?(?:TEMP|TEMPORARY|UNLOGGED) )?TABLE (?:IF NOT EXISTS )?(${IDENTIFIER}) ?\\(`, "i")))) {
+    const key = qualify(m[1]);
+    if (schema.tables.has(key) && /IF NOT EXISTS/i.test(sql.slice(0, m[0].length))) return;
+    const body = extractParenthesized(sql, m[0].length - 1);
+    const table = newTable(key);
+    for (const item of splitTopLevel(body)) {
+      applyTableElement(table, item);
+    }
+    schema.tables.set(key, table);
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^ALTER TABLE (?:IF EXISTS )?(?:ONLY )?(${IDENTIFIER}) (.*)$`, "i")))) {
+    const key = qualify(m[1]);
+    const table = schema.tables.get(key);
+    if (!table) {
+      const rls = m[2].match(/^(ENABLE|FORCE|DISABLE) ROW LEVEL SECURITY$/i);
+      if (rls) externalTable(schema, key).rlsEnabled = rls[1].toUpperCase() !== "DISABLE";
+      return;
+    }
+    for (const action of splitTopLevel(m[2])) {
+      applyAlterAction(schema, table, action.trim());
+    }
+    return;
+  }
+
+  if ((m = sql.match(/^DROP TABLE (?:IF EXISTS )?(.*?)(?: CASCADE| RESTRICT)?$/i))) {
+    for (const name of m[1].split(",")) {
+      const key = qualify(name.trim());
+      schema.tables.delete(key);
+      for (const [id, trigger] of schema.triggers) {
+        if (trigger.table === key) schema.triggers.delete(id);
+      }
+    }
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^CREATE (UNIQUE )?INDEX (?:CONCURRENTLY )?(?:IF NOT EXISTS )?(?:(${IDENTIFIER}) )?ON (?:ONLY )?(${IDENTIFIER})(?: USING (\\w+))? ?\\(`, "i")))) {
+    const table = schema.tables.get(qualify(m[3]));
+    if (!table) return;
+    const columns = splitTopLevel(extractParenthesized(sql, m[0].length - 1)).map((c) => c.trim());
+    const name = m[2] ? splitQualified(m[2]).pop() : null;
+    table.indexes = table.indexes.filter((i) => !name || i.name !== name);
+    table.indexes.push({ name, fields: columns.map(cleanColumnRef), unique: !!m[1], method: m[4] || null });
+    return;
+  }
+
+  if ((m = sql.match(/^DROP INDEX (?:CONCURRENTLY )?(?:IF EXISTS )?(.*?)(?: CASCADE| RESTRICT)?$/i))) {
+    const names = m[1].split(",").map((n) => splitQualified(n.trim()).pop());
+    for (const table of schema.tables.values()) {
+      table.indexes = table.indexes.filter((i) => !names.includes(i.name));
+    }
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^CREATE TYPE (${IDENTIFIER}) AS ENUM ?\\(`, "i")))) {
+    const body = extractParenthesized(sql, m[0].length - 1);
+    schema.enums.set(qualify(m[1]), parseStringList(body));
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^ALTER TYPE (${IDENTIFIER}) ADD VALUE (?:IF NOT EXISTS )?'((?:[^']|'')*)'(?: (BEFORE|AFTER) '((?:[^']|'')*)')?`, "i")))) {
+    const values = schema.enums.get(qualify(m[1]));
+    if (!values || values.includes(m[2])) return;
+    const anchor = m[4] ? values.indexOf(m[4]) : -1;
+    if (anchor === -1) values.push(m[2]);
+    else values.splice(m[3].toUpperCase() === "BEFORE" ? anchor : anchor + 1, 0, m[2]);
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^ALTER TYPE (${IDENTIFIER}) RENAME VALUE '((?:[^']|'')*)' TO '((?:[^']|'')*)'`, "i")))) {
+    const values = schema.enums.get(qualify(m[1]));
+    if (values && values.includes(m[2])) values[values.indexOf(m[2])] = m[3];
+    return;
+  }
+
+  if ((m = sql.match(/^DROP TYPE (?:IF EXISTS )?(.*?)(?: CASCADE| RESTRICT)?$/i))) {
+    for (const name of m[1].split(",")) schema.enums.delete(qualify(name.trim()));
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^CREATE POLICY ("[^"]+"|\\w+) ON (${IDENTIFIER})(.*)$`, "i")))) {
+    const key = qualify(m[2]);
+    const table = schema.tables.get(key) || externalTable(schema, key);
+    const name = unquotePolicyName(m[1]);
+    table.policies = table.policies.filter((p) => p.name !== name);
+    table.policies.push({ name, ...parsePolicyClauses(m[3]) });
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^ALTER POLICY ("[^"]+"|\\w+) ON (${IDENTIFIER}) (.*)$`, "i")))) {
+    const table = policyTable(schema, qualify(m[2]));
+    const policy = table && table.policies.find((p) => p.name === unquotePolicyName(m[1]));
+    if (!policy) return;
+    const rename = m[3].match(/^RENAME TO ("[^"]+"|\w+)/i);
+    if (rename) {
+      policy.name = unquotePolicyName(rename[1]);
+    } else {
+      const clauses = parsePolicyClauses(m[3]);
+      if (clauses.roles.length > 0) policy.roles = clauses.roles;
+      if (clauses.using !== null) policy.using = clauses.using;
+      if (clauses.withCheck !== null) policy.withCheck = clauses.withCheck;
+    }
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^DROP POLICY (?:IF EXISTS )?("[^"]+"|\\w+) ON (${IDENTIFIER})`, "i")))) {
+    const table = policyTable(schema, qualify(m[2]));
+    if (table) table.policies = table.policies.filter((p) => p.name !== unquotePolicyName(m[1]));
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^CREATE (?:OR REPLACE )?FUNCTION (${IDENTIFIER}) ?\\(`, "i")))) {
+    const args = extractParenthesized(sql, m[0].length - 1);
+    const returns = sql.match(/\bRETURNS (SETOF )?(TABLE ?\(.*?\)|[\w."]+(?:\[\])?)/i);
+    const language = sql.match(/\bLANGUAGE '?(\w+)'?/i);
+    schema.functions.set(qualify(m[1]), {
+      name: displayName(qualify(m[1])),
+      args: args.trim(),
+      returns: returns ? `${returns[1] || ""}${returns[2]}` : null,
+      language: language ? language[1].toLowerCase() : null,
+      securityDefiner: /\bSECURITY DEFINER\b/i.test(sql),
+    });
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^DROP FUNCTION (?:IF EXISTS )?(${IDENTIFIER})`, "i")))) {
+    schema.functions.delete(qualify(m[1]));
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^CREATE (?:OR REPLACE )?(?:CONSTRAINT )?TRIGGER ("[^"]+"|\\w+) (BEFORE|AFTER|INSTEAD OF) (.*?) ON (${IDENTIFIER})(.*)$`, "i")))) {
+    const tableKey = qualify(m[4]);
+    const name = unquotePolicyName(m[1]);
+    const forEach = m[5].match(/FOR EACH (ROW|STATEMENT)/i);
+    const fn = m[5].match(new RegExp(`EXECUTE (?:FUNCTION|PROCEDURE) (${IDENTIFIER})`, "i"));
+    schema.triggers.set(`${tableKey}\0${name}`, {
+      name,
+      table: tableKey,
+      timing: m[2].toUpperCase(),
+      events: m[3].split(/ OR /i).map((e) => e.trim().toUpperCase()),
+      forEach: forEach ? forEach[1].toUpperCase() : "STATEMENT",
+      function: fn ? displayName(qualify(fn[1])) : null,
+    });
+    return;
+  }
+
+  if ((m = sql.match(new RegExp(`^DROP TRIGGER (?:IF EXISTS )?("[^"]+"|\\w+) ON (${IDENTIFIER})`, "i")))) {
+    schema.triggers.delete(`${qualify(m[2])}\0${unquotePolicyName(m[1])}`);
+  }
+}
+
+function newTable(key) {
+  return {
+    key,
+    columns: [],
+    primaryKey: [],
+    uniques: [],
+    foreignKeys: [],
+    indexes: [],
+    rlsEnabled: false,
+    policies: [],
+  };
+}
+
+const COLUMN_KEYWORDS = /\s(NOT NULL|NULL|DEFAULT|PRIMARY KEY|UNIQUE|REFERENCES|CHECK|CONSTRAINT|GENERATED|COLLATE)\b/i;
+
+function applyTableElement(table, item) {
+  const text = item.trim();
+  if (/^(CONSTRAINT\s|PRIMARY KEY|UNIQUE|FOREIGN KEY|CHECK|EXCLUDE)/i.test(text)) {
+    applyTableConstraint(table, text);
+  } else if (!/^LIKE\s/i.test(text)) {
+    addColumn(table, text);
+  }
+}
+
+function addColumn(table, definition) {
+  const m = definition.match(/^("[^"]+"|[\w$]+)\s+(.*)$/);
+  if (!m) return;
+
+  const name = unquoteIdent(m[1]);
+  const rest = ` ${m[2]}`;
+  const keywordAt = rest.search(COLUMN_KEYWORDS);
+  const type = (keywordAt === -1 ? rest : rest.slice(0, keywordAt)).trim();
+  const modifiers = keywordAt === -1 ? "" : rest.slice(keywordAt);
+
+  const column = {
+    name,
+    type,
+    notNull: /\bNOT NULL\b/i.test(modifiers),
+    default: extractDefault(modifiers),
+    primaryKey: /\bPRIMARY KEY\b/i.test(modifiers),
+    unique: /\bUNIQUE\b/i.test(modifiers),
+  };
+
+  table.columns = table.columns.filter((c) => c.name !== name);
+  table.columns.push(column);
+  if (column.primaryKey) table.primaryKey = [name];
+
+  const ref = modifiers.match(new RegExp(`REFERENCES (${IDENTIFIER})(?: ?\\(([^)]*)\\))?(.*)$`, "i"));
+  if (ref) {
+    table.foreignKeys.push({
+      columns: [name],
+      refTable: qualify(ref[1]),
+      refColumns: ref[2] ? ref[2].split(",").map((c) => unquoteIdent(c.trim())) : ["id"],
+      onDelete: extractOnDelete(ref[3]),
+      name: null,
+    });
+  }
+}
+
+function applyTableConstraint(table, text) {
+  const named = text.match(/^CONSTRAINT ("[^"]+"|\w+) (.*)$/i);
+  const name = named ? unquoteIdent(named[1]) : null;
+  const body = named ? named[2] : text;
+  let m;
+
+  if ((m = body.match(/^PRIMARY KEY ?\(([^)]*)\)/i))) {
+    table.primaryKey = parseColumnList(m[1]);
+  } else if ((m = body.match(/^UNIQUE(?: NULLS (?:NOT )?DISTINCT)? ?\(([^)]*)\)/i))) {
+    table.uniques.push(parseColumnList(m[1]));
+  } else if ((m = body.match(new RegExp(`^FOREIGN KEY ?\\(([^)]*)\\) REFERENCES (${IDENTIFIER})(?: ?\\(([^)]*)\\))?(.*)$`, "i")))) {
+    table.foreignKeys.push({
+      columns: parseColumnList(m[1]),
+      refTable: qualify(m[2]),
+      refColumns: m[3] ? parseColumnList(m[3]) : ["id"],
+      onDelete: extractOnDelete(m[4]),
+      name,
+    });
+  }
+}
+
+function applyAlterAction(schema, table, action) {
+  let m;
+
+  if ((m = action.match(/^ADD (CONSTRAINT .*|PRIMARY KEY.*|UNIQUE.*|FOREIGN KEY.*|CHECK.*)$/i))) {
+    applyTableConstraint(table, m[1]);
+  } else if ((m = action.match(/^ADD (?:COLUMN )?(?:IF NOT EXISTS )?(.*)$/i))) {
+    addColumn(table, m[1]);
+  } else if ((m = action.match(/^DROP CONSTRAINT (?:IF EXISTS )?("[^"]+"|\w+)/i))) {
+    const name = unquoteIdent(m[1]);
+    table.foreignKeys = table.foreignKeys.filter((fk) => fk.name !== name);
+  } else if ((m = action.match(/^DROP (?:COLUMN )?(?:IF EXISTS )?("[^"]+"|\w+)/i))) {
+    const name = unquoteIdent(m[1]);
+    table.columns = table.columns.filter((c) => c.name !== name);
+    table.foreignKeys = table.foreignKeys.filter((fk) => !fk.columns.includes(name));
+    table.primaryKey = table.primaryKey.filter((c) => c !== name);
+  } else if ((m = action.match(/^ALTER (?:COLUMN )?("[^"]+"|\w+) (.*)$/i))) {
+    const column = table.columns.find((c) => c.name === unquoteIdent(m[1]));
+    if (!column) return;
+    const change = m[2];
+    let t;
+    if ((t = change.match(/^(?:SET DATA )?TYPE (.*?)(?: USING .*)?$/i))) column.type = t[1].trim();
+    else if (/^SET NOT NULL/i.test(change)) column.notNull = true;
+    else if (/^DROP NOT NULL/i.test(change)) column.notNull = false;
+    else if ((t = change.match(/^SET DEFAULT (.*)$/i))) column.default = t[1].trim();
+    else if (/^DROP DEFAULT/i.test(change)) column.default = null;
+  } else if ((m = action.match(/^RENAME (?:COLUMN )?("[^"]+"|\w+) TO ("[^"]+"|\w+)$/i)) && !/^RENAME TO/i.test(action)) {
+    const from = unquoteIdent(m[1]);
+    const to = unquoteIdent(m[2]);
+    const column = table.columns.find((c) => c.name === from);
+    if (column) column.name = to;
+    const rename = (cols) => cols.map((c) => (c === from ? to : c));
+    table.primaryKey = rename(table.primaryKey);
+    table.uniques = table.uniques.map(rename);
+    table.foreignKeys.forEach((fk) => (fk.columns = rename(fk.columns)));
+    table.indexes.forEach((i) => (i.fields = rename(i.fields)));
+  } else if ((m = action.match(/^RENAME TO ("[^"]+"|\w+)$/i))) {
+    const schemaName = table.key.split(".")[0];
+    const newKey = `${schemaName}.${unquoteIdent(m[1])}`;
+    schema.tables.delete(table.key);
+    for (const other of schema.tables.values()) {
+      for (const fk of other.foreignKeys) {
+        if (fk.refTable === table.key) fk.refTable = newKey;
+      }
+    }
+    for (const trigger of schema.triggers.values()) {
+      if (trigger.table === table.key) trigger.table = newKey;
+    }
+    table.key = newKey;
+    schema.tables.set(newKey, table);
+  } else if (/^(ENABLE|FORCE) ROW LEVEL SECURITY/i.test(action)) {
+    table.rlsEnabled = true;
+  } else if (/^DISABLE ROW LEVEL SECURITY/i.test(action)) {
+    table.rlsEnabled = false;
+  }
+}
+
+/**
+ * Policy and RLS state for a table created outside the migrations; its
+ * RLS state is unknown until a migration sets it
+ */
+function externalTable(schema, key) {
+  if (!schema.external.has(key)) schema.external.set(key, { key, rlsEnabled: null, policies: [] });
+  return schema.external.get(key);
+}
+
+function policyTable(schema, key) {
+  return schema.tables.get(key) || schema.external.get(key) || null;
+}
+
+function parsePolicyClauses(text) {
+  const clauses = { permissive: true, command: "ALL", roles: [], using: null, withCheck: null };
+  // Only look for keywords before the expressions, which may contain anything
+  const expressionAt = text.search(/\b(USING|WITH CHECK) ?\(/i);
+  const head = expressionAt === -1 ? text : text.slice(0, expressionAt);
+
+  const as = head.match(/\bAS (PERMISSIVE|RESTRICTIVE)\b/i);
+  if (as) clauses.permissive = as[1].toUpperCase() === "PERMISSIVE";
+  const command = head.match(/\bFOR (ALL|SELECT|INSERT|UPDATE|DELETE)\b/i);
+  if (command) clauses.command = command[1].toUpperCase();
+  const roles = head.match(/\bTO (.*)$/i);
+  if (roles) clauses.roles = roles[1].split(",").map((r) => r.trim().replace(/"/g, ""));
+
+  const usingAt = text.search(/\bUSING ?\(/i);
+  if (usingAt !== -1) clauses.using = extractParenthesized(text, text.indexOf("(", usingAt)).trim();
+  const checkAt = text.search(/\bWITH CHECK ?\(/i);
+  if (checkAt !== -1) clauses.withCheck = extractParenthesized(text, text.indexOf("(", checkAt)).trim();
+
+  return clauses;
+}
+
+function unquotePolicyName(name) {
+  return name.startsWith('"') ? name.slice(1, -1) : name;
+}
+
+/**
+ * Return the text between the parenthesis at `openIndex` and its match
+ */
+function extractParenthesized(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+  for (let i = openIndex; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")" && --depth === 0) return text.slice(openIndex + 1, i);
+  }
+  return text.slice(openIndex + 1);
+}
+
+/**
+ * Split on commas that aren't nested in parentheses or quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    else if (ch === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+function parseColumnList(text) {
+  return text.split(",").map((c) => unquoteIdent(c.trim())).filter(Boolean);
+}
+
+function cleanColumnRef(text) {
+  const simple = text.match(/^("[^"]+"|\w+)(?:\s+(?:ASC|DESC|NULLS \w+|\w+_ops))*$/i);
+  return simple ? unquoteIdent(simple[1]) : text;
+}
+
+function parseStringList(text) {
+  return [...text.matchAll(/'((?:[^']|'')*)'/g)].map((m) => m[1].replace(/''/g, "'"));
+}
+
+function extractDefault(modifiers) {
+  const m = modifiers.match(/\bDEFAULT (.*?)(?= NOT NULL| NULL| PRIMARY KEY| UNIQUE| REFERENCES| CHECK| CONSTRAINT| GENERATED| COLLATE|$)/i);
+  return m ? m[1].trim() : null;
+}
+
+function extractOnDelete(text) {
+  const m = (text || "").match(/ON DELETE (CASCADE|RESTRICT|NO ACTION|SET NULL|SET DEFAULT)/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+/**
+ * Convert replayed state into normalized models plus a security inventory
+ */
+function toResult(schema) {
+  const models = [];
+  const relations = [];
+
+  for (const table of schema.tables.values()) {
+    const fkColumns = new Set(table.foreignKeys.flatMap((fk) => fk.columns));
+    const uniqueSingles = new Set([
+      ...table.columns.filter((c) => c.unique).map((c) => c.name),
+      ...table.uniques.filter((u) => u.length === 1).map((u) => u[0]),
+      ...table.indexes.filter((i) => i.unique && i.fields.length === 1).map((i) => i.fields[0]),
+    ]);
+
+    models.push({
+      name: displayName(table.key),
+      source: "supabase",
+      tableName: displayName(table.key),
+      fields: table.columns.map((c) => {
+        const primaryKey = c.primaryKey || table.primaryKey.includes(c.name);
+        return {
+          name: c.name,
+          type: c.type,
+          list: false,
+          optional: !c.notNull && !primaryKey,
+          default: c.default,
+          primaryKey,
+          unique: uniqueSingles.has(c.name),
+          foreignKey: fkColumns.has(c.name),
+          attributes: [],
+        };
+      }),
+      primaryKey: table.primaryKey,
+      uniques: table.uniques,
+      indexes: table.indexes.map((i) => ({ name: i.name, fields: i.fields, unique: i.unique })),
+    });
+
+    for (const fk of table.foreignKeys) {
+      const columns = fk.columns.map((c) => table.columns.find((col) => col.name === c)).filter(Boolean);
+      const isUnique =
+        (fk.columns.length === 1 && (uniqueSingles.has(fk.columns[0]) || (table.primaryKey.length === 1 && table.primaryKey[0] === fk.columns[0]))) ||
+        table.uniques.some((u) => u.length === fk.columns.length && u.every((c) => fk.columns.includes(c)));
+      relations.push({
+        from: displayName(table.key),
+        fromFields: fk.columns,
+        to: displayName(fk.refTable),
+        toFields: fk.refColumns,
+        cardinality: isUnique ? "one-to-one" : "many-to-one",
+        // Primary key columns are NOT NULL even without the keyword
+        optional: columns.some((c) => !c.notNull && !c.primaryKey && !table.primaryKey.includes(c.name)),
+        name: fk.columns.join("_"),
+        onDelete: fk.onDelete,
+      });
+    }
+  }
+
+  return {
+    models,
+    enums: [...schema.enums.entries()].map(([key, values]) => ({ name: displayName(key), values })),
+    relations,
+    security: {
+      tables: [...schema.tables.values(), ...[...schema.external.values()].filter((t) => t.policies.length > 0)].map((t) => ({
+        name: displayName(t.key),
+        rlsEnabled: t.rlsEnabled,
+        policies: t.policies,
+      })),
+      functions: [...schema.functions.values()],
+      triggers: [...schema.triggers.values()].map((t) => ({ ...t, table: displayName(t.table) })),
+    },
+  };
+}
@@ -0,0 +1,347 @@
+import path from "path";
+import { stripComments, findClosing, parseObjectEntries, readCallArguments, stringLiteral } from "../lib/js-source.js";
+import { createBindingResolver, parseBindings } from "./imports.js";
+
+const ZUSTAND_STORE = /(?:\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=|\bexport\s+default)\s*(?:create|createStore|createWithEqualityFn)\s*(?:<[^()=]*>)?\s*\(/g;
+const REDUX_SLICE = /\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=\s*createSlice\s*(?:<[^()=]*>)?\s*\(/g;
+const ASYNC_THUNK = /\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=\s*createAsyncThunk\b/g;
+const JOTAI_ATOM = /\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=\s*(atom|atomWithStorage|atomWithReset|atomWithDefault|atomWithReducer|atomFamily|atomWithQuery|atomWithInfiniteQuery|atomWithMutation|atomWithObservable|selectAtom|splitAtom|focusAtom|loadable|unwrap)\s*(?:<[^()=]*>)?\s*\(/g;
+const SELECTOR_EXPORT = /\bexport\s+(?:const\s+(select[\w$]*)\s*(?::[^=]+)?=|function\s+(select[\w$]*)\s*\()/g;
+const JOTAI_DERIVED = new Set(["selectAtom", "splitAtom", "focusAtom", "loadable", "unwrap"]);
+
+/**
+ * Read Zustand stores, Redux Toolkit slices and Jotai atoms: the state
+ * keys, actions and selectors each one exposes, the middleware it is
+ * wrapped in (e.g. `persist`) and the files that consume it.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @returns {Array<{name: string, library: string, file: string, state: string[], actions: string[], selectors: string[], middleware: string[], persistence: string[], consumers: string[]}>}
+ */
+export function scanStateStores(sourceIndex) {
+  const stores = [];
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\bfrom\s*["'](?:zustand|@reduxjs\/toolkit|jotai)/.test(raw) && !/\brequire\s*\(\s*["'](?:zustand|@reduxjs\/toolkit|jotai)/.test(raw)) continue;
+    const code = stripComments(raw);
+
+    if (/["']zustand(?:\/[\w-]+)?["']/.test(code)) stores.push(...readZustandStores(code, file));
+    if (/["']@reduxjs\/toolkit(?:\/[\w-]+)?["']/.test(code)) stores.push(...readReduxSlices(code, file));
+    if (/["']jotai(?:\/[\w-]+)?["']/.test(code)) {
+      const atoms = readJotaiAtoms(code, file);
+      if (atoms) stores.push(atoms);
+    }
+  }
+
+  markReduxPersistence(sourceIndex, stores);
+  linkConsumers(sourceIndex, stores);
+
+  return stores
+    .map(({ names, sliceName, ...store }) => store)
+    .sort((a, b) => a.library.localeCompare(b.library) || a.file.localeCompare(b.file) || a.name.localeCompare(b.name));
+}
+
+/**
+ * `create<State>()(devtools(persist((set, get) => ({ ... }), { name })))`
+ */
+function readZustandStores(code, file) {
+  const stores = [];
+
+  for (const match of code.matchAll(ZUSTAND_STORE)) {
+    let call = readCallArguments(code, match.index + match[0].length - 1);
+    // Curried `create<T>()(...)` form
+    if (call && call.args.length === 0 && /^\s*\(/.test(code.slice(call.end + 1))) {
+      call = readCallArguments(code, code.indexOf("(", call.end + 1));
+    }
+    if (!call || call.args.length === 0) continue;
+
+    // `export default create(...)` is named after its file
+    const store = createStore(match[1] || path.basename(file, path.extname(file)), "Zustand", file);
+    store.names.push(match[1] || "default");
+    let expr = call.args[0];
+    let initialState = null;
+
+    // Unwrap middleware down to the state creator
+    for (let wrapper = middlewareCall(expr); wrapper; wrapper = middlewareCall(expr)) {
+      const options = wrapper.args[1] ? objectEntries(wrapper.args[1]) : [];
+      if (wrapper.name === "combine") {
+        initialState = wrapper.args[0];
+        expr = wrapper.args[1] || "";
+        continue;
+      }
+      store.middleware.push(wrapper.name);
+      if (wrapper.name === "persist") store.persistence.push(describePersistOptions(options, wrapper.args[1]));
+      expr = wrapper.args[0] || "";
+    }
+
+    if (/^[\w$]+$/.test(expr.trim())) expr = localDeclaration(code, expr.trim()) || expr;
+    if (initialState) {
+      for (const entry of objectEntries(initialState)) if (entry.key) store.state.push(entry.key);
+    }
+    classifyEntries(code, returnedObject(expr), store);
+    store.selectors.push(...exportedSelectors(code));
+    stores.push(store);
+  }
+
+  return stores;
+}
+
+/**
+ * `createSlice({ name, initialState, reducers, selectors })`
+ */
+function readReduxSlices(code, file) {
+  const slices = [];
+  const thunks = [...code.matchAll(ASYNC_THUNK)].map((m) => m[1]);
+
+  for (const match of code.matchAll(REDUX_SLICE)) {
+    const call = readCallArguments(code, match.index + match[0].length - 1);
+    if (!call || !call.args[0]) continue;
+    const options = Object.fromEntries(objectEntries(call.args[0]).filter((e) => e.key).map((e) => [e.key, e.value]));
+
+    const sliceName = stringLiteral(options.name || "") || match[1].replace(/Slice$/, "");
+    const store = createStore(sliceName, "Redux Toolkit", file);
+    store.sliceName = sliceName;
+    store.names.push(match[1]);
+
+    let initialState = (options.initialState || "").trim();
+    if (/^[\w$]+$/.test(initialState)) initialState = localDeclaration(code, initialState) || "";
+    const adapter = initialState.match(/\.\s*getInitialState\s*\(/);
+    if (adapter) {
+      store.state.push("ids", "entities");
+      const inner = readCallArguments(initialState, adapter.index + adapter[0].length - 1);
+      initialState = inner && inner.args[0] ? inner.args[0] : "";
+    }
+    for (const entry of objectEntries(initialState)) if (entry.key) store.state.push(entry.key);
+
+    // RTK 2 also accepts `reducers: (create) => ({ ... })`
+    const reducers = options.reducers || "";
+    for (const entry of objectEntries(reducers.trim().startsWith("{") ? reducers : returnedObject(reducers))) {
+      if (entry.key) store.actions.push(entry.key);
+    }
+    store.actions.push(...thunks.map((t) => `${t} (thunk)`));
+    store.names.push(...thunks);
+
+    for (const entry of objectEntries(options.selectors || "")) if (entry.key) store.selectors.push(entry.key);
+    store.selectors.push(...exportedSelectors(code));
+
+    // `export const { add, remove } = cartSlice.actions`
+    const destructured = code.match(new RegExp(`\\{([^}]*)\\}\\s*=\\s*${match[1].replace(/\$/g, "\\$")}\\s*\\.\\s*(?:actions|selectors)\\b`, "g")) || [];
+    for (const part of destructured) {
+      for (const name of part.match(/\{([^}]*)\}/)[1].split(",")) {
+        const local = name.split(":").pop().trim();
+        if (local) store.names.push(local);
+      }
+    }
+    if (new RegExp(`\\bexport\\s+default\\s+${match[1].replace(/\$/g, "\\$")}\\s*\\.\\s*reducer\\b`).test(code)) store.names.push("default");
+    slices.push(store);
+  }
+
+  return slices;
+}
+
+/**
+ * All atoms in a file form one store: primitive atoms are state, derived
+ * atoms are selectors and write-only atoms are actions
+ */
+function readJotaiAtoms(code, file) {
+  const store = createStore(path.basename(file, path.extname(file)), "Jotai", file);
+
+  for (const match of code.matchAll(JOTAI_ATOM)) {
+    const [, name, factory] = match;
+    const call = readCallArguments(code, match.index + match[0].length - 1);
+    const args = call ? call.args : [];
+    const first = (args[0] || "").trim();
+    const isFunction = /^(?:async\s*)?(?:\([^)]*\)|[\w$]+)\s*=>/.test(first);
+    store.names.push(name);
+
+    if (factory === "atomWithStorage") {
+      store.state.push(name);
+      const key = stringLiteral(first);
+      store.persistence.push(`\`${name}\` → atomWithStorage${key ? ` (\`${key}\`)` : ""}`);
+    } else if (JOTAI_DERIVED.has(factory)) {
+      store.selectors.push(name);
+    } else if (factory === "atom" && first === "null" && args.length > 1) {
+      store.actions.push(name);
+    } else if (factory === "atom" && isFunction) {
+      store.selectors.push(name);
+    } else {
+      store.state.push(name);
+    }
+  }
+
+  return store.names.length > 0 ? store : null;
+}
+
+/**
+ * redux-persist: `persistReducer({ key, storage, whitelist }, reducer)`
+ * persists the whitelisted slices, everything but the blacklist, or the
+ * single slice it wraps
+ */
+function markReduxPersistence(sourceIndex, stores) {
+  const slices = stores.filter((s) => s.library === "Redux Toolkit");
+  if (slices.length === 0) return;
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/\bpersistReducer\s*\(/.test(raw)) continue;
+    const code = stripComments(raw);
+
+    for (const match of code.matchAll(/\bpersistReducer\s*(?:<[^()=]*>)?\s*\(/g)) {
+      const call = readCallArguments(code, match.index + match[0].length - 1);
+      if (!call || call.args.length < 2) continue;
+      let config = call.args[0].trim();
+      if (/^[\w$]+$/.test(config)) config = localDeclaration(code, config) || "";
+      const options = Object.fromEntries(objectEntries(config).filter((e) => e.key).map((e) => [e.key, e.value]));
+      const names = (list) => (list || "").match(/["'`][^"'`]+["'`]/g)?.map((s) => s.slice(1, -1)) || null;
+      const whitelist = names(options.whitelist);
+      const blacklist = names(options.blacklist);
+      const key = stringLiteral(options.key || "");
+      const target = call.args[1].trim();
+
+      for (const slice of slices) {
+        const wrapped = slice.names.some((n) => new RegExp(`^${n.replace(/\$/g, "\\$")}\\b`).test(target)) ||
+          target === `${slice.sliceName}Reducer`;
+        const persisted = whitelist ? whitelist.includes(slice.sliceName)
+          : blacklist ? !blacklist.includes(slice.sliceName)
+            : wrapped || !slices.some((s) => s.names.some((n) => target.startsWith(n)) || target === `${s.sliceName}Reducer`);
+        if (!persisted) continue;
+        if (!slice.middleware.includes("redux-persist")) slice.middleware.push("redux-persist");
+        slice.persistence.push(`redux-persist${key ? ` (\`${key}\`)` : ""} in \`${file}\``);
+      }
+    }
+  }
+}
+
+/**
+ * Files that import a store's exports, plus `useSelector((state) => state.slice…)`
+ * reads for Redux slices
+ */
+function linkConsumers(sourceIndex, stores) {
+  if (stores.length === 0) return;
+  const resolveBinding = createBindingResolver(sourceIndex);
+  const owners = new Map();
+  for (const store of stores) {
+    for (const name of store.names) owners.set(`${store.file}#${name}`, store);
+  }
+  const isDefinition = (file, name) => owners.has(`${file}#${name}`);
+  const slicesByName = new Map(stores.filter((s) => s.sliceName).map((s) => [s.sliceName, s]));
+  const addConsumer = (store, file) => {
+    if (file !== store.file && !store.consumers.includes(file)) store.consumers.push(file);
+  };
+
+  for (const file of sourceIndex.files) {
+    const code = stripComments(sourceIndex.read(file));
+    for (const [local] of parseBindings(code)) {
+      const found = resolveBinding(file, local, isDefinition);
+      if (found) addConsumer(owners.get(`${found.file}#${found.name}`), file);
+    }
+    if (slicesByName.size === 0) continue;
+    for (const match of code.matchAll(/\buse\w*Selector\s*\(\s*\(?\s*([\w$]+)[^=)]*\)?\s*=>\s*\1\s*\.\s*([\w$]+)/g)) {
+      const slice = slicesByName.get(match[2]);
+      if (slice) addConsumer(slice, file);
+    }
+  }
+
+  for (const store of stores) store.consumers.sort();
+}
+
+function createStore(name, library, file) {
+  return { name, library, file, state: [], actions: [], selectors: [], middleware: [], persistence: [], consumers: [], names: [] };
+}
+
+/**
+ * Split returned object entries into state keys and actions
+ */
+function classifyEntries(code, body, store) {
+  for (const entry of parseObjectEntries(body)) {
+    if (!entry.key) {
+      // Spread slice creator: `...createCartSlice(set, get)`
+      const slice = entry.value.match(/^([\w$]+)\s*\(/);
+      const source = slice && localDeclaration(code, slice[1]);
+      if (source) classifyEntries(code, returnedObject(source), store);
+      continue;
+    }
+    const value = entry.value.trim();
+    const isMethod = new RegExp(`^(?:async\\s+)?${entry.key.replace(/\$/g, "\\$")}\\s*\\(`).test(value);
+    const isFunction = isMethod || /^(?:async\s*)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+?)?=>)/.test(value);
+    (isFunction ? store.actions : store.state).push(entry.key);
+  }
+}
+
+/**
+ * `select…` selectors exported next to the store
+ */
+function exportedSelectors(code) {
+  return [...code.matchAll(SELECTOR_EXPORT)].map((m) => m[1] || m[2]);
+}
+
+/**
+ * `name(...args)` where the first argument is not an arrow function, i.e.
+ * a middleware wrapping the next creator
+ */
+function middlewareCall(expr) {
+  const match = expr.trim().match(/^([\w$]+)\s*(?:<[^()=]*>)?\s*\(/);
+  if (!match || /^(?:async|function)$/.test(match[1])) return null;
+  const call = readCallArguments(expr.trim(), match[0].length - 1);
+  return call ? { name: match[1], args: call.args } : null;
+}
+
+function describePersistOptions(options, raw) {
+  const values = Object.fromEntries(options.filter((e) => e.key).map((e) => [e.key, e.value]));
+  const key = stringLiteral(values.name || "");
+  const storage = (raw || "").match(/createJSONStorage\s*\(\s*\(\s*\)\s*=>\s*([\w$.]+)/);
+  const partialize = values.partialize ? returnedObject(values.partialize) : "";
+  const keys = parseObjectEntries(partialize).map((e) => e.key).filter(Boolean);
+  return [
+    `persist${key ? ` (\`${key}\`)` : ""}`,
+    storage ? `to ${storage[1]}` : null,
+    keys.length > 0 ? `keys ${keys.map((k) => `\`${k}\``).join(", ")}` : null,
+  ].filter(Boolean).join(", ");
+}
+
+function objectEntries(expr) {
+  const text = (expr || "").trim();
+  if (!text.startsWith("{")) return [];
+  const close = findClosing(text, 0);
+  return close === -1 ? [] : parseObjectEntries(text.slice(1, close));
+}
+
+/**
+ * Body of the object a function returns: `(set) => ({ ... })` or
+ * `(set) => { return { ... } }`
+ */
+function returnedObject(fn) {
+  const text = (fn || "").trim();
+  const arrow = text.indexOf("=>");
+  const keyword = text.match(/^(?:async\s+)?function\b/);
+  if (arrow === -1 && !keyword) return "";
+
+  let rest = keyword ? text.slice(text.indexOf("{", text.indexOf(")"))) : text.slice(arrow + 2).trim();
+  if (rest.startsWith("(")) rest = rest.slice(1).trim();
+  if (!rest.startsWith("{")) return "";
+  const close = findClosing(rest, 0);
+  if (close === -1) return "";
+
+  const body = rest.slice(1, close);
+  // Block body: look for the returned object literal
+  const isBlock = keyword || !text.slice(arrow + 2).trim().startsWith("(");
+  if (!isBlock) return body;
+  const returned = body.match(/\breturn\s*\(?\s*\{/);
+  if (!returned) return "";
+  const open = returned.index + returned[0].length - 1;
+  const end = findClosing(body, open);
+  return end === -1 ? "" : body.slice(open + 1, end);
+}
+
+/**
+ * Source of `const name = …` in the same file, read up to the end of the
+ * file (callers only look at its leading expression)
+ */
+function localDeclaration(code, name) {
+  const match = code.match(new RegExp(`\\b(?:const|let|var)\\s+${name.replace(/\$/g, "\\$")}\\s*(?::[^=]+?)?=(?!=)\\s*`));
+  if (!match) {
+    const fn = code.match(new RegExp(`\\bfunction\\s+${name.replace(/\$/g, "\\$")}\\s*\\(`));
+    return fn ? code.slice(fn.index) : null;
+  }
+  return code.slice(match.index + match[0].length);
+}
@@ -0,0 +1,85 @@
+import path from "path";
+import { findProjectFiles } from "../lib/source-files.js";
+
+export const TEST_FILE = /\.(test|spec|cy|e2e)\.[cm]?[jt]sx?$/;
+// Maestro keeps flows in .maestro/ next to a workspace config.yaml
+const MAESTRO_FLOWS = "**/{.maestro,maestro}/**/*.{yaml,yml}";
+
+/**
+ * Find unit, integration and end-to-end test files (Jest/Vitest,
+ * Playwright, Cypress, Detox) and Maestro flows, and map each one to the
+ * source files and domains it exercises: through its imports, a source
+ * file with the same name, or a domain named in its path.
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {{imports: Object<string, string[]>, fileDomains: Object<string, string>, domains: string[], frameworks: string[]}} project
+ *   `imports` from the import graph, `frameworks` from `stack.testing`
+ * @returns {Array<{file: string, kind: string, framework: string|null, sources: string[], domains: string[]}>}
+ *   `kind` is "unit", "integration", "e2e" or "flow"
+ */
+export function scanTests(sourceIndex, project) {
+  const { imports, fileDomains, domains, frameworks } = project;
+  const isTest = (file) => TEST_FILE.test(file) || file.split("/").includes("__tests__");
+  const sourcesByStem = new Map();
+  for (const file of sourceIndex.files) {
+    if (isTest(file)) continue;
+    const stem = path.posix.basename(file).replace(/\.[cm]?[jt]sx?$/, "");
+    if (!sourcesByStem.has(stem)) sourcesByStem.set(stem, []);
+    sourcesByStem.get(stem).push(file);
+  }
+  const unitFramework = frameworks.includes("Vitest") ? "Vitest" : frameworks.includes("Jest") ? "Jest" : null;
+
+  const tests = [];
+  for (const file of sourceIndex.files) {
+    if (!isTest(file) || file.split("/").includes("__mocks__")) continue;
+    const code = sourceIndex.read(file);
+    const framework = detectFramework(file, code) || unitFramework;
+    const e2e = ["Playwright", "Cypress", "Detox"].includes(framework) || file.split("/").includes("e2e");
+    const kind = e2e ? "e2e" : /(^|[/.])integration[/.]/.test(file) ? "integration" : "unit";
+
+    const sources = new Set((imports[file] || []).filter((f) => !isTest(f) && !f.split("/").includes("__mocks__")));
+    // Button.test.tsx tests Button.tsx beside it, or one level up from __tests__
+    const stem = path.posix.basename(file).replace(TEST_FILE, "").replace(/\.[cm]?[jt]sx?$/, "");
+    const dir = path.posix.dirname(file);
+    const homes = [dir, path.posix.basename(dir) === "__tests__" ? path.posix.dirname(dir) : null];
+    for (const source of sourcesByStem.get(stem) || []) {
+      if (homes.includes(path.posix.dirname(source))) sources.add(source);
+    }
+
+    const found = new Set([fileDomains[file], ...[...sources].map((f) => fileDomains[f])].filter(Boolean));
+    // End-to-end specs import page objects rather than the code under test
+    if (found.size === 0 || kind === "e2e") {
+      for (const domain of domainsNamedIn(file, domains)) found.add(domain);
+    }
+
+    tests.push({ file, kind, framework, sources: [...sources].sort(), domains: [...found].sort() });
+  }
+
+  for (const file of findProjectFiles(sourceIndex.root, MAESTRO_FLOWS, sourceIndex.ignore, sourceIndex.output)) {
+    if (/^config\.ya?ml$/.test(path.posix.basename(file))) continue;
+    tests.push({ file, kind: "flow", framework: "Maestro", sources: [], domains: domainsNamedIn(file, domains) });
+  }
+
+  return tests.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+function detectFramework(file, code) {
+  if (/\.cy\.[cm]?[jt]sx?$/.test(file) || file.split("/").includes("cypress")) return "Cypress";
+  if (/from\s+["']@playwright\/test["']/.test(code)) return "Playwright";
+  if (/from\s+["']detox["']|require\(\s*["']detox["']\s*\)|\bdevice\s*\.\s*(?:launchApp|reloadReactNative)\s*\(/.test(code)) return "Detox";
+  if (/from\s+["']vitest["']/.test(code)) return "Vitest";
+  if (/from\s+["']@jest\/globals["']|\bjest\s*\.\s*(?:mock|fn|spyOn)\s*\(/.test(code)) return "Jest";
+  return null;
+}
+
+/**
+ * Domains whose name (singular or plural) appears as a word in the path,
+ * e.g. `e2e/checkout-flow.spec.ts` or `.maestro/auth/login.yaml`
+ */
+function domainsNamedIn(file, domains) {
+  const lower = file.toLowerCase();
+  return domains.filter((domain) => {
+    const singular = domain.toLowerCase().replace(/s$/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(?:^|[^a-z0-9])${singular}s?(?:$|[^a-z0-9])`).test(lower);
+  });
+}
@@ -0,0 +1,155 @@
+import { stripComments, findClosing, parseObjectEntries, readCallArguments } from "../lib/js-source.js";
+import { collectZodSchemas, describeZodSchema } from "../lib/zod.js";
+import { createBindingResolver } from "./imports.js";
+
+const ROUTER_DEFINITION = /\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:createTRPCRouter|createRouter|(?:[\w$]+\.)?router)\s*\(\s*\{/g;
+const CLIENT_DEFINITION = /\b(?:export\s+)?const\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:createTRPCReact|createTRPCNext|createTRPCProxyClient|createTRPCClient|createTRPCOptionsProxy|useTRPC)\b/g;
+const CLIENT_CALLS = "useQuery|useSuspenseQuery|useInfiniteQuery|useSuspenseInfiniteQuery|useMutation|useSubscription|query|mutate|subscribe|queryOptions|infiniteQueryOptions|mutationOptions|queryKey|prefetch|fetch|prefetchInfinite|fetchInfinite";
+
+/**
+ * Walk tRPC router definitions from the root router down, listing every
+ * procedure with its kind, input validator and procedure builder, and link
+ * procedures to the domains whose code calls them (`api.post.byId.useQuery`).
+ *
+ * @param {{root: string, files: string[], read: Function}} sourceIndex
+ * @param {Object<string, string>} fileDomains - File to domain
+ * @returns {{procedures: Array<{path: string, kind: string, builder: string, protected: boolean, input: string|null, file: string, callers: string[], domains: string[]}>, rootRouters: string[]}}
+ *   `protected` is true unless the builder is `publicProcedure` or the bare `t.procedure`
+ */
+export function scanTrpcRouters(sourceIndex, fileDomains) {
+  const resolveBinding = createBindingResolver(sourceIndex);
+  const routers = new Map(); // "file#name" -> { file, name, body, schemas }
+
+  for (const file of sourceIndex.files) {
+    const raw = sourceIndex.read(file);
+    if (!/@trpc\/server|Procedure\b|\.procedure\b|\b(?:createTRPCRouter|createRouter|router)\s*\(/.test(raw)) continue;
+    const code = stripComments(raw);
+    const schemas = collectZodSchemas(code);
+
+    for (const match of code.matchAll(ROUTER_DEFINITION)) {
+      const open = match.index + match[0].length - 1;
+      const close = findClosing(code, open);
+      if (close === -1) continue;
+      routers.set(`${file}#${match[1]}`, { file, name: match[1], body: code.slice(open + 1, close), schemas });
+    }
+  }
+
+  const procedures = [];
+  const nested = new Set();
+  const findRouter = (file, name) => {
+    const found = resolveBinding(file, name, (f, n) => routers.has(`${f}#${n}`));
+    return found ? routers.get(`${found.file}#${found.name}`) : null;
+  };
+
+  const walk = (router, prefix, visiting) => {
+    if (visiting.has(router)) return;
+    visiting.add(router);
+
+    for (const { key, value } of parseObjectEntries(router.body)) {
+      if (!key) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+      const expr = value.trim();
+
+      const child = /^[\w$]+$/.test(expr) ? findRouter(router.file, expr) : null;
+      if (child) {
+        walk(child, path, visiting);
+        continue;
+      }
+
+      const inline = expr.match(/^(?:createTRPCRouter|createRouter|(?:[\w$]+\.)?router)\s*\(\s*\{/);
+      if (inline) {
+        const open = inline[0].length - 1;
+        walk({ ...router, body: expr.slice(open + 1, findClosing(expr, open)) }, path, visiting);
+        continue;
+      }
+
+      const procedure = parseProcedure(expr, router.schemas);
+      if (procedure) procedures.push({ path, ...procedure, file: router.file });
+    }
+
+    visiting.delete(router);
+  };
+
+  // Record which routers are nested first, so only roots are walked
+  for (const router of routers.values()) {
+    for (const { value } of parseObjectEntries(router.body)) {
+      const expr = value.trim();
+      const child = /^[\w$]+$/.test(expr) ? findRouter(router.file, expr) : null;
+      if (child && child !== router) nested.add(child);
+    }
+  }
+  const roots = [...routers.values()].filter((r) => !nested.has(r));
+  for (const root of roots) walk(root, "", new Set());
+
+  linkCallers(sourceIndex, procedures, fileDomains);
+
+  return {
+    procedures: procedures.sort((a, b) => a.path.localeCompare(b.path)),
+    rootRouters: roots.map((r) => `${r.file}#${r.name}`),
+  };
+}
+
+/**
+ * `protectedProcedure.input(schema).query(...)` -> kind, builder, input
+ */
+function parseProcedure(expr, schemas) {
+  const kind = expr.match(/\.\s*(query|mutation|subscription)\s*\(/);
+  if (!kind) return null;
+
+  const builder = expr.match(/^([\w$]+(?:\s*\.\s*procedure)?)/);
+  const builderName = builder ? builder[1].replace(/\s+/g, "") : "procedure";
+  const middleware = [...expr.slice(0, kind.index).matchAll(/\.\s*use\s*\(\s*([\w$.]+)/g)].map((m) => m[1]);
+
+  let input = null;
+  const inputCall = expr.match(/\.\s*input\s*\(/);
+  if (inputCall) {
+    const call = readCallArguments(expr, inputCall.index + inputCall[0].length - 1);
+    if (call && call.args[0]) {
+      const arg = call.args[0].trim();
+      const shape = describeZodSchema(arg, schemas);
+      input = /^[\w$]+$/.test(arg) && shape !== arg ? `${arg} ${shape}` : shape;
+    }
+  }
+
+  return {
+    kind: kind[1],
+    builder: middleware.length > 0 ? `${builderName}${middleware.map((m) => `.use(${m})`).join("")}` : builderName,
+    protected: !/^(?:public\w*|procedure|[\w$]+\.procedure)$/i.test(builderName),
+    input,
+  };
+}
+
+/**
+ * Find `client.router.procedure.useQuery()`-style calls and attach the
+ * calling files and their domains to each procedure
+ */
+function linkCallers(sourceIndex, procedures, fileDomains) {
+  if (procedures.length === 0) return;
+
+  const clients = new Set(["api", "trpc"]);
+  for (const file of sourceIndex.files) {
+    for (const match of sourceIndex.read(file).matchAll(CLIENT_DEFINITION)) clients.add(match[1]);
+  }
+
+  const byPath = new Map(procedures.map((p) => [p.path, p]));
+  for (const p of procedures) {
+    p.callers = [];
+    p.domains = [];
+  }
+
+  const clientPattern = new RegExp(
+    `\\b(?:${[...clients].map((c) => c.replace(/\$/g, "\\$")).join("|")})\\s*\\.\\s*((?:[\\w$]+\\s*\\.\\s*)+?)(?:${CLIENT_CALLS})\\s*\\(`,
+    "g"
+  );
+  for (const file of sourceIndex.files) {
+    const code = sourceIndex.read(file);
+    if (!/\b(?:use|query|mutate|fetch|prefetch|subscribe)/.test(code)) continue;
+    for (const match of stripComments(code).matchAll(clientPattern)) {
+      const procedure = byPath.get(match[1].replace(/\s+/g, "").replace(/\.$/, ""));
+      if (!procedure) continue;
+      if (!procedure.callers.includes(file)) procedure.callers.push(file);
+      const domain = fileDomains[file];
+      if (domain && !procedure.domains.includes(domain)) procedure.domains.push(domain);
+    }
+  }
+}
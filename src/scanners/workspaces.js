@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import { globSync } from "glob";
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+
+/**
+ * Detect a monorepo: npm/yarn/bun `workspaces`, `pnpm-workspace.yaml`,
+ * Lerna and Nx projects, with Turborepo noted when present. Each package
+ * lists the other workspace packages it depends on.
+ *
+ * @param {string} projectRoot - Absolute project root
+ * @param {Object} packageJson - Root package.json
+ * @returns {{tools: string[], packageManager: string, packages: Array<{name: string, dir: string, slug: string, packageJson: Object, dependencies: string[]}>}|null}
+ *   `dir` is relative to the project root; null when there are no packages
+ */
+export function detectWorkspaces(projectRoot, packageJson) {
+  const exists = (file) => fs.existsSync(path.join(projectRoot, file));
+  const tools = [];
+  const patterns = [];
+
+  const declared = Array.isArray(packageJson.workspaces)
+    ? packageJson.workspaces
+    : (packageJson.workspaces && packageJson.workspaces.packages) || [];
+  if (declared.length > 0) {
+    tools.push(exists("yarn.lock") ? "Yarn workspaces" : exists("bun.lockb") || exists("bun.lock") ? "Bun workspaces" : "npm workspaces");
+    patterns.push(...declared);
+  }
+  if (exists("pnpm-workspace.yaml")) {
+    tools.push("pnpm workspaces");
+    patterns.push(...readPnpmPatterns(path.join(projectRoot, "pnpm-workspace.yaml")));
+  }
+  if (exists("lerna.json")) {
+    tools.push("Lerna");
+    const lerna = readJson(path.join(projectRoot, "lerna.json")) || {};
+    if (patterns.length === 0) patterns.push(...(lerna.packages || ["packages/*"]));
+  }
+  if (exists("turbo.json")) tools.push("Turborepo");
+
+  const dirs = new Set(expandPatterns(projectRoot, patterns, "package.json"));
+  // Nx projects are marked by project.json and may have no package.json
+  if (exists("nx.json")) {
+    tools.push("Nx");
+    for (const dir of expandPatterns(projectRoot, ["**"], "project.json")) dirs.add(dir);
+  }
+  dirs.delete("");
+  if (dirs.size === 0) return null;
+
+  const packages = [...dirs].sort().map((dir) => {
+    const own = readJson(path.join(projectRoot, dir, "package.json"));
+    const project = own ? null : readJson(path.join(projectRoot, dir, "project.json"));
+    return {
+      name: (own && own.name) || (project && project.name) || path.posix.basename(dir),
+      dir,
+      // Nx integrated repos keep dependencies in the root package.json
+      packageJson: own || { ...packageJson, name: project && project.name },
+    };
+  });
+
+  const names = new Set(packages.map((p) => p.name));
+  const basenames = packages.map((p) => path.posix.basename(p.dir));
+  for (const pkg of packages) {
+    const base = path.posix.basename(pkg.dir);
+    pkg.slug = basenames.filter((b) => b === base).length > 1 ? pkg.dir.replace(/\//g, "-") : base;
+    pkg.dependencies = [...new Set(DEPENDENCY_FIELDS.flatMap((field) => Object.keys(pkg.packageJson[field] || {})))]
+      .filter((dep) => names.has(dep) && dep !== pkg.name)
+      .sort();
+  }
+
+  return {
+    tools,
+    packageManager: exists("pnpm-lock.yaml") ? "pnpm" : exists("yarn.lock") ? "yarn" : exists("bun.lockb") || exists("bun.lock") ? "bun" : "npm",
+    packages,
+  };
+}
+
+/**
+ * Directories (relative, POSIX) matching workspace globs that contain
+ * `marker`. `!pattern` entries exclude directories.
+ */
+function expandPatterns(projectRoot, patterns, marker) {
+  const include = patterns.filter((p) => !p.startsWith("!"));
+  const exclude = patterns.filter((p) => p.startsWith("!")).map((p) => `${p.slice(1).replace(/\/$/, "")}/${marker}`);
+  if (include.length === 0) return [];
+  return globSync(include.map((p) => `${p.replace(/\/$/, "")}/${marker}`), {
+    cwd: projectRoot,
+    ignore: ["**/node_modules/**", ...exclude],
+    posix: true,
+  }).map((file) => path.posix.dirname(file)).map((dir) => (dir === "." ? "" : dir));
+}
+
+/**
+ * The `packages:` list of pnpm-workspace.yaml
+ */
+function readPnpmPatterns(filePath) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of fs.readFileSync(filePath, "utf-8").split("\n")) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (/^\S/.test(line)) inPackages = false;
+    const item = inPackages && line.match(/^\s+-\s*["']?([^"'#]+?)["']?\s*(?:#.*)?$/);
+    if (item) patterns.push(item[1]);
+  }
+  return patterns;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+}